@@ -0,0 +1,233 @@
+const accounts = require('./accounts');
+const gameService = require('./game-service');
+const gameArchive = require('./game-archive');
+const preferences = require('./preferences');
+const rooms = require('./rooms');
+const { GameError } = require('./errors');
+const logger = require('./logger');
+const { userKey, guestUser } = require('./identity');
+const { readBody, readForm, redirect, sendJson } = require('./http-utils');
+const { translate, errorMessage } = require('./i18n');
+
+/*
+ * Local accounts and guests, next to Google Sign-In (lib/accounts.js):
+ *   GET  /register               registration form
+ *   POST /register               create an account and sign in
+ *   POST /login                  password login (throttled)
+ *   POST /login/guest            play as a guest, off the leaderboard
+ *   GET  /account                password change and Google link
+ *   POST /account/password       change the password
+ *   POST /account/google         link the Google account of a credential (JSON)
+ *   POST /account/google/unlink  unlink it
+ *
+ * Registering while signed in with Google links the new account to that
+ * Google identity. Whenever a Google identity is linked, its archived games,
+ * scoreboard entries, settings and rooms move to the account.
+ */
+
+function createAccountRoutes(deps) {
+    const { renderView, createSession, verifyGoogleIdToken, googleClientId, sessionStore } = deps;
+
+    function renderLogin(res, statusCode, extra) {
+        renderView(res, statusCode, 'login.html', Object.assign({
+            googleClientId,
+            hostedDomain: deps.hostedDomain,
+            error: '',
+            loginName: ''
+        }, extra));
+    }
+
+    function renderRegister(res, statusCode, session, extra) {
+        renderView(res, statusCode, 'register.html', Object.assign({
+            username: session ? session.username : null,
+            googleName: session && session.user && session.user.sub && !session.user.accountId ? session.username : '',
+            minPassword: accounts.MIN_PASSWORD_LENGTH,
+            error: '',
+            form: {}
+        }, extra));
+    }
+
+    function renderAccount(res, statusCode, session, extra) {
+        const account = session.user ? accounts.findById(session.user.accountId) : null;
+        renderView(res, statusCode, 'account.html', Object.assign({
+            username: session.username,
+            account,
+            guest: Boolean(session.user && session.user.guest),
+            googleClientId,
+            minPassword: accounts.MIN_PASSWORD_LENGTH,
+            notice: '',
+            error: ''
+        }, extra));
+    }
+
+    // Give the account everything played under the Google identity
+    function moveHistory(fromKey, account) {
+        const toKey = `account:${account.id}`;
+        gameArchive.reassignPlayer(fromKey, toKey);
+        gameService.reassignPlayer(fromKey, toKey, account.displayName);
+        preferences.reassignPlayer(fromKey, toKey);
+        rooms.reassignPlayer(fromKey, toKey, account.displayName);
+    }
+
+    // Point the current session at the (changed) account
+    function refreshSession(session, account) {
+        session.user = accounts.sessionUser(account);
+        session.username = account.displayName;
+        sessionStore.save();
+    }
+
+    async function register(req, res, ctx) {
+        const form = await readForm(req);
+        const session = ctx.session;
+        try {
+            if (form.password !== form.confirm) {
+                throw new GameError(400, 'passwords_mismatch', 'Hai mật khẩu không khớp.');
+            }
+            let account = await accounts.register({ username: form.username, displayName: form.display_name, password: form.password });
+            const google = session && session.user && session.user.sub && !session.user.accountId ? session.user : null;
+            if (google) {
+                const googleKey = userKey(session);
+                // The session only carries an email Google had verified (accounts.googleSessionUser)
+                account = accounts.linkGoogle(account.id, { sub: google.sub, email: google.email, email_verified: Boolean(google.email) });
+                moveHistory(googleKey, account);
+                sessionStore.destroy(ctx.sessionId);
+            }
+            createSession(res, accounts.sessionUser(account));
+            redirect(res, '/');
+        } catch (err) {
+            if (!(err instanceof GameError) || err.status >= 500) throw err;
+            renderRegister(res, err.status, session, {
+                error: errorMessage(err, ctx.locale),
+                form: { username: form.username || '', displayName: form.display_name || '' }
+            });
+        }
+    }
+
+    async function passwordLogin(req, res, ctx) {
+        const form = await readForm(req);
+        try {
+            const account = await accounts.loginWithPassword(req, form.username, form.password);
+            createSession(res, accounts.sessionUser(account));
+            redirect(res, account.mustChangePassword ? '/account' : '/');
+        } catch (err) {
+            if (!(err instanceof GameError) || err.status >= 500) throw err;
+            if (err.retryAfter) res.setHeader('Retry-After', String(err.retryAfter));
+            renderLogin(res, err.status, { error: errorMessage(err, ctx.locale), loginName: form.username || '' });
+        }
+    }
+
+    async function guestLogin(req, res, ctx) {
+        const form = await readForm(req);
+        createSession(res, guestUser(form.name, ctx.locale));
+        redirect(res, '/');
+    }
+
+    async function changePassword(req, res, ctx) {
+        const session = ctx.session;
+        const form = await readForm(req);
+        try {
+            if (form.password !== form.confirm) {
+                throw new GameError(400, 'passwords_mismatch', 'Hai mật khẩu không khớp.');
+            }
+            const account = await accounts.changePassword(session.user && session.user.accountId, form.current, form.password);
+            refreshSession(session, account);
+            renderAccount(res, 200, session, { notice: 'passwordChanged' });
+        } catch (err) {
+            if (!(err instanceof GameError) || err.status >= 500) throw err;
+            renderAccount(res, err.status, session, { error: errorMessage(err, ctx.locale) });
+        }
+    }
+
+    async function linkGoogle(req, res, ctx) {
+        const session = ctx.session;
+        const account = accounts.findById(session.user && session.user.accountId);
+        if (!account) throw new GameError(404, 'account_not_found', 'Không tìm thấy tài khoản.');
+        let payload;
+        try {
+            const body = await readBody(req);
+            payload = await verifyGoogleIdToken((body ? JSON.parse(body) : {}).credential);
+        } catch (err) {
+            if (err.code === 'keys_unavailable') {
+                throw new GameError(503, 'google_unavailable', 'Chưa kiểm tra được đăng nhập Google, vui lòng thử lại sau.');
+            }
+            throw new GameError(401, 'invalid_credential', err.message || 'Google authentication failed');
+        }
+        const linked = accounts.linkGoogle(account.id, payload);
+        moveHistory(`google:${payload.sub}`, linked);
+        refreshSession(session, linked);
+        sendJson(res, 200, { success: true });
+    }
+
+    function sendAccountError(res, ctx, err) {
+        const known = err instanceof GameError;
+        if (!known) logger.error('Account request failed', { err });
+        const message = known ? errorMessage(err, ctx.locale) : translate(ctx.locale, 'common.unexpectedError');
+        if (ctx.pathname === '/account/google') {
+            sendJson(res, known ? err.status : 500, { error: { code: known ? err.code : 'internal_error', message } });
+            return;
+        }
+        renderView(res, known ? err.status : 500, 'message.html', {
+            username: ctx.session ? ctx.session.username : null,
+            title: translate(ctx.locale, 'common.error'),
+            message,
+            backUrl: ctx.session ? '/account' : '/login'
+        });
+    }
+
+    async function route(req, res, ctx) {
+        const { pathname, session } = ctx;
+        const method = req.method;
+        if (pathname === '/register') {
+            if (session && session.user && session.user.accountId) {
+                redirect(res, '/account');
+            } else if (method === 'POST') {
+                await register(req, res, ctx);
+            } else {
+                renderRegister(res, 200, session);
+            }
+            return;
+        }
+        if (pathname === '/login') {
+            await passwordLogin(req, res, ctx);
+            return;
+        }
+        if (pathname === '/login/guest' && method === 'POST') {
+            await guestLogin(req, res, ctx);
+            return;
+        }
+        if (!session) {
+            redirect(res, '/login');
+            return;
+        }
+        if (pathname === '/account' && method === 'GET') {
+            renderAccount(res, 200, session);
+            return;
+        }
+        if (pathname === '/account/password' && method === 'POST') {
+            await changePassword(req, res, ctx);
+            return;
+        }
+        if (pathname === '/account/google' && method === 'POST') {
+            await linkGoogle(req, res, ctx);
+            return;
+        }
+        if (pathname === '/account/google/unlink' && method === 'POST') {
+            refreshSession(session, accounts.unlinkGoogle(session.user && session.user.accountId));
+            renderAccount(res, 200, session, { notice: 'googleUnlinked' });
+            return;
+        }
+        redirect(res, '/account');
+    }
+
+    const ACCOUNT_PATH = /^\/(register|login\/guest|account(\/[a-z/]+)?)$/;
+
+    return function handleAccountRequest(req, res, ctx) {
+        // GET /login stays with the sign-in page in server.js
+        const passwordLoginRequest = ctx.pathname === '/login' && req.method === 'POST';
+        if (!passwordLoginRequest && !ACCOUNT_PATH.test(ctx.pathname)) return false;
+        route(req, res, ctx).catch(err => sendAccountError(res, ctx, err));
+        return true;
+    };
+}
+
+module.exports = { createAccountRoutes };
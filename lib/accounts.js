@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const path = require('path');
+const { promisify } = require('util');
+const { DATA_DIR } = require('./config');
+const { GameError } = require('./errors');
+const { readJson, createDebouncedWriter } = require('./json-file');
+const { checkLoginAllowed, recordLoginFailure, clearLoginFailures } = require('./rate-limit');
+
+/*
+ * Local accounts, next to Google Sign-In, in data/accounts.json:
+ *   { [id]: { id, username, displayName, passwordHash, mustChangePassword,
+ *             googleSub, email, createdAt, updatedAt, lastLoginAt } }
+ *
+ * `username` is the lower-case login name; `displayName` is what the
+ * leaderboard shows and is unique too, so nobody can post scores under
+ * another account's name. Passwords are hashed with scrypt
+ * ("scrypt$N$r$p$salt$hash", parameters kept with each hash). An admin reset
+ * sets a temporary password that must be changed after the next login.
+ * Linking a Google `sub` lets the player sign in either way.
+ *
+ * Changes are written right away: losing a registration or a password change
+ * on a crash would lock the player out.
+ */
+
+const ACCOUNTS_FILE = path.join(DATA_DIR, 'accounts.json');
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{2,31}$/;
+const MAX_DISPLAY_NAME_LENGTH = 40;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLength: 64 };
+
+const scrypt = promisify(crypto.scrypt);
+
+const accounts = new Map(Object.entries(readJson(ACCOUNTS_FILE, {})));
+const writer = createDebouncedWriter(ACCOUNTS_FILE, () => Object.fromEntries(accounts), 'accounts');
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, SCRYPT.keyLength, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+    return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+    const parts = String(stored || '').split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+    const [, N, r, p, salt, hash] = parts;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked against when the username is unknown, so both cases take as long
+const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function normalizeUsername(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+function nameKey(value) {
+    return String(value || '').normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function findByUsername(username) {
+    const wanted = normalizeUsername(username);
+    return Array.from(accounts.values()).find(account => account.username === wanted) || null;
+}
+
+function findById(id) {
+    return (id && accounts.get(id)) || null;
+}
+
+function findByGoogleSub(sub) {
+    if (!sub) return null;
+    return Array.from(accounts.values()).find(account => account.googleSub === sub) || null;
+}
+
+function checkPassword(password) {
+    const text = typeof password === 'string' ? password : '';
+    if (text.length < MIN_PASSWORD_LENGTH) {
+        throw new GameError(400, 'password_too_short', `Mật khẩu cần ít nhất ${MIN_PASSWORD_LENGTH} ký tự.`, { min: MIN_PASSWORD_LENGTH });
+    }
+    if (text.length > MAX_PASSWORD_LENGTH) {
+        throw new GameError(400, 'password_too_long', `Mật khẩu tối đa ${MAX_PASSWORD_LENGTH} ký tự.`, { max: MAX_PASSWORD_LENGTH });
+    }
+    return text;
+}
+
+// The leaderboard name, unless another account already uses it
+function checkDisplayName(value, ownId) {
+    const name = String(value || '').normalize('NFC').trim().replace(/\s+/g, ' ');
+    if (name.length > MAX_DISPLAY_NAME_LENGTH) {
+        throw new GameError(400, 'display_name_too_long', `Tên hiển thị tối đa ${MAX_DISPLAY_NAME_LENGTH} ký tự.`, { max: MAX_DISPLAY_NAME_LENGTH });
+    }
+    const taken = Array.from(accounts.values()).some(account => account.id !== ownId && nameKey(account.displayName) === nameKey(name));
+    if (taken) {
+        throw new GameError(409, 'display_name_taken', 'Tên hiển thị này đã có người dùng.');
+    }
+    return name;
+}
+
+function save() {
+    writer.flush();
+}
+
+async function register(input) {
+    const opts = input || {};
+    const username = normalizeUsername(opts.username);
+    if (!USERNAME_PATTERN.test(username)) {
+        throw new GameError(400, 'username_invalid', 'Tên đăng nhập gồm 3–32 chữ cái không dấu, chữ số, dấu chấm, gạch ngang hoặc gạch dưới.');
+    }
+    if (findByUsername(username)) {
+        throw new GameError(409, 'username_taken', 'Tên đăng nhập này đã có người dùng.');
+    }
+    const displayName = checkDisplayName(opts.displayName || username);
+    const passwordHash = await hashPassword(checkPassword(opts.password));
+    // Someone may have taken the names while the password was being hashed
+    if (findByUsername(username)) {
+        throw new GameError(409, 'username_taken', 'Tên đăng nhập này đã có người dùng.');
+    }
+    checkDisplayName(displayName);
+    const now = new Date().toISOString();
+    const account = {
+        id: crypto.randomBytes(9).toString('base64url'),
+        username,
+        displayName,
+        passwordHash,
+        mustChangePassword: false,
+        googleSub: null,
+        email: null,
+        createdAt: now,
+        updatedAt: now,
+        lastLoginAt: null
+    };
+    accounts.set(account.id, account);
+    save();
+    return account;
+}
+
+// The account for a username and password; throws 401 invalid_login otherwise
+async function authenticate(username, password) {
+    const account = findByUsername(username);
+    const matches = await verifyPassword(String(password || ''), account ? account.passwordHash : await dummyHash);
+    if (!account || !matches) {
+        throw new GameError(401, 'invalid_login', 'Sai tên đăng nhập hoặc mật khẩu.');
+    }
+    account.lastLoginAt = new Date().toISOString();
+    save();
+    return account;
+}
+
+/*
+ * Password login as the web form and the API do it: throttled per account
+ * name and per IP (lib/rate-limit.js), failures counted, success clearing the
+ * account's count.
+ */
+async function loginWithPassword(req, username, password) {
+    const name = normalizeUsername(username);
+    if (!name || !password) {
+        throw new GameError(400, 'password_required', 'Vui lòng nhập tên đăng nhập và mật khẩu.');
+    }
+    checkLoginAllowed(req, name);
+    try {
+        const account = await authenticate(name, password);
+        clearLoginFailures(name);
+        return account;
+    } catch (err) {
+        if (err.code === 'invalid_login') recordLoginFailure(req, name);
+        throw err;
+    }
+}
+
+async function changePassword(id, currentPassword, nextPassword) {
+    const account = findById(id);
+    if (!account) throw new GameError(404, 'account_not_found', 'Không tìm thấy tài khoản.');
+    const password = checkPassword(nextPassword);
+    if (!await verifyPassword(String(currentPassword || ''), account.passwordHash)) {
+        throw new GameError(400, 'wrong_password', 'Mật khẩu hiện tại không đúng.');
+    }
+    account.passwordHash = await hashPassword(password);
+    account.mustChangePassword = false;
+    account.updatedAt = new Date().toISOString();
+    save();
+    return account;
+}
+
+// Admin reset: a temporary password, shown once, that must be changed after login
+async function resetPassword(id) {
+    const account = findById(id);
+    if (!account) throw new GameError(404, 'account_not_found', 'Không tìm thấy tài khoản.');
+    const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+    account.passwordHash = await hashPassword(temporaryPassword);
+    account.mustChangePassword = true;
+    account.updatedAt = new Date().toISOString();
+    save();
+    return { account, temporaryPassword };
+}
+
+/*
+ * The token's email, only when Google has verified it belongs to the user:
+ * admin and teacher rights and the `email:` player key all trust it.
+ */
+function verifiedEmail(payload) {
+    return payload.email && payload.email_verified === true ? String(payload.email) : null;
+}
+
+// Attach a verified Google identity (ID token payload) to the account
+function linkGoogle(id, payload) {
+    const account = findById(id);
+    if (!account) throw new GameError(404, 'account_not_found', 'Không tìm thấy tài khoản.');
+    const owner = findByGoogleSub(payload.sub);
+    if (owner && owner.id !== account.id) {
+        throw new GameError(409, 'google_already_linked', 'Tài khoản Google này đã liên kết với một tài khoản khác.');
+    }
+    account.googleSub = payload.sub;
+    const email = verifiedEmail(payload);
+    account.email = email ? email.toLowerCase() : null;
+    account.updatedAt = new Date().toISOString();
+    save();
+    return account;
+}
+
+function unlinkGoogle(id) {
+    const account = findById(id);
+    if (!account) throw new GameError(404, 'account_not_found', 'Không tìm thấy tài khoản.');
+    account.googleSub = null;
+    account.email = null;
+    account.updatedAt = new Date().toISOString();
+    save();
+    return account;
+}
+
+// Session user of an account (see lib/identity.js)
+function sessionUser(account) {
+    const user = { accountId: account.id, name: account.displayName };
+    if (account.email) user.email = account.email;
+    if (account.googleSub) user.sub = account.googleSub;
+    return user;
+}
+
+/*
+ * Session user for a verified Google login: the linked account when there is
+ * one, otherwise the Google identity itself.
+ */
+function googleSessionUser(payload) {
+    const account = findByGoogleSub(payload.sub);
+    if (!account) {
+        return { name: payload.name, email: verifiedEmail(payload), picture: payload.picture, sub: payload.sub };
+    }
+    account.lastLoginAt = new Date().toISOString();
+    save();
+    return Object.assign(sessionUser(account), { email: verifiedEmail(payload), picture: payload.picture });
+}
+
+// What the admin console lists, newest first; never the password hash
+function listAccounts() {
+    return Array.from(accounts.values())
+        .map(account => ({
+            id: account.id,
+            username: account.username,
+            displayName: account.displayName,
+            googleLinked: Boolean(account.googleSub),
+            email: account.email,
+            mustChangePassword: account.mustChangePassword,
+            createdAt: account.createdAt,
+            lastLoginAt: account.lastLoginAt
+        }))
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+module.exports = {
+    ACCOUNTS_FILE,
+    MIN_PASSWORD_LENGTH,
+    findById,
+    findByGoogleSub,
+    register,
+    authenticate,
+    loginWithPassword,
+    changePassword,
+    resetPassword,
+    linkGoogle,
+    unlinkGoogle,
+    sessionUser,
+    googleSessionUser,
+    listAccounts,
+    normalizeUsername,
+    flush: writer.flush
+};
@@ -0,0 +1,350 @@
+const config = require('./config');
+const accounts = require('./accounts');
+const contentStore = require('./content-store');
+const { GameError } = require('./errors');
+const logger = require('./logger');
+const { STATS } = require('./stats');
+const { moderate, matchingPhrases } = require('./moderation');
+const { localHeuristic, evaluatorStatus } = require('./evaluators');
+const { readForm, redirect } = require('./http-utils');
+const { translate, errorMessage } = require('./i18n');
+
+/*
+ * Admin console for the course content store:
+ *   GET  /admin                          current content, version list
+ *   POST /admin                          save the form as a new version, or preview it
+ *   POST /admin/versions/:n/restore      make an older version live again
+ *   GET  /admin/status                   evaluator backends, API key health, cache
+ *   GET  /admin/accounts                 local accounts
+ *   POST /admin/accounts/:id/reset       temporary password, signs the account out everywhere
+ * Only the Google accounts listed in ADMIN_EMAILS get in.
+ *
+ * The content is written in Vietnamese; the English texts shown to players
+ * who picked English are edited next to it, line for line.
+ */
+
+const RESTORE_PATH = /^\/admin\/versions\/(\d+)\/restore$/;
+const RESET_PATH = /^\/admin\/accounts\/([A-Za-z0-9_-]+)\/reset$/;
+
+function isAdmin(session) {
+    const email = session && session.user && session.user.email ? String(session.user.email).toLowerCase() : '';
+    return Boolean(email) && config.admin.emails.includes(email);
+}
+
+// Locale of the translated fields of the form
+const TRANSLATION_LOCALE = 'en';
+
+function lines(list) {
+    return (list || []).join('\n');
+}
+
+function emptyRow() {
+    return { text: '', ruleId: '', phrases: '', reason: '', translatedText: '', translatedReason: '' };
+}
+
+// Per-religion profile fields; `profile_<n>_religion` names the religion of block n
+const PROFILE_FIELDS = ['values', 'organization', 'activities', 'history', 'suggestedPolicies', 'keywords'];
+const TRANSLATED_PROFILE_FIELDS = ['values', 'organization', 'activities', 'history', 'suggestedPolicies'];
+
+function profileFieldName(idx, field, translated) {
+    const key = field === 'suggestedPolicies' ? 'suggested_policies' : field;
+    return `profile_${idx}_${translated ? 'translated_' : ''}${key}`;
+}
+
+function profileText(value, field) {
+    if (!Array.isArray(value)) return value || '';
+    return field === 'keywords' ? value.join(', ') : lines(value);
+}
+
+function profileRow(religion, profile, translated) {
+    const row = { religion, translated: {} };
+    PROFILE_FIELDS.forEach(field => { row[field] = profileText((profile || {})[field], field); });
+    TRANSLATED_PROFILE_FIELDS.forEach(field => { row.translated[field] = profileText((translated || {})[field], field); });
+    return row;
+}
+
+/*
+ * Form values for a content object. The console shows one row per prohibited
+ * regulation with the phrases of every rule citing it, plus an empty row for
+ * adding a regulation.
+ */
+function contentToForm(content) {
+    const tr = (content.translations || {})[TRANSLATION_LOCALE] || { regulations: {}, reasons: {} };
+    const rows = content.regulations.prohibited.map((text, idx) => {
+        const rules = content.violationRules.filter(rule => rule.regulation === idx);
+        const ruleId = rules.length > 0 ? rules[0].id : '';
+        return {
+            text,
+            ruleId,
+            phrases: rules.reduce((all, rule) => all.concat(rule.phrases), []).join(', '),
+            reason: rules.length > 0 ? rules[0].reason : '',
+            translatedText: (tr.regulations.prohibited || [])[idx] || '',
+            translatedReason: tr.reasons[ruleId] || ''
+        };
+    });
+    rows.push(emptyRow());
+    const stats = STATS.map(stat => ({
+        key: stat.key,
+        label: stat.label,
+        positive: (content.statKeywords[stat.key] || { positive: [] }).positive.join(', '),
+        negative: (content.statKeywords[stat.key] || { negative: [] }).negative.join(', ')
+    }));
+    return {
+        religions: lines(content.religions),
+        suggestedPolicies: lines(content.suggestedPolicies),
+        policy: lines(content.regulations.policy),
+        negationPhrases: content.negationPhrases.join(', '),
+        counterPhrases: content.counterPhrases.join(', '),
+        positiveKeywords: content.positiveKeywords.join(', '),
+        negativeKeywords: content.negativeKeywords.join(', '),
+        translatedReligions: lines(tr.religions),
+        translatedSuggestedPolicies: lines(tr.suggestedPolicies),
+        translatedPolicy: lines(tr.regulations.policy),
+        rows,
+        stats,
+        profiles: content.religions.map(name => profileRow(name, (content.profiles || {})[name], (tr.profiles || {})[name]))
+    };
+}
+
+// Inverse of contentToForm; the result still goes through validateContent
+function formToContent(form) {
+    const prohibited = [];
+    const translatedProhibited = [];
+    const translatedReasons = {};
+    const violationRules = [];
+    for (let i = 0; form[`prohibited_${i}`] !== undefined; i += 1) {
+        const text = String(form[`prohibited_${i}`]).trim();
+        if (!text) continue;
+        let index = prohibited.indexOf(text);
+        if (index === -1) {
+            prohibited.push(text);
+            translatedProhibited.push(form[`prohibited_translated_${i}`] || '');
+            index = prohibited.length - 1;
+        }
+        const id = form[`rule_id_${i}`] || `rule-${index + 1}`;
+        violationRules.push({
+            id,
+            regulation: index,
+            phrases: form[`phrases_${i}`] || '',
+            reason: form[`reason_${i}`] || ''
+        });
+        if (form[`reason_translated_${i}`]) translatedReasons[id] = form[`reason_translated_${i}`];
+    }
+    const statKeywords = {};
+    STATS.forEach(stat => {
+        statKeywords[stat.key] = {
+            positive: form[`stat_${stat.key}_positive`] || '',
+            negative: form[`stat_${stat.key}_negative`] || ''
+        };
+    });
+    const profiles = {};
+    const translatedProfiles = {};
+    for (let i = 0; form[`profile_${i}_religion`] !== undefined; i += 1) {
+        const name = String(form[`profile_${i}_religion`]).trim();
+        profiles[name] = {};
+        translatedProfiles[name] = {};
+        PROFILE_FIELDS.forEach(field => { profiles[name][field] = form[profileFieldName(i, field)] || ''; });
+        TRANSLATED_PROFILE_FIELDS.forEach(field => { translatedProfiles[name][field] = form[profileFieldName(i, field, true)] || ''; });
+    }
+    return {
+        religions: form.religions,
+        suggestedPolicies: form.suggested_policies,
+        regulations: { policy: form.policy, prohibited },
+        violationRules,
+        negationPhrases: form.negation_phrases,
+        counterPhrases: form.counter_phrases,
+        positiveKeywords: form.positive_keywords,
+        negativeKeywords: form.negative_keywords,
+        statKeywords,
+        profiles,
+        translations: {
+            [TRANSLATION_LOCALE]: {
+                religions: form.translated_religions || '',
+                suggestedPolicies: form.translated_suggested_policies || '',
+                regulations: { policy: form.translated_policy || '', prohibited: translatedProhibited },
+                reasons: translatedReasons,
+                profiles: translatedProfiles
+            }
+        }
+    };
+}
+
+// The submitted values as they were typed, to redisplay a draft that failed validation
+function submittedForm(form) {
+    const rows = [];
+    for (let i = 0; form[`prohibited_${i}`] !== undefined; i += 1) {
+        rows.push({
+            text: form[`prohibited_${i}`],
+            ruleId: form[`rule_id_${i}`] || '',
+            phrases: form[`phrases_${i}`] || '',
+            reason: form[`reason_${i}`] || '',
+            translatedText: form[`prohibited_translated_${i}`] || '',
+            translatedReason: form[`reason_translated_${i}`] || ''
+        });
+    }
+    if (rows.length === 0 || rows[rows.length - 1].text) rows.push(emptyRow());
+    const profiles = [];
+    for (let i = 0; form[`profile_${i}_religion`] !== undefined; i += 1) {
+        const row = { religion: form[`profile_${i}_religion`], translated: {} };
+        PROFILE_FIELDS.forEach(field => { row[field] = form[profileFieldName(i, field)] || ''; });
+        TRANSLATED_PROFILE_FIELDS.forEach(field => { row.translated[field] = form[profileFieldName(i, field, true)] || ''; });
+        profiles.push(row);
+    }
+    return {
+        religions: form.religions || '',
+        suggestedPolicies: form.suggested_policies || '',
+        policy: form.policy || '',
+        negationPhrases: form.negation_phrases || '',
+        counterPhrases: form.counter_phrases || '',
+        positiveKeywords: form.positive_keywords || '',
+        negativeKeywords: form.negative_keywords || '',
+        translatedReligions: form.translated_religions || '',
+        translatedSuggestedPolicies: form.translated_suggested_policies || '',
+        translatedPolicy: form.translated_policy || '',
+        rows,
+        stats: STATS.map(stat => ({
+            key: stat.key,
+            label: stat.label,
+            positive: form[`stat_${stat.key}_positive`] || '',
+            negative: form[`stat_${stat.key}_negative`] || ''
+        })),
+        profiles
+    };
+}
+
+// How the offline heuristic and the moderation rules see a sample policy
+function previewDecision(sample, content, locale) {
+    const moderation = moderate(sample, content);
+    const result = localHeuristic(sample, { content, locale });
+    return {
+        sample,
+        moderation,
+        result,
+        positive: matchingPhrases(sample, content.positiveKeywords),
+        negative: matchingPhrases(sample, content.negativeKeywords),
+        stats: STATS.map(stat => ({
+            key: stat.key,
+            label: stat.label,
+            positive: matchingPhrases(sample, content.statKeywords[stat.key].positive),
+            negative: matchingPhrases(sample, content.statKeywords[stat.key].negative)
+        }))
+    };
+}
+
+function createAdminRoutes(deps) {
+    const { renderView, sessionStore } = deps;
+
+    function renderConsole(res, statusCode, session, extra) {
+        const opts = extra || {};
+        renderView(res, statusCode, 'admin.html', {
+            username: session.username,
+            currentVersion: contentStore.currentVersion(),
+            versions: contentStore.listVersions(),
+            form: opts.form || contentToForm(contentStore.getContent()),
+            note: opts.note || '',
+            sample: opts.sample || '',
+            preview: opts.preview || null,
+            saved: opts.saved || null,
+            error: opts.error || null
+        });
+    }
+
+    async function route(req, res, ctx) {
+        const { pathname, session } = ctx;
+        if (pathname === '/admin' && req.method === 'GET') {
+            renderConsole(res, 200, session, { saved: ctx.query.saved || null });
+            return;
+        }
+        if (pathname === '/admin' && req.method === 'POST') {
+            const form = await readForm(req);
+            const draft = formToContent(form);
+            const sample = String(form.sample || '').trim();
+            let content;
+            try {
+                content = contentStore.validateContent(draft);
+            } catch (err) {
+                if (!(err instanceof GameError)) throw err;
+                // Keep the admin's edits on screen together with the error
+                renderConsole(res, err.status, session, { form: submittedForm(form), note: form.note, sample, error: errorMessage(err, ctx.locale) });
+                return;
+            }
+            if (form.action === 'save') {
+                const entry = contentStore.saveVersion(content, { updatedBy: session.username, note: form.note });
+                redirect(res, `/admin?saved=${entry.version}`);
+                return;
+            }
+            renderConsole(res, 200, session, {
+                form: contentToForm(content),
+                note: form.note,
+                sample,
+                preview: sample ? previewDecision(sample, content, ctx.locale) : null
+            });
+            return;
+        }
+        if (pathname === '/admin/status' && req.method === 'GET') {
+            renderView(res, 200, 'admin-status.html', {
+                username: session.username,
+                status: evaluatorStatus(),
+                checkedAt: new Date().toISOString()
+            });
+            return;
+        }
+        if (pathname === '/admin/accounts' && req.method === 'GET') {
+            renderView(res, 200, 'admin-accounts.html', { username: session.username, accounts: accounts.listAccounts(), reset: null });
+            return;
+        }
+        const resetMatch = pathname.match(RESET_PATH);
+        if (resetMatch && req.method === 'POST') {
+            const { account, temporaryPassword } = await accounts.resetPassword(resetMatch[1]);
+            sessionStore.destroyWhere(other => Boolean(other.user && other.user.accountId === account.id));
+            // Rendered rather than redirected to: the temporary password is shown this once
+            renderView(res, 200, 'admin-accounts.html', {
+                username: session.username,
+                accounts: accounts.listAccounts(),
+                reset: { username: account.username, temporaryPassword }
+            });
+            return;
+        }
+        const match = pathname.match(RESTORE_PATH);
+        if (match && req.method === 'POST') {
+            const entry = contentStore.restoreVersion(Number(match[1]), { updatedBy: session.username });
+            redirect(res, `/admin?saved=${entry.version}`);
+            return;
+        }
+        throw new GameError(404, 'not_found', 'Không tìm thấy trang.');
+    }
+
+    // Returns true when the request was for the admin console
+    return function handleAdminRequest(req, res, ctx) {
+        if (ctx.pathname !== '/admin' && !ctx.pathname.startsWith('/admin/')) return false;
+        if (!ctx.session) {
+            redirect(res, '/login');
+            return true;
+        }
+        if (!isAdmin(ctx.session)) {
+            renderView(res, 403, 'message.html', {
+                username: ctx.session.username,
+                title: translate(ctx.locale, 'admin.forbiddenTitle'),
+                message: translate(ctx.locale, 'admin.forbidden'),
+                backUrl: '/'
+            });
+            return true;
+        }
+        route(req, res, ctx).catch(err => {
+            if (err instanceof GameError) {
+                renderConsole(res, err.status, ctx.session, { error: errorMessage(err, ctx.locale) });
+                return;
+            }
+            logger.error('Admin request failed', { err });
+            renderView(res, 500, 'message.html', {
+                username: ctx.session.username,
+                title: translate(ctx.locale, 'common.error'),
+                message: translate(ctx.locale, 'common.unexpectedError'),
+                backUrl: '/admin'
+            });
+        });
+        return true;
+    };
+}
+
+module.exports = { createAdminRoutes, isAdmin };
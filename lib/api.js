@@ -0,0 +1,257 @@
+const gameService = require('./game-service');
+const { GameError } = gameService;
+const rooms = require('./rooms');
+const accounts = require('./accounts');
+const { userKey, guestUser } = require('./identity');
+const archive = require('./game-archive');
+const logger = require('./logger');
+const { checkDecisionRate } = require('./rate-limit');
+const { readJson, sendJson } = require('./http-utils');
+const { translate, errorMessage, isSupported, LOCALES } = require('./i18n');
+
+/*
+ * Versioned JSON API (/api/v1) over the same game service the HTML pages use.
+ * Clients authenticate with the session cookie or with the token returned by
+ * POST /api/v1/session (Google credential, account password or guest) or
+ * POST /api/v1/accounts, sent as `Authorization: Bearer <token>`.
+ * Errors are always { "error": { "code": "...", "message": "..." } }, with the
+ * message in the session's language (or Accept-Language).
+ */
+
+const API_PREFIX = '/api/v1';
+
+function sendError(res, err, locale) {
+    if (err instanceof GameError) {
+        sendJson(res, err.status, { error: { code: err.code, message: errorMessage(err, locale) } });
+        return;
+    }
+    if (err instanceof SyntaxError) {
+        sendJson(res, 400, { error: { code: 'invalid_json', message: translate(locale, 'errors.invalid_json') } });
+        return;
+    }
+    logger.error('API request failed', { err });
+    sendJson(res, 500, { error: { code: 'internal_error', message: translate(locale, 'errors.internal_error') } });
+}
+
+function requireSession(session) {
+    if (!session) {
+        throw new GameError(401, 'unauthenticated', 'Bạn cần đăng nhập.');
+    }
+    return session;
+}
+
+function methodNotAllowed(allowed) {
+    const err = new GameError(405, 'method_not_allowed', `Allowed: ${allowed.join(', ')}`, { allowed: allowed.join(', ') });
+    err.allow = allowed;
+    return err;
+}
+
+function createApiHandler(deps) {
+    const sessionStore = deps.sessionStore;
+
+    function startSession(res, statusCode, userInfo, extra) {
+        const token = deps.createSession(res, userInfo);
+        const session = sessionStore.get(token);
+        sendJson(res, statusCode, Object.assign({ token, username: session.username }, extra));
+    }
+
+    async function googleLogin(credential) {
+        let payload;
+        try {
+            payload = await deps.verifyGoogleIdToken(credential);
+        } catch (err) {
+            if (err.code === 'keys_unavailable') {
+                throw new GameError(503, 'google_unavailable', 'Chưa kiểm tra được đăng nhập Google, vui lòng thử lại sau.');
+            }
+            throw new GameError(401, 'invalid_credential', err.message || 'Google authentication failed');
+        }
+        return accounts.googleSessionUser(payload);
+    }
+
+    // { credential } for Google, { username, password } for a local account, { guest: true, name } for a guest
+    async function login(req, res, ctx) {
+        const body = await readJson(req);
+        if (body.credential) {
+            startSession(res, 201, await googleLogin(body.credential));
+            return;
+        }
+        if (body.guest) {
+            startSession(res, 201, guestUser(body.name, ctx.locale), { guest: true });
+            return;
+        }
+        const account = await accounts.loginWithPassword(req, body.username, body.password);
+        startSession(res, 201, accounts.sessionUser(account), { mustChangePassword: account.mustChangePassword });
+    }
+
+    async function route(req, res, ctx) {
+        const subPath = ctx.pathname.slice(API_PREFIX.length) || '/';
+        const method = req.method;
+
+        if (subPath === '/session') {
+            if (method === 'POST') return login(req, res, ctx);
+            if (method === 'DELETE') {
+                requireSession(ctx.session);
+                sessionStore.destroy(ctx.sessionId);
+                res.writeHead(204);
+                res.end();
+                return;
+            }
+            if (method === 'GET') {
+                const session = requireSession(ctx.session);
+                sendJson(res, 200, { username: session.username, hasGame: Boolean(session.game), language: ctx.locale });
+                return;
+            }
+            throw methodNotAllowed(['GET', 'POST', 'DELETE']);
+        }
+
+        if (subPath === '/accounts') {
+            if (method !== 'POST') throw methodNotAllowed(['POST']);
+            const body = await readJson(req);
+            const account = await accounts.register({ username: body.username, displayName: body.displayName, password: body.password });
+            startSession(res, 201, accounts.sessionUser(account));
+            return;
+        }
+
+        if (subPath === '/account/password') {
+            const session = requireSession(ctx.session);
+            if (method !== 'POST') throw methodNotAllowed(['POST']);
+            const body = await readJson(req);
+            const account = await accounts.changePassword(session.user && session.user.accountId, body.current, body.password);
+            session.user = accounts.sessionUser(account);
+            sessionStore.save();
+            sendJson(res, 200, { success: true });
+            return;
+        }
+
+        if (subPath === '/session/language') {
+            const session = requireSession(ctx.session);
+            if (method !== 'PUT') throw methodNotAllowed(['PUT']);
+            const body = await readJson(req);
+            if (!isSupported(body.language)) {
+                throw new GameError(400, 'invalid_language', `Ngôn ngữ phải là một trong: ${LOCALES.join(', ')}.`, { languages: LOCALES.join(', ') });
+            }
+            deps.changeLanguage(res, session, body.language);
+            sendJson(res, 200, { language: body.language });
+            return;
+        }
+
+        if (subPath === '/religions') {
+            if (method !== 'GET') throw methodNotAllowed(['GET']);
+            const available = gameService.availableReligions(ctx.session);
+            sendJson(res, 200, {
+                religions: available.religions,
+                allowCustom: available.allowCustom,
+                roomCode: available.room ? available.room.code : null
+            });
+            return;
+        }
+
+        if (subPath === '/rooms/join') {
+            const session = requireSession(ctx.session);
+            if (method !== 'POST') throw methodNotAllowed(['POST']);
+            const body = await readJson(req);
+            const room = rooms.joinRoom(body.code, { key: userKey(session), username: session.username });
+            session.roomCode = room.code;
+            sessionStore.save();
+            sendJson(res, 200, { room: { code: room.code, name: room.name, status: room.status, settings: room.settings } });
+            return;
+        }
+
+        if (subPath === '/leaderboard') {
+            if (method !== 'GET') throw methodNotAllowed(['GET']);
+            const board = gameService.getLeaderboard(ctx.query, ctx.session);
+            sendJson(res, 200, {
+                filters: board.filters,
+                total: board.total,
+                page: board.filters.page,
+                pages: board.pages,
+                entries: board.entries,
+                own: board.own
+            });
+            return;
+        }
+
+        if (subPath === '/game') {
+            const session = requireSession(ctx.session);
+            if (method === 'GET') {
+                if (gameService.expireRounds(session, { locale: ctx.locale })) sessionStore.save();
+                sendJson(res, 200, { game: gameService.getState(session, ctx.locale) });
+                return;
+            }
+            if (method === 'POST') {
+                const body = await readJson(req);
+                gameService.startGame(session, {
+                    religion: body.religion,
+                    custom: body.custom === true,
+                    profile: body.profile,
+                    mode: body.mode,
+                    difficulty: body.difficulty,
+                    timed: body.timed === true
+                });
+                sessionStore.save();
+                sendJson(res, 201, { game: gameService.getState(session, ctx.locale) });
+                return;
+            }
+            throw methodNotAllowed(['GET', 'POST']);
+        }
+
+        if (subPath === '/game/decisions') {
+            const session = requireSession(ctx.session);
+            if (method !== 'POST') throw methodNotAllowed(['POST']);
+            checkDecisionRate(req, ctx.sessionId);
+            const body = await readJson(req);
+            let evaluation;
+            try {
+                evaluation = await gameService.submitDecision(session, body.decision, { locale: ctx.locale });
+            } catch (err) {
+                // The rounds that ran out are forfeited even though the decision is refused
+                if (err instanceof GameError && err.code === 'round_timeout') sessionStore.save();
+                throw err;
+            }
+            sessionStore.save();
+            sendJson(res, 200, { evaluation, game: gameService.getState(session, ctx.locale) });
+            return;
+        }
+
+        if (subPath === '/game/finish') {
+            const session = requireSession(ctx.session);
+            if (method !== 'POST') throw methodNotAllowed(['POST']);
+            const result = gameService.finishGame(session, { locale: ctx.locale });
+            sessionStore.save();
+            sendJson(res, 200, { result });
+            return;
+        }
+
+        if (subPath === '/profile/games') {
+            const session = requireSession(ctx.session);
+            if (method !== 'GET') throw methodNotAllowed(['GET']);
+            sendJson(res, 200, { games: archive.listPlayerGames(userKey(session)) });
+            return;
+        }
+
+        const gameMatch = subPath.match(/^\/profile\/games\/([A-Za-z0-9_-]+)$/);
+        if (gameMatch) {
+            const session = requireSession(ctx.session);
+            if (method !== 'GET') throw methodNotAllowed(['GET']);
+            const record = archive.getPlayerGame(userKey(session), gameMatch[1]);
+            if (!record) throw new GameError(404, 'game_not_found', 'Không tìm thấy ván chơi này.');
+            sendJson(res, 200, { game: Object.assign({}, record, { history: archive.replayFrames(record) }) });
+            return;
+        }
+
+        throw new GameError(404, 'not_found', 'Unknown API endpoint.');
+    }
+
+    // Returns true when the request belonged to the API
+    return function handleApiRequest(req, res, ctx) {
+        if (ctx.pathname !== API_PREFIX && !ctx.pathname.startsWith(API_PREFIX + '/')) return false;
+        route(req, res, ctx).catch(err => {
+            if (err && err.allow) res.setHeader('Allow', err.allow.join(', '));
+            if (err && err.retryAfter) res.setHeader('Retry-After', String(err.retryAfter));
+            sendError(res, err, ctx.locale);
+        });
+        return true;
+    };
+}
+
+module.exports = { API_PREFIX, createApiHandler };
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Runtime configuration read from environment variables (loaded from .env by
+ * server.js before this module is required). Values that need more structure
+ * than an env variable can hold may be placed in the JSON file named by
+ * EVALUATOR_CONFIG; env variables still win over the file.
+ */
+
+function readList(value, fallback) {
+    if (!value) return fallback;
+    const list = String(value).split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    return list.length > 0 ? list : fallback;
+}
+
+function readNumber(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : fallback;
+}
+
+function readSameSite(value) {
+    const wanted = String(value || '').trim().toLowerCase();
+    return { strict: 'Strict', none: 'None' }[wanted] || 'Lax';
+}
+
+// Problems met while reading the configuration; lib/logger.js needs this module, so server.js logs them at startup
+const warnings = [];
+
+function readJsonFile(filePath) {
+    if (!filePath) return {};
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (err) {
+        warnings.push({ msg: 'Could not read config file', fields: { file: filePath, err } });
+        return {};
+    }
+}
+
+function auditLogFile(value) {
+    if (value === 'off') return null;
+    return value || path.join(DATA_DIR, 'evaluator-audit.jsonl');
+}
+
+// Evaluator backends, tried in order until one succeeds
+function loadEvaluatorConfig(env) {
+    const file = readJsonFile(env.EVALUATOR_CONFIG);
+    const fileGemini = file.gemini || {};
+    const fileOpenai = file.openai || {};
+    const fileCache = file.cache || {};
+    const sharedModel = env.EVALUATOR_MODEL || file.model;
+    const temperature = readNumber(env.EVALUATOR_TEMPERATURE, readNumber(file.temperature, undefined));
+    const timeoutMs = readNumber(env.EVALUATOR_TIMEOUT_MS, readNumber(file.timeoutMs, 20000));
+    return {
+        backends: readList(env.EVALUATOR_BACKENDS, Array.isArray(file.backends) ? file.backends : ['gemini', 'heuristic']),
+        temperature,
+        timeoutMs,
+        gemini: {
+            model: env.GEMINI_MODEL || fileGemini.model || sharedModel || 'gemini-3-flash-preview',
+            temperature: readNumber(env.GEMINI_TEMPERATURE, readNumber(fileGemini.temperature, temperature)),
+            timeoutMs: readNumber(env.GEMINI_TIMEOUT_MS, readNumber(fileGemini.timeoutMs, timeoutMs)),
+            // Consecutive failures before a key is rested, and the first rest period
+            keyHealth: {
+                failureThreshold: readNumber(env.GEMINI_KEY_FAILURES, readNumber(fileGemini.keyFailures, 2)),
+                cooldownMs: readNumber(env.GEMINI_KEY_COOLDOWN_SECONDS, readNumber(fileGemini.keyCooldownSeconds, 60)) * 1000
+            }
+        },
+        openai: {
+            baseUrl: env.OPENAI_BASE_URL || fileOpenai.baseUrl || 'http://localhost:11434/v1',
+            apiKey: env.OPENAI_API_KEY || fileOpenai.apiKey || '',
+            model: env.OPENAI_MODEL || fileOpenai.model || sharedModel || 'llama3.1',
+            temperature: readNumber(env.OPENAI_TEMPERATURE, readNumber(fileOpenai.temperature, temperature)),
+            timeoutMs: readNumber(env.OPENAI_TIMEOUT_MS, readNumber(fileOpenai.timeoutMs, timeoutMs)),
+            // "json_object", "json_schema" or "none", depending on what the server supports
+            responseFormat: env.OPENAI_RESPONSE_FORMAT || fileOpenai.responseFormat || 'json_object'
+        },
+        // JSON-lines log of every model answer and its validation; "off" disables it
+        audit: {
+            file: auditLogFile(env.EVALUATOR_AUDIT_LOG || file.auditLog),
+            maxBytes: readNumber(env.EVALUATOR_AUDIT_MAX_MB, readNumber(file.auditMaxMb, 5)) * 1024 * 1024
+        },
+        // Model answers kept for identical decisions; size 0 turns the cache off
+        cache: {
+            maxEntries: readNumber(env.EVALUATION_CACHE_SIZE, readNumber(fileCache.maxEntries, 500)),
+            ttlMs: readNumber(env.EVALUATION_CACHE_TTL_MINUTES, readNumber(fileCache.ttlMinutes, 60)) * 60 * 1000
+        }
+    };
+}
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Player sessions: idle expiry, absolute expiry and how often expired ones are purged
+function loadSessionConfig(env) {
+    return {
+        file: env.SESSION_FILE || path.join(DATA_DIR, 'sessions.json'),
+        idleTtlMs: readNumber(env.SESSION_IDLE_MINUTES, 24 * 60) * 60 * 1000,
+        absoluteTtlMs: readNumber(env.SESSION_MAX_AGE_HOURS, 7 * 24) * 60 * 60 * 1000,
+        cleanupIntervalMs: readNumber(env.SESSION_CLEANUP_MINUTES, 10) * 60 * 1000
+    };
+}
+
+// Final score: an expression over followers, stateTrust, finances, cohesion and contribution
+const DEFAULT_SCORE_FORMULA = 'round(followers * (stateTrust + finances + cohesion + contribution) / 200)';
+
+module.exports = {
+    DATA_DIR,
+    readList,
+    readNumber,
+    readJsonFile,
+    warnings,
+    evaluator: loadEvaluatorConfig(process.env),
+    session: loadSessionConfig(process.env),
+    rooms: {
+        // When set, only these Google emails may create classroom rooms
+        teacherEmails: readList(process.env.TEACHER_EMAILS, [])
+    },
+    rateLimit: {
+        // Decisions allowed per window; 0 turns a limit off. A classroom often shares one IP.
+        windowMs: readNumber(process.env.RATE_LIMIT_WINDOW_SECONDS, 60) * 1000,
+        perSession: readNumber(process.env.RATE_LIMIT_PER_SESSION, 6),
+        perIp: readNumber(process.env.RATE_LIMIT_PER_IP, 120),
+        // Take the client address from X-Forwarded-For (only behind a reverse proxy)
+        trustProxy: ['1', 'true', 'yes'].includes(String(process.env.TRUST_PROXY || '').toLowerCase())
+    },
+    google: {
+        // Only accounts of this Google Workspace domain may sign in (`hd` claim), e.g. "example.edu.vn"
+        hostedDomain: String(process.env.GOOGLE_HOSTED_DOMAIN || '').trim().toLowerCase(),
+        // Keys are fetched from jwksUrl and cached, or read from jwksFile without network access
+        jwksUrl: process.env.GOOGLE_JWKS_URL || 'https://www.googleapis.com/oauth2/v3/certs',
+        jwksFile: process.env.GOOGLE_JWKS_FILE || null,
+        clockSkewSeconds: readNumber(process.env.GOOGLE_CLOCK_SKEW_SECONDS, 300)
+    },
+    loginThrottle: {
+        // Failed password logins allowed per window, per account name and per IP (a classroom shares one)
+        windowMs: readNumber(process.env.LOGIN_THROTTLE_WINDOW_MINUTES, 15) * 60 * 1000,
+        perAccount: readNumber(process.env.LOGIN_MAX_FAILURES, 5),
+        perIp: readNumber(process.env.LOGIN_MAX_FAILURES_PER_IP, 50)
+    },
+    admin: {
+        // Google emails allowed to edit course content at /admin
+        emails: readList(process.env.ADMIN_EMAILS, [])
+    },
+    i18n: {
+        // Language used when neither the player nor the browser picks a supported one
+        defaultLocale: String(process.env.DEFAULT_LOCALE || 'vi').toLowerCase()
+    },
+    modes: {
+        // Seconds a player has for each round of a timed game
+        roundSeconds: readNumber(process.env.ROUND_SECONDS, 90)
+    },
+    static: {
+        // How long browsers may reuse a file under /static/ before revalidating it
+        maxAgeSeconds: readNumber(process.env.STATIC_MAX_AGE_SECONDS, 3600)
+    },
+    leaderboard: {
+        // First day of the current season (ISO date); defaults to the start of the quarter
+        seasonStart: process.env.LEADERBOARD_SEASON_START || null
+    },
+    scoring: {
+        formula: process.env.SCORE_FORMULA || DEFAULT_SCORE_FORMULA
+    },
+    security: {
+        // "auto": cookies are Secure on HTTPS requests (X-Forwarded-Proto counts with TRUST_PROXY); "true" or "false" forces it
+        secureCookies: String(process.env.COOKIE_SECURE || 'auto').trim().toLowerCase(),
+        // Strict, Lax or None (None needs Secure cookies)
+        sameSite: readSameSite(process.env.COOKIE_SAMESITE),
+        // Larger request bodies are refused with 413
+        maxBodyBytes: readNumber(process.env.MAX_BODY_KB, 256) * 1024
+    },
+    scoreboard: {
+        // "json" (one file, fine for a class) or "sqlite" (Node.js 22.5+, for many classes)
+        store: String(process.env.SCOREBOARD_STORE || 'json').trim().toLowerCase(),
+        file: process.env.SCOREBOARD_FILE || path.join(DATA_DIR, 'scoreboard.json'),
+        sqliteFile: process.env.SCOREBOARD_SQLITE_FILE || path.join(DATA_DIR, 'scoreboard.sqlite')
+    },
+    logging: {
+        // debug, info, warn or error; lines below it are dropped
+        level: String(process.env.LOG_LEVEL || 'info').trim().toLowerCase()
+    },
+    metrics: {
+        // When set, /metrics answers only requests with "Authorization: Bearer <token>"
+        token: process.env.METRICS_TOKEN || ''
+    }
+};
@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./config');
+const defaults = require('./content');
+const { GameError } = require('./errors');
+const logger = require('./logger');
+const { readJson, writeJsonAtomic } = require('./json-file');
+const { normalizeProfile, isEmptyProfile } = require('./religion-profiles');
+
+/*
+ * Versioned course content: regulations, moderation phrases, scoring
+ * keywords, religions with their profiles (lib/religion-profiles.js) and
+ * suggested policies. lib/content.js holds the built-in defaults (version 1);
+ * every edit from the admin console appends a new version to
+ * data/content.json:
+ *   { versions: [{ version, updatedAt, updatedBy, note, content }] }
+ * The newest version is the live one. The file is re-read whenever its mtime
+ * changes, so edits (also by hand) apply without a restart. Games record the
+ * version they started with and keep using it until they finish.
+ *
+ * The content is written in Vietnamese; `translations` holds, per locale, the
+ * texts players read (religion names, suggestions, regulations, violation
+ * reasons, profiles). localizeContent() swaps them in for a player's language.
+ *
+ * Versions saved before religions had profiles get the built-in profiles.
+ */
+
+const CONTENT_FILE = path.join(DATA_DIR, 'content.json');
+const MAX_ITEM_LENGTH = 300;
+
+function defaultContent() {
+    return {
+        religions: defaults.PREDEFINED_RELIGIONS.slice(),
+        suggestedPolicies: defaults.SUGGESTED_POLICIES.slice(),
+        regulations: {
+            policy: defaults.STATE_REGULATIONS.policy.slice(),
+            prohibited: defaults.STATE_REGULATIONS.prohibited.slice()
+        },
+        violationRules: defaults.VIOLATION_RULES.map(rule => Object.assign({}, rule, { phrases: rule.phrases.slice() })),
+        negationPhrases: defaults.NEGATION_PHRASES.slice(),
+        counterPhrases: defaults.COUNTER_PHRASES.slice(),
+        positiveKeywords: defaults.POSITIVE_KEYWORDS.slice(),
+        negativeKeywords: defaults.NEGATIVE_KEYWORDS.slice(),
+        statKeywords: JSON.parse(JSON.stringify(defaults.STAT_KEYWORDS)),
+        profiles: JSON.parse(JSON.stringify(defaults.RELIGION_PROFILES)),
+        translations: JSON.parse(JSON.stringify(defaults.CONTENT_TRANSLATIONS))
+    };
+}
+
+const BUILTIN_VERSION = { version: 1, updatedAt: null, updatedBy: null, note: 'Nội dung mặc định', content: defaultContent() };
+
+// Trimmed, de-duplicated list of non-empty strings; accepts an array or newline/comma separated text
+function cleanList(value, label, options) {
+    const opts = options || {};
+    let items = value;
+    if (typeof items === 'string') items = items.split(opts.splitCommas ? /[\n,]/ : /\n/);
+    if (!Array.isArray(items)) items = [];
+    const seen = new Set();
+    const list = [];
+    items.forEach(item => {
+        const text = String(item === undefined || item === null ? '' : item).trim();
+        if (!text || seen.has(text)) return;
+        if (text.length > MAX_ITEM_LENGTH) {
+            throw new GameError(400, 'content_item_too_long', `${label}: mỗi mục tối đa ${MAX_ITEM_LENGTH} ký tự.`, { label, max: MAX_ITEM_LENGTH });
+        }
+        seen.add(text);
+        list.push(text);
+    });
+    if (opts.required && list.length === 0) {
+        throw new GameError(400, 'content_list_empty', `${label}: cần ít nhất một mục.`, { label });
+    }
+    return list;
+}
+
+/*
+ * A translated list lined up with its Vietnamese list: one item per line (or
+ * array entry), blank where there is no translation, cut to `length` items.
+ */
+function alignedList(value, length, label) {
+    let items = value;
+    if (typeof items === 'string') items = items.split('\n');
+    if (!Array.isArray(items)) items = [];
+    const list = [];
+    for (let i = 0; i < length; i += 1) {
+        const text = String(items[i] === undefined || items[i] === null ? '' : items[i]).trim();
+        if (text.length > MAX_ITEM_LENGTH) {
+            throw new GameError(400, 'content_item_too_long', `${label}: mỗi mục tối đa ${MAX_ITEM_LENGTH} ký tự.`, { label, max: MAX_ITEM_LENGTH });
+        }
+        list.push(text);
+    }
+    return list;
+}
+
+// Profiles of the listed religions, keyed by religion name
+function validateProfiles(raw, religions) {
+    const source = raw && typeof raw === 'object' ? raw : defaults.RELIGION_PROFILES;
+    const profiles = {};
+    religions.forEach(name => {
+        if (!source[name]) return;
+        const profile = normalizeProfile(source[name]);
+        if (!isEmptyProfile(profile) || profile.suggestedPolicies.length > 0) profiles[name] = profile;
+    });
+    return profiles;
+}
+
+// Translated profiles: descriptive fields as written, suggestions lined up with the Vietnamese ones
+function validateProfileTranslations(raw, base, locale) {
+    const builtin = (defaults.CONTENT_TRANSLATIONS[locale] || {}).profiles || {};
+    const source = raw && typeof raw === 'object' ? raw : builtin;
+    const profiles = {};
+    Object.keys(base.profiles).forEach(name => {
+        if (!source[name]) return;
+        const profile = normalizeProfile(source[name], ['values', 'organization', 'activities', 'history']);
+        profile.suggestedPolicies = alignedList(source[name].suggestedPolicies, base.profiles[name].suggestedPolicies.length, `Chính sách gợi ý của ${name} (${locale})`);
+        profiles[name] = profile;
+    });
+    return profiles;
+}
+
+function validateTranslations(raw, base) {
+    const translations = {};
+    Object.keys(raw && typeof raw === 'object' ? raw : {}).forEach(locale => {
+        if (!/^[a-z]{2}$/.test(locale)) return;
+        const tr = raw[locale] || {};
+        const regulations = tr.regulations || {};
+        const reasons = {};
+        base.violationRules.forEach(rule => {
+            const text = String((tr.reasons || {})[rule.id] || '').trim();
+            if (text) reasons[rule.id] = text.slice(0, MAX_ITEM_LENGTH);
+        });
+        translations[locale] = {
+            religions: alignedList(tr.religions, base.religions.length, `Tôn giáo (${locale})`),
+            suggestedPolicies: alignedList(tr.suggestedPolicies, base.suggestedPolicies.length, `Chính sách gợi ý (${locale})`),
+            regulations: {
+                policy: alignedList(regulations.policy, base.regulations.policy.length, `Chính sách của Nhà nước (${locale})`),
+                prohibited: alignedList(regulations.prohibited, base.regulations.prohibited.length, `Điều nghiêm cấm (${locale})`)
+            },
+            reasons,
+            profiles: validateProfileTranslations(tr.profiles, base, locale)
+        };
+    });
+    return translations;
+}
+
+// Validate a full content object, returning a normalized copy
+function validateContent(input) {
+    const raw = input || {};
+    const regulations = raw.regulations || {};
+    const prohibited = cleanList(regulations.prohibited, 'Điều nghiêm cấm', { required: true });
+    const statKeywords = {};
+    Object.keys(defaults.STAT_KEYWORDS).forEach(key => {
+        const words = (raw.statKeywords || {})[key] || {};
+        statKeywords[key] = {
+            positive: cleanList(words.positive, `Từ khóa tăng ${key}`, { splitCommas: true }),
+            negative: cleanList(words.negative, `Từ khóa giảm ${key}`, { splitCommas: true })
+        };
+    });
+    const violationRules = (Array.isArray(raw.violationRules) ? raw.violationRules : []).map((rule, idx) => {
+        const regulation = Number(rule.regulation);
+        if (!Number.isInteger(regulation) || regulation < 0 || regulation >= prohibited.length) {
+            throw new GameError(400, 'invalid_rule', `Quy tắc ${idx + 1} trỏ tới điều nghiêm cấm không tồn tại.`, { number: idx + 1 });
+        }
+        return {
+            id: String(rule.id || `rule-${idx + 1}`).trim(),
+            regulation,
+            phrases: cleanList(rule.phrases, `Cụm từ vi phạm (điều ${regulation + 1})`, { splitCommas: true }),
+            reason: String(rule.reason || '').trim().slice(0, MAX_ITEM_LENGTH)
+        };
+    }).filter(rule => rule.phrases.length > 0);
+    const religions = cleanList(raw.religions, 'Tôn giáo', { required: true });
+    const content = {
+        religions,
+        suggestedPolicies: cleanList(raw.suggestedPolicies, 'Chính sách gợi ý'),
+        regulations: {
+            policy: cleanList(regulations.policy, 'Chính sách của Nhà nước', { required: true }),
+            prohibited
+        },
+        violationRules,
+        negationPhrases: cleanList(raw.negationPhrases, 'Từ phủ định', { splitCommas: true }),
+        counterPhrases: cleanList(raw.counterPhrases, 'Cụm từ phòng chống', { splitCommas: true }),
+        positiveKeywords: cleanList(raw.positiveKeywords, 'Từ khóa tích cực', { splitCommas: true }),
+        negativeKeywords: cleanList(raw.negativeKeywords, 'Từ khóa tiêu cực', { splitCommas: true }),
+        statKeywords,
+        profiles: validateProfiles(raw.profiles, religions)
+    };
+    content.translations = validateTranslations(raw.translations, content);
+    return content;
+}
+
+function pickTranslated(base, translated) {
+    return base.map((item, idx) => (translated && translated[idx]) || item);
+}
+
+/*
+ * The content as a player of `locale` reads it. Religion names stay the
+ * Vietnamese ones (they identify the religion in rooms and on the
+ * leaderboard); use religionNames() to display them.
+ */
+function localizeContent(content, locale) {
+    const tr = content.translations && content.translations[locale];
+    if (!tr) return content;
+    return Object.assign({}, content, {
+        suggestedPolicies: pickTranslated(content.suggestedPolicies, tr.suggestedPolicies),
+        regulations: {
+            policy: pickTranslated(content.regulations.policy, tr.regulations.policy),
+            prohibited: pickTranslated(content.regulations.prohibited, tr.regulations.prohibited)
+        },
+        violationRules: content.violationRules.map(rule => (tr.reasons[rule.id]
+            ? Object.assign({}, rule, { reason: tr.reasons[rule.id] })
+            : rule)),
+        profiles: localizeProfiles(content.profiles, tr.profiles)
+    });
+}
+
+// Translated profile fields where there are some; keywords stay as they are
+function localizeProfiles(profiles, translated) {
+    const localized = {};
+    Object.keys(profiles || {}).forEach(name => {
+        const base = profiles[name];
+        const tr = (translated || {})[name];
+        if (!tr) {
+            localized[name] = base;
+            return;
+        }
+        localized[name] = Object.assign({}, base, {
+            values: tr.values.length > 0 ? tr.values : base.values,
+            organization: tr.organization || base.organization,
+            activities: tr.activities.length > 0 ? tr.activities : base.activities,
+            history: tr.history || base.history,
+            suggestedPolicies: pickTranslated(base.suggestedPolicies, tr.suggestedPolicies)
+        });
+    });
+    return localized;
+}
+
+// Profile of a predefined religion, or null when it has none
+function religionProfile(content, religion) {
+    return (content.profiles && content.profiles[religion]) || null;
+}
+
+// Suggestions for a predefined religion: its own first, then the general ones
+function suggestionsFor(content, religion) {
+    const profile = religionProfile(content, religion);
+    const own = profile ? profile.suggestedPolicies : [];
+    return own.concat(content.suggestedPolicies.filter(text => !own.includes(text)));
+}
+
+// { Vietnamese name: name in `locale` } for the predefined religions that have a translation
+function religionNames(content, locale) {
+    const names = {};
+    const tr = content.translations && content.translations[locale];
+    if (!tr) return names;
+    content.religions.forEach((name, idx) => {
+        if (tr.religions[idx]) names[name] = tr.religions[idx];
+    });
+    return names;
+}
+
+let versions = [BUILTIN_VERSION];
+let loadedMtime = null;
+
+// Re-read data/content.json when it changed on disk
+function reloadIfChanged() {
+    let mtime = null;
+    try {
+        mtime = fs.statSync(CONTENT_FILE).mtimeMs;
+    } catch (err) {
+        mtime = null;
+    }
+    if (mtime === loadedMtime) return;
+    loadedMtime = mtime;
+    if (mtime === null) {
+        versions = [BUILTIN_VERSION];
+        return;
+    }
+    const data = readJson(CONTENT_FILE, null);
+    if (!data || !Array.isArray(data.versions) || data.versions.length === 0) {
+        logger.error('Ignoring unreadable content file; keeping the content already loaded', { file: CONTENT_FILE });
+        return;
+    }
+    try {
+        versions = data.versions.map(entry => Object.assign({}, entry, { content: validateContent(entry.content) }));
+    } catch (err) {
+        logger.error('Invalid content file; keeping the content already loaded', { file: CONTENT_FILE, err });
+    }
+}
+
+function currentEntry() {
+    reloadIfChanged();
+    return versions[versions.length - 1];
+}
+
+function currentVersion() {
+    return currentEntry().version;
+}
+
+// Content of a given version (as recorded on a game), or the live content
+function getContent(version) {
+    const latest = currentEntry();
+    if (version === undefined || version === null) return latest.content;
+    const entry = versions.find(item => item.version === version);
+    return entry ? entry.content : latest.content;
+}
+
+// Version metadata, newest first
+function listVersions() {
+    reloadIfChanged();
+    return versions.map(entry => ({
+        version: entry.version,
+        updatedAt: entry.updatedAt,
+        updatedBy: entry.updatedBy,
+        note: entry.note
+    })).reverse();
+}
+
+function saveVersion(input, meta) {
+    const content = validateContent(input);
+    reloadIfChanged();
+    const info = meta || {};
+    const entry = {
+        version: versions[versions.length - 1].version + 1,
+        updatedAt: new Date().toISOString(),
+        updatedBy: info.updatedBy || null,
+        note: String(info.note || '').trim().slice(0, MAX_ITEM_LENGTH),
+        content
+    };
+    const next = versions.concat([entry]);
+    writeJsonAtomic(CONTENT_FILE, { versions: next });
+    versions = next;
+    loadedMtime = fs.statSync(CONTENT_FILE).mtimeMs;
+    return entry;
+}
+
+// Make an older version live again by copying it as a new version
+function restoreVersion(version, meta) {
+    reloadIfChanged();
+    const entry = versions.find(item => item.version === version);
+    if (!entry) throw new GameError(404, 'version_not_found', 'Không tìm thấy phiên bản nội dung này.');
+    return saveVersion(entry.content, Object.assign({ note: `Khôi phục phiên bản ${version}` }, meta));
+}
+
+module.exports = {
+    CONTENT_FILE,
+    defaultContent,
+    validateContent,
+    localizeContent,
+    religionNames,
+    religionProfile,
+    suggestionsFor,
+    currentVersion,
+    getContent,
+    listVersions,
+    saveVersion,
+    restoreVersion
+};
@@ -0,0 +1,418 @@
+// Built-in course content: version 1 of the content store (lib/content-store.js)
+
+// Predefined religions
+const PREDEFINED_RELIGIONS = [
+    'Phật giáo',
+    'Đạo giáo',
+    'Công giáo',
+    'Tin lành',
+    'Hồi giáo'
+];
+
+// State regulations text
+const STATE_REGULATIONS = {
+    policy: [
+        'Thực hiện nhất quán chính sách tôn trọng và bảo đảm quyền tự do tín ngưỡng.',
+        'Quyền sinh hoạt tôn giáo bình thường theo đúng pháp luật.',
+        'Nghiêm cấm mọi hành vi chia rẽ, phân biệt đối xử vì lý do tôn giáo.',
+        "Mục tiêu chung: 'Dân giàu, nước mạnh, dân chủ, công bằng, văn minh'."
+    ],
+    prohibited: [
+        'Lợi dụng tôn giáo để hoạt động mê tín dị đoan.',
+        'Làm trái pháp luật, kích động chia rẽ nhân dân, chia rẽ dân tộc.',
+        'Xâm phạm an ninh quốc gia.',
+        "Lợi dụng tôn giáo để chống phá, can thiệp nội bộ (âm mưu 'diễn biến hòa bình').",
+        'Ép buộc người dân theo đạo hoặc truyền đạo trái phép.'
+    ]
+};
+
+/*
+ * Moderation rules (see lib/moderation.js). Each rule points at the
+ * STATE_REGULATIONS.prohibited item (by index) its phrases break; `reason`
+ * is shown on the end screen next to the quoted regulation. Phrases, like the
+ * negations and keywords below, list Vietnamese and English together so a
+ * decision is checked the same way whichever language it is written in.
+ */
+const VIOLATION_RULES = [
+    {
+        id: 'superstition',
+        regulation: 0,
+        phrases: [
+            'mê tín', 'dị đoan', 'bói toán', 'xem bói', 'bùa chú', 'bùa phép', 'yểm bùa', 'trừ tà', 'gọi hồn',
+            'superstition', 'superstitious', 'fortune telling', 'fortune teller', 'witchcraft', 'black magic',
+            'magic spells', 'amulets', 'talismans', 'exorcism', 'summon spirits'
+        ],
+        reason: 'Chính sách dựa vào mê tín, bói toán hoặc bùa chú để thu hút tín đồ.'
+    },
+    {
+        id: 'incitement',
+        regulation: 1,
+        phrases: [
+            'chia rẽ', 'kích động', 'bạo lực', 'bạo loạn', 'gây rối', 'thù hằn', 'trái pháp luật',
+            'incite', 'inciting', 'incitement', 'divisive', 'sow division', 'violence', 'violent', 'riot', 'riots',
+            'hatred', 'illegal', 'unlawful'
+        ],
+        reason: 'Chính sách kích động, gây chia rẽ hoặc dùng bạo lực, trái pháp luật.'
+    },
+    {
+        id: 'national-security',
+        regulation: 2,
+        phrases: ['xâm phạm', 'khủng bố', 'phá hoại', 'terrorism', 'terrorist', 'sabotage', 'bombing', 'endanger national security'],
+        reason: 'Chính sách đe dọa an ninh quốc gia và trật tự xã hội.'
+    },
+    {
+        id: 'subversion',
+        regulation: 3,
+        phrases: [
+            'chống phá', 'diễn biến hòa bình', 'can thiệp nội bộ', 'lật đổ',
+            'subvert', 'subversion', 'subversive', 'overthrow', 'peaceful evolution', 'foreign interference', 'oppose the state'
+        ],
+        reason: 'Chính sách lợi dụng tôn giáo để chống phá Nhà nước hoặc can thiệp nội bộ.'
+    },
+    {
+        id: 'coercion',
+        regulation: 4,
+        phrases: [
+            'ép buộc', 'cưỡng ép', 'bắt buộc theo đạo', 'trái phép',
+            'force people to convert', 'forced conversion', 'forcibly convert', 'coerce', 'coercion', 'illegal preaching'
+        ],
+        reason: 'Chính sách ép buộc người dân theo đạo hoặc truyền đạo không được phép.'
+    }
+];
+
+// Every violation phrase, for code that only needs the word list
+const VIOLATION_KEYWORDS = VIOLATION_RULES.reduce((all, rule) => all.concat(rule.phrases), []);
+
+// Words that negate the rest of their clause ("không để kẻ xấu kích động", "never incite")
+const NEGATION_PHRASES = [
+    'không', 'chẳng', 'chả', 'chưa', 'đừng', 'tránh', 'cấm', 'nghiêm cấm', 'nói không với',
+    'not', 'no', 'never', 'avoid', 'without', 'refuse', 'forbid', 'prohibit', 'say no to'
+];
+
+// Phrases that act against the problem they name ("phòng chống bạo lực", "bài trừ mê tín")
+const COUNTER_PHRASES = [
+    'chống', 'phòng chống', 'phòng ngừa', 'ngăn chặn', 'ngăn ngừa', 'bài trừ', 'xóa bỏ', 'loại bỏ',
+    'đẩy lùi', 'lên án', 'phản đối', 'tẩy chay', 'bác bỏ', 'cảnh giác', 'tố giác', 'xử lý',
+    'chấm dứt', 'nạn nhân', 'hậu quả của', 'tác hại của',
+    'against', 'anti', 'prevent', 'prevention of', 'combat', 'fight', 'fight against', 'oppose', 'condemn', 'eliminate',
+    'eradicate', 'reject', 'report', 'stop', 'end', 'put an end to', 'put a stop to', 'victims of', 'dangers of', 'harms of'
+];
+
+// Positive and negative keywords for evaluation heuristic
+const POSITIVE_KEYWORDS = [
+    'hoà bình', 'đoàn kết', 'từ thiện', 'giáo dục', 'phát triển',
+    'hỗ trợ', 'tôn trọng', 'khuyến khích', 'công bằng',
+    'peace', 'unity', 'charity', 'education', 'development', 'support', 'respect', 'encourage', 'fairness'
+];
+const NEGATIVE_KEYWORDS = [
+    'bạo lực', 'chiến tranh', 'phân biệt', 'áp bức', 'mê tín',
+    'violence', 'war', 'discrimination', 'oppression', 'superstition'
+];
+
+// Keywords nudging each religion indicator up (positive) or down (negative) in the heuristic
+const STAT_KEYWORDS = {
+    stateTrust: {
+        positive: [
+            'pháp luật', 'đăng ký', 'tuân thủ', 'phối hợp', 'chính quyền', 'minh bạch',
+            'law', 'register', 'comply', 'cooperate', 'authorities', 'transparent', 'transparency'
+        ],
+        negative: ['bí mật', 'phớt lờ', 'không xin phép', 'secret', 'secretly', 'without permission']
+    },
+    finances: {
+        positive: [
+            'kinh tế', 'sản xuất', 'quyên góp', 'tiết kiệm', 'gây quỹ', 'tự chủ',
+            'economy', 'production', 'donations', 'savings', 'fundraising', 'self sufficient'
+        ],
+        negative: ['xây dựng', 'xa hoa', 'miễn phí', 'lễ hội lớn', 'bệnh viện', 'build', 'lavish', 'free', 'grand festival', 'hospital']
+    },
+    cohesion: {
+        positive: [
+            'đoàn kết', 'sinh hoạt', 'cầu nguyện', 'lễ', 'gắn kết', 'thăm hỏi',
+            'unity', 'gatherings', 'prayer', 'ceremony', 'community', 'visit'
+        ],
+        negative: ['tranh chấp', 'kỷ luật nặng', 'loại bỏ', 'dispute', 'harsh discipline', 'expel']
+    },
+    contribution: {
+        positive: [
+            'từ thiện', 'giáo dục', 'trường học', 'bệnh viện', 'cứu trợ', 'môi trường', 'hỗ trợ',
+            'charity', 'education', 'school', 'hospital', 'relief', 'environment', 'support', 'volunteer'
+        ],
+        negative: ['khép kín', 'chỉ phục vụ tín đồ', 'closed community', 'members only']
+    }
+};
+
+// Suggested policies for predefined religions
+const SUGGESTED_POLICIES = [
+    'Xây dựng trường học và bệnh viện để phục vụ tín đồ.',
+    'Tổ chức hoạt động từ thiện hỗ trợ người nghèo.',
+    'Khuyến khích tín đồ tham gia sản xuất và phát triển kinh tế.',
+    'Thực hiện các buổi lễ cầu nguyện vì hoà bình và đoàn kết.',
+    'Hỗ trợ giáo dục đạo đức và học tập cho trẻ em trong cộng đồng.'
+];
+
+/*
+ * Profile of each predefined religion, given to the evaluator so policies are
+ * judged for fit with the religion:
+ *   values, organization, activities, history  what the religion is like in Vietnam
+ *   suggestedPolicies                          shown before the general suggestions
+ *   keywords                                   phrases the offline heuristic rewards
+ */
+const RELIGION_PROFILES = {
+    'Phật giáo': {
+        values: [
+            'Từ bi, hỷ xả, cứu khổ cho chúng sinh.',
+            'Trí tuệ và sự tu tập để giác ngộ.',
+            'Giữ Năm giới, sống hướng thiện.',
+            'Đường hướng "Đạo pháp - Dân tộc - Chủ nghĩa xã hội".'
+        ],
+        organization: 'Giáo hội Phật giáo Việt Nam (thành lập năm 1981) có hai cấp trung ương và tỉnh; tăng ni trụ trì các chùa, tín đồ sinh hoạt tại chùa và đạo tràng.',
+        activities: [
+            'Lễ Phật đản, lễ Vu lan báo hiếu.',
+            'Thuyết pháp, khóa tu mùa hè cho thanh thiếu niên.',
+            'Thiền và tụng kinh tại chùa.',
+            'Từ thiện: bếp ăn, phát thuốc, cứu trợ thiên tai.'
+        ],
+        history: 'Du nhập vào Việt Nam từ đầu Công nguyên; thịnh đạt thời Lý – Trần với Thiền phái Trúc Lâm do vua Trần Nhân Tông sáng lập; gắn bó lâu đời với văn hóa làng xã.',
+        suggestedPolicies: [
+            'Mở khóa tu mùa hè dạy đạo đức và kỹ năng sống cho thanh thiếu niên.',
+            'Tổ chức bếp ăn từ thiện và phát thuốc miễn phí tại chùa.',
+            'Tổ chức lễ Vu lan tôn vinh đạo hiếu, kết hợp hiến máu nhân đạo.'
+        ],
+        keywords: ['thiền', 'chùa', 'từ bi', 'vu lan', 'phật đản', 'khóa tu', 'ăn chay', 'meditation', 'pagoda', 'compassion']
+    },
+    'Đạo giáo': {
+        values: [
+            'Đạo và Đức: sống thuận theo tự nhiên, "vô vi".',
+            'Hài hòa âm dương, coi trọng dưỡng sinh.',
+            'Giản dị, khiêm nhường, ít ham muốn.'
+        ],
+        organization: 'Ở Việt Nam không có giáo hội thống nhất; Đạo giáo hiện diện qua các đạo quán, đền phủ và tín ngưỡng dân gian, do đạo sĩ và người trông coi đền quán đảm nhiệm.',
+        activities: [
+            'Nghi lễ cầu an, cầu phúc tại đạo quán.',
+            'Dưỡng sinh, khí công, y học cổ truyền.',
+            'Giữ gìn các đạo quán như đền Quán Thánh (Trấn Vũ quán).'
+        ],
+        history: 'Du nhập từ Trung Hoa khoảng thế kỷ II; được coi trọng thời Lý – Trần khi triều đình tổ chức thi Tam giáo; dần hòa vào tín ngưỡng dân gian và đạo Mẫu.',
+        suggestedPolicies: [
+            'Mở lớp dưỡng sinh, khí công miễn phí cho người cao tuổi.',
+            'Phối hợp với cơ quan văn hóa trùng tu đạo quán để bảo tồn di tích.',
+            'Tổ chức trồng cây xanh, bảo vệ môi trường theo tinh thần sống thuận tự nhiên.'
+        ],
+        keywords: ['dưỡng sinh', 'khí công', 'đạo quán', 'tự nhiên', 'môi trường', 'trồng cây', 'qigong', 'nature', 'environment']
+    },
+    'Công giáo': {
+        values: [
+            'Kính Chúa, yêu người; sống bác ái.',
+            'Coi trọng gia đình và phẩm giá con người.',
+            'Đường hướng "Sống Phúc Âm giữa lòng dân tộc".'
+        ],
+        organization: 'Tổ chức theo phẩm trật: Hội đồng Giám mục Việt Nam, 27 giáo phận thuộc 3 giáo tỉnh; mỗi giáo xứ do linh mục coi sóc; hiệp thông với Tòa Thánh.',
+        activities: [
+            'Thánh lễ, học giáo lý.',
+            'Lễ Giáng sinh, lễ Phục sinh.',
+            'Bác ái xã hội qua Caritas: chăm sóc người bệnh, người khuyết tật, người già neo đơn.'
+        ],
+        history: 'Truyền vào Việt Nam từ thế kỷ XVI; các giáo sĩ góp phần hình thành chữ Quốc ngữ; năm 1980 Hội đồng Giám mục Việt Nam ra Thư chung với đường hướng "Sống Phúc Âm giữa lòng dân tộc".',
+        suggestedPolicies: [
+            'Mở lớp học tình thương cho trẻ em có hoàn cảnh khó khăn.',
+            'Lập nhóm Caritas giáo xứ chăm sóc người già neo đơn và người khuyết tật.',
+            'Tổ chức lễ Giáng sinh mở cửa đón cả cộng đồng dân cư địa phương.'
+        ],
+        keywords: ['giáo xứ', 'bác ái', 'caritas', 'giáo lý', 'thánh lễ', 'giáng sinh', 'lớp học tình thương', 'parish', 'charity']
+    },
+    'Tin lành': {
+        values: [
+            'Đức tin đặt nền tảng trên Kinh Thánh.',
+            'Sự cứu rỗi nhờ ân điển và đức tin.',
+            'Đường hướng "Sống Phúc Âm, phụng sự Thiên Chúa, phục vụ Tổ quốc và dân tộc".'
+        ],
+        organization: 'Sinh hoạt theo các hội thánh, lớn nhất là Tổng hội Hội thánh Tin Lành Việt Nam (miền Bắc) và Tổng Liên hội Hội thánh Tin Lành Việt Nam (miền Nam); mỗi chi hội do mục sư quản nhiệm, quyết định qua đại hội đồng.',
+        activities: [
+            'Thờ phượng ngày Chúa nhật, hát thánh ca.',
+            'Học Kinh Thánh theo nhóm.',
+            'Thăm viếng, giúp đỡ người bệnh và người khó khăn.'
+        ],
+        history: 'Truyền vào Việt Nam năm 1911 tại Đà Nẵng qua Hội Truyền giáo Phúc âm Liên hiệp (C&MA); phát triển ở đô thị và trong đồng bào dân tộc thiểu số ở Tây Nguyên, Tây Bắc.',
+        suggestedPolicies: [
+            'Mở lớp học Kinh Thánh kết hợp dạy chữ và kỹ năng sống cho đồng bào vùng cao.',
+            'Thành lập nhóm thiện nguyện thăm viếng, chăm sóc bệnh nhân.',
+            'Tổ chức đêm thánh ca gây quỹ hỗ trợ học sinh nghèo.'
+        ],
+        keywords: ['kinh thánh', 'thánh ca', 'chi hội', 'mục sư', 'thờ phượng', 'thăm viếng', 'bible', 'hymn']
+    },
+    'Hồi giáo': {
+        values: [
+            'Tin vào Thượng đế duy nhất (Allah).',
+            'Năm trụ cột: tuyên xưng đức tin, cầu nguyện, bố thí (zakat), nhịn chay tháng Ramadan, hành hương.',
+            'Công bằng và tương trợ trong cộng đồng.'
+        ],
+        organization: 'Cộng đồng sinh hoạt quanh các thánh đường do Ban đại diện cộng đồng Hồi giáo địa phương quản lý; người Chăm theo Hồi giáo Bani có hệ thống chức sắc riêng.',
+        activities: [
+            'Cầu nguyện hằng ngày và lễ thứ Sáu tại thánh đường.',
+            'Tháng Ramadan và lễ Eid.',
+            'Bố thí zakat; dạy kinh Qur\'an và chữ Ả Rập cho thiếu nhi.'
+        ],
+        history: 'Du nhập qua thương nhân khoảng thế kỷ X–XI; tín đồ chủ yếu là người Chăm ở An Giang, Ninh Thuận, Bình Thuận và TP. Hồ Chí Minh; gồm hai nhánh Hồi giáo Islam và Hồi giáo Bani.',
+        suggestedPolicies: [
+            'Tổ chức quyên góp zakat hỗ trợ các gia đình khó khăn trong cộng đồng.',
+            'Mở lớp dạy tiếng Chăm và kinh Qur\'an cho thiếu nhi tại thánh đường.',
+            'Chia sẻ bữa ăn xả chay tháng Ramadan với người dân quanh thánh đường.'
+        ],
+        keywords: ['thánh đường', 'ramadan', 'zakat', 'bố thí', 'người chăm', 'tiếng chăm', 'mosque', 'halal']
+    }
+};
+
+/*
+ * Translations of the texts players read, per locale. Lists line up with the
+ * Vietnamese lists above (an empty item keeps the Vietnamese text); reasons
+ * are keyed by rule id.
+ */
+const CONTENT_TRANSLATIONS = {
+    en: {
+        religions: ['Buddhism', 'Taoism', 'Catholicism', 'Protestantism', 'Islam'],
+        suggestedPolicies: [
+            'Build schools and hospitals to serve the followers.',
+            'Organize charity work to support the poor.',
+            'Encourage followers to take part in production and economic development.',
+            'Hold prayer ceremonies for peace and unity.',
+            'Support moral education and learning for the children of the community.'
+        ],
+        regulations: {
+            policy: [
+                'Consistently respect and guarantee the freedom of belief and religion.',
+                'The right to normal religious activities in accordance with the law.',
+                'Any act of division or discrimination on religious grounds is strictly forbidden.',
+                "Common goal: 'A prosperous people, a strong nation, democracy, fairness and civilization'."
+            ],
+            prohibited: [
+                'Abusing religion to practise superstition.',
+                'Breaking the law, inciting division among the people or between ethnic groups.',
+                'Infringing national security.',
+                "Abusing religion to undermine the State or interfere in internal affairs (the 'peaceful evolution' plot).",
+                'Forcing people to follow a religion, or preaching without permission.'
+            ]
+        },
+        reasons: {
+            superstition: 'The policy relies on superstition, fortune telling or spells to attract followers.',
+            incitement: 'The policy incites division or uses violence, against the law.',
+            'national-security': 'The policy threatens national security and public order.',
+            subversion: 'The policy abuses religion to undermine the State or interfere in internal affairs.',
+            coercion: 'The policy forces people to follow the religion or preaches without permission.'
+        },
+        // Keyed by the Vietnamese religion name; suggestedPolicies line up with the Vietnamese ones
+        profiles: {
+            'Phật giáo': {
+                values: [
+                    'Loving-kindness and equanimity; relieving the suffering of all beings.',
+                    'Wisdom and practice on the path to enlightenment.',
+                    'Keeping the Five Precepts and living a wholesome life.',
+                    'The motto "Dharma - Nation - Socialism".'
+                ],
+                organization: 'The Vietnam Buddhist Sangha (founded in 1981) works at central and provincial level; monks and nuns lead the pagodas, where followers gather.',
+                activities: [
+                    "Buddha's Birthday and the Vu Lan festival of filial piety.",
+                    'Dharma talks and summer retreats for young people.',
+                    'Meditation and sutra chanting at the pagoda.',
+                    'Charity: free meals, free medicine, disaster relief.'
+                ],
+                history: 'Reached Vietnam at the start of the Common Era; flourished under the Lý and Trần dynasties with the Trúc Lâm Zen school founded by King Trần Nhân Tông; long woven into village culture.',
+                suggestedPolicies: [
+                    'Run summer retreats teaching ethics and life skills to young people.',
+                    'Run a charity kitchen and give out free medicine at the pagoda.',
+                    'Celebrate Vu Lan to honour filial piety, together with a blood drive.'
+                ]
+            },
+            'Đạo giáo': {
+                values: [
+                    'The Way and its Virtue: living in harmony with nature, "non-action".',
+                    'Balance of yin and yang; care for health and long life.',
+                    'Simplicity, humility and few desires.'
+                ],
+                organization: 'There is no unified church in Vietnam; Taoism lives on in Taoist temples, shrines and folk belief, kept by Taoist priests and temple keepers.',
+                activities: [
+                    'Rites praying for peace and blessings at Taoist temples.',
+                    'Health exercises, qigong and traditional medicine.',
+                    'Preserving temples such as the Quán Thánh temple (Trấn Vũ quán).'
+                ],
+                history: 'Came from China around the 2nd century; honoured under the Lý and Trần dynasties, when the court held examinations in the Three Teachings; gradually merged with folk belief and Mother Goddess worship.',
+                suggestedPolicies: [
+                    'Offer free health exercise and qigong classes for the elderly.',
+                    'Restore the temple with the cultural authorities to preserve the heritage site.',
+                    'Plant trees and protect the environment in the spirit of living with nature.'
+                ]
+            },
+            'Công giáo': {
+                values: [
+                    'Love God and love your neighbour; live charitably.',
+                    'Respect for the family and human dignity.',
+                    'The motto "Living the Gospel in the heart of the nation".'
+                ],
+                organization: 'Hierarchical: the Catholic Bishops\' Conference of Vietnam, 27 dioceses in 3 ecclesiastical provinces; each parish is led by a priest; in communion with the Holy See.',
+                activities: [
+                    'Mass and catechism classes.',
+                    'Christmas and Easter.',
+                    'Social charity through Caritas: caring for the sick, people with disabilities and lonely elderly people.'
+                ],
+                history: 'Arrived in Vietnam in the 16th century; missionaries helped shape the Quốc ngữ script; in 1980 the Bishops\' Conference issued a pastoral letter calling to "live the Gospel in the heart of the nation".',
+                suggestedPolicies: [
+                    'Open charity classes for disadvantaged children.',
+                    'Set up a parish Caritas group caring for lonely elderly people and people with disabilities.',
+                    'Hold a Christmas celebration open to the whole local community.'
+                ]
+            },
+            'Tin lành': {
+                values: [
+                    'Faith grounded in the Bible.',
+                    'Salvation by grace through faith.',
+                    'The motto "Live the Gospel, serve God, serve the Fatherland and the nation".'
+                ],
+                organization: 'Organized in churches, the largest being the Evangelical Church of Vietnam (North) and the Evangelical Church of Vietnam (South); each congregation is led by a pastor and decides in a general assembly.',
+                activities: [
+                    'Sunday worship and hymn singing.',
+                    'Bible study groups.',
+                    'Visiting and helping the sick and people in need.'
+                ],
+                history: 'Came to Vietnam in 1911 in Đà Nẵng through the Christian and Missionary Alliance (C&MA); grew in the cities and among ethnic minorities in the Central Highlands and the Northwest.',
+                suggestedPolicies: [
+                    'Run Bible classes that also teach literacy and life skills in the highlands.',
+                    'Set up a volunteer group visiting and caring for patients.',
+                    'Hold a hymn evening to raise funds for poor pupils.'
+                ]
+            },
+            'Hồi giáo': {
+                values: [
+                    'Faith in the one God (Allah).',
+                    'The five pillars: profession of faith, prayer, almsgiving (zakat), fasting in Ramadan, pilgrimage.',
+                    'Justice and mutual help within the community.'
+                ],
+                organization: 'Communities gather around mosques run by local Islamic community representative boards; the Cham Bani have their own clergy.',
+                activities: [
+                    'Daily prayers and Friday prayer at the mosque.',
+                    'Ramadan and the Eid festival.',
+                    "Zakat almsgiving; teaching the Qur'an and Arabic to children."
+                ],
+                history: 'Brought by traders around the 10th–11th centuries; followers are mostly Cham people in An Giang, Ninh Thuận, Bình Thuận and Ho Chi Minh City; there are two branches, Islam and Bani.',
+                suggestedPolicies: [
+                    'Collect zakat to support families in need in the community.',
+                    "Teach the Cham language and the Qur'an to children at the mosque.",
+                    'Share the Ramadan fast-breaking meal with the neighbours of the mosque.'
+                ]
+            }
+        }
+    }
+};
+
+module.exports = {
+    PREDEFINED_RELIGIONS,
+    STATE_REGULATIONS,
+    VIOLATION_RULES,
+    VIOLATION_KEYWORDS,
+    NEGATION_PHRASES,
+    COUNTER_PHRASES,
+    POSITIVE_KEYWORDS,
+    NEGATIVE_KEYWORDS,
+    STAT_KEYWORDS,
+    SUGGESTED_POLICIES,
+    RELIGION_PROFILES,
+    CONTENT_TRANSLATIONS
+};
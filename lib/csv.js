@@ -0,0 +1,20 @@
+// Text a spreadsheet app would run as a formula (=, +, -, @, or after a tab or CR)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/*
+ * Quote a CSV cell when it contains a delimiter, quote or newline. Player text
+ * that starts like a formula gets a leading ' so it opens as plain text;
+ * numbers are left as they are.
+ */
+function csvCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CRLF-separated CSV from a header row and value rows, as spreadsheet apps expect
+function toCsv(header, rows) {
+    return [header].concat(rows).map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { csvCell, toCsv };
@@ -0,0 +1,15 @@
+/*
+ * Error carrying an HTTP status and a stable machine-readable code. `params`
+ * fill the placeholders when the message is translated by code (lib/i18n.js).
+ */
+class GameError extends Error {
+    constructor(status, code, message, params) {
+        super(message);
+        this.name = 'GameError';
+        this.status = status;
+        this.code = code;
+        this.params = params || null;
+    }
+}
+
+module.exports = { GameError };
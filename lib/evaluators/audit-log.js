@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../logger');
+
+/*
+ * Append-only audit trail of model answers, one JSON object per line:
+ *   { at, backend, model, attempt, decision, raw, valid, errors }
+ * `attempt` 2 is the repair retry. When the file passes maxBytes it is moved
+ * to <file>.1 (replacing the previous one) and a new file is started.
+ */
+
+const MAX_RAW_LENGTH = 4000;
+
+function rotateIfLarge(file, maxBytes) {
+    try {
+        if (fs.statSync(file).size < maxBytes) return;
+        fs.renameSync(file, `${file}.1`);
+    } catch (err) {
+        // no file yet
+    }
+}
+
+function recordAnswer(entry) {
+    const { file, maxBytes } = config.evaluator.audit;
+    if (!file) return;
+    const line = JSON.stringify({
+        at: new Date().toISOString(),
+        backend: entry.backend,
+        model: entry.model || null,
+        attempt: entry.attempt,
+        decision: entry.decision,
+        raw: String(entry.raw || '').slice(0, MAX_RAW_LENGTH),
+        valid: entry.errors.length === 0,
+        errors: entry.errors
+    });
+    try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        rotateIfLarge(file, maxBytes);
+        fs.appendFileSync(file, line + '\n', 'utf-8');
+    } catch (err) {
+        logger.error('Could not write evaluator audit log', { file, err });
+    }
+}
+
+module.exports = { recordAnswer };
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const { foldDiacritics } = require('../moderation');
+
+/*
+ * In-memory LRU cache of model evaluations, so the same decision for the same
+ * religion (and doctrine), event, content version and language is only paid
+ * for once. The key ignores followers, indicators and round: they shift the
+ * wording of the model's comment but not its judgment of the policy. Only answers from model
+ * backends are stored; the keyword heuristic is free and deliberately noisy.
+ */
+
+// Case, spacing, punctuation and diacritics do not change the meaning of a decision
+function normalizeDecision(decision) {
+    return foldDiacritics(String(decision || '').normalize('NFC').toLowerCase())
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function cacheKey(decision, context) {
+    const ctx = context || {};
+    const parts = [
+        normalizeDecision(decision),
+        ctx.religion || '',
+        ctx.event ? ctx.event.id : '',
+        ctx.contentVersion || '',
+        ctx.locale || '',
+        // Custom religions with the same name may hold different doctrines
+        ctx.custom ? JSON.stringify(ctx.profile || null) : ''
+    ];
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+function createEvaluationCache(options) {
+    const opts = options || {};
+    const maxEntries = opts.maxEntries || 0;
+    const ttlMs = opts.ttlMs || 0;
+    // Map iteration order doubles as recency: re-inserted on every hit
+    const entries = new Map();
+    let hits = 0;
+    let misses = 0;
+
+    function get(key, now) {
+        const entry = entries.get(key);
+        if (!entry || (ttlMs && entry.storedAt + ttlMs <= (now || Date.now()))) {
+            if (entry) entries.delete(key);
+            misses += 1;
+            return null;
+        }
+        entries.delete(key);
+        entries.set(key, entry);
+        hits += 1;
+        return entry.value;
+    }
+
+    function set(key, value, now) {
+        if (maxEntries <= 0) return;
+        entries.delete(key);
+        entries.set(key, { value, storedAt: now || Date.now() });
+        while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    }
+
+    function stats() {
+        return { size: entries.size, maxEntries, ttlMs, hits, misses };
+    }
+
+    return { get, set, stats, clear: () => entries.clear() };
+}
+
+module.exports = { normalizeDecision, cacheKey, createEvaluationCache };
@@ -0,0 +1,98 @@
+const { requestEvaluation } = require('./prompt');
+const { geminiSchema } = require('./schema');
+const { createKeyPool, maskKey } = require('./key-pool');
+const logger = require('../logger');
+
+const aiClientCache = new Map();
+
+function getApiKeys() {
+    const listEnv = process.env.GEMINI_API_KEYS || '';
+    const list = listEnv.split(',').map(k => k.trim()).filter(Boolean);
+    const singles = [process.env.GEMINI_API_KEY, process.env.API_KEY, process.env.GOOGLE_API_KEY].filter(Boolean);
+    const combined = [...list, ...singles].filter(Boolean).slice(0, 6);
+    if (combined.length === 0) {
+        throw new Error('API_KEY / GOOGLE_API_KEY / GEMINI_API_KEY / GEMINI_API_KEYS is not set');
+    }
+    return combined;
+}
+
+async function getClientForKey(apiKey) {
+    if (aiClientCache.has(apiKey)) return aiClientCache.get(apiKey);
+    let GoogleGenAI;
+    try {
+        ({ GoogleGenAI } = require('@google/genai'));
+    } catch (err) {
+        // fallback dynamic import for ESM-only environments
+        const mod = await import('@google/genai');
+        GoogleGenAI = mod.GoogleGenAI || (mod.default && mod.default.GoogleGenAI);
+        if (!GoogleGenAI) {
+            throw new Error('Missing dependency @google/genai. Run: npm install @google/genai');
+        }
+    }
+    const client = new GoogleGenAI({ apiKey });
+    aiClientCache.set(apiKey, client);
+    return client;
+}
+
+/*
+ * Gemini backend: spreads calls over the configured API keys round-robin and
+ * falls through to the next key on failure. Keys that keep failing are rested
+ * (see key-pool.js); when every key is resting the backend fails straight away
+ * so the next backend in the chain answers. Answers come in JSON mode with the
+ * evaluation schema.
+ */
+function createGeminiBackend(options) {
+    const model = options.model;
+    const generationConfig = { responseMimeType: 'application/json', responseSchema: geminiSchema() };
+    if (typeof options.temperature === 'number') generationConfig.temperature = options.temperature;
+    const pool = createKeyPool(options.keyHealth);
+
+    // Raw answer to a prompt from the first key that responds
+    async function generate(prompt) {
+        pool.sync(getApiKeys());
+        const keys = pool.candidates();
+        if (keys.length === 0) {
+            throw new Error('Every Gemini API key is cooling down after repeated failures.');
+        }
+        let lastError = null;
+        for (let i = 0; i < keys.length; i += 1) {
+            const key = keys[i];
+            try {
+                const client = await getClientForKey(key);
+                const result = await client.models.generateContent({
+                    model,
+                    contents: prompt,
+                    config: generationConfig
+                });
+                pool.reportSuccess(key);
+                // Keys this call did not need go back for other calls' trials
+                keys.slice(i + 1).forEach(pool.release);
+                return result;
+            } catch (err) {
+                lastError = err;
+                pool.reportFailure(key, err);
+                logger.warn('Gemini request failed', { key: maskKey(key), err });
+                // try next key
+            }
+        }
+        throw lastError || new Error('Gemini call failed for all configured API keys.');
+    }
+
+    function evaluate(decision, context) {
+        return requestEvaluation({ name: 'gemini', model, generate }, decision, context);
+    }
+
+    // Key health for the status page; no keys configured is a state too
+    function status() {
+        try {
+            pool.sync(getApiKeys());
+        } catch (err) {
+            pool.sync([]);
+        }
+        return pool.status();
+    }
+
+    return { name: 'gemini', model, timeoutMs: options.timeoutMs, evaluate, status };
+}
+
+module.exports = { createGeminiBackend };
@@ -0,0 +1,92 @@
+const { getContent } = require('../content-store');
+const { analyze, containsPhrase, moderate } = require('../moderation');
+const { translate } = require('../i18n');
+
+function clamp(num, min, max) {
+    return Math.min(max, Math.max(min, num));
+}
+
+// Regulation citations for the violations in the decision, or null when it is clean
+function findViolation(decision, content) {
+    const result = moderate(decision, content);
+    return result.violation ? result.matches : null;
+}
+
+function violationResult(matches, locale) {
+    return { violation: true, change: -10000, comment: translate(locale, 'evaluation.violation'), tips: [], violations: matches };
+}
+
+// How well the decision answers the round's event: +1 per favoured keyword, -1 per penalised one
+function scoreEventResponse(doc, event) {
+    const favored = event.favoredKeywords.filter(kw => containsPhrase(doc, kw));
+    const penalized = event.penalizedKeywords.filter(kw => containsPhrase(doc, kw));
+    // Ignoring the event entirely costs a point
+    const score = favored.length === 0 ? -1 - penalized.length : favored.length - penalized.length;
+    return { score, addressed: favored.length > 0 };
+}
+
+// Indicator deltas: 5 points per matching keyword, with a little noise
+function scoreStats(doc, statKeywords) {
+    const deltas = {};
+    Object.keys(statKeywords).forEach(key => {
+        const words = statKeywords[key];
+        let points = 0;
+        words.positive.forEach(kw => { if (containsPhrase(doc, kw)) points += 1; });
+        words.negative.forEach(kw => { if (containsPhrase(doc, kw)) points -= 1; });
+        const noise = Math.floor(Math.random() * 5) - 2; // -2 to +2
+        deltas[key] = clamp(points * 5 + noise, -20, 20);
+    });
+    return deltas;
+}
+
+/*
+ * Offline keyword heuristic, always available. `context.content` picks the
+ * content version; `context.randomness` scales the chance part of the change
+ * (1 by default, set by the game's difficulty). A decision in keeping with
+ * the religion (a keyword of `context.profile`) earns a point.
+ */
+function localHeuristic(decision, context) {
+    const content = (context && context.content) || getContent();
+    const locale = context && context.locale;
+    const violations = findViolation(decision, content);
+    if (violations) return violationResult(violations, locale);
+    const doc = analyze(decision);
+    const event = context && context.event;
+    let score = 0;
+    content.positiveKeywords.forEach(pk => { if (containsPhrase(doc, pk)) score += 1; });
+    content.negativeKeywords.forEach(nk => { if (containsPhrase(doc, nk)) score -= 1; });
+    const profile = context && context.profile;
+    if (profile && profile.keywords.some(kw => containsPhrase(doc, kw))) score += 1;
+    let comment = translate(locale, 'evaluation.heuristic');
+    const tips = [];
+    if (event) {
+        const response = scoreEventResponse(doc, event);
+        score += response.score;
+        if (!response.addressed) {
+            comment += ` ${translate(locale, 'evaluation.eventIgnored', { event: event.title })}`;
+            tips.push(translate(locale, 'evaluation.eventTip', { event: event.title }));
+        }
+    }
+    const randomFactor = Math.floor(Math.random() * 7) - 2; // -2 to +4
+    const randomness = context && typeof context.randomness === 'number' ? context.randomness : 1;
+    let change = (score * 50) + Math.round(randomFactor * 20 * randomness);
+    change = clamp(change, -150, 300);
+    return { violation: false, change, deltas: scoreStats(doc, content.statKeywords), comment, tips };
+}
+
+function createHeuristicBackend() {
+    return {
+        name: 'heuristic',
+        model: null,
+        timeoutMs: 0,
+        evaluate: async (decision, context) => localHeuristic(decision, context)
+    };
+}
+
+module.exports = {
+    clamp,
+    findViolation,
+    violationResult,
+    localHeuristic,
+    createHeuristicBackend
+};
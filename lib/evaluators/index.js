@@ -0,0 +1,188 @@
+const config = require('../config');
+const logger = require('../logger');
+const metrics = require('../metrics');
+const { normalizeDeltas } = require('../stats');
+const { citeRegulation } = require('../moderation');
+const { translate } = require('../i18n');
+const { createGeminiBackend } = require('./gemini');
+const { createOpenAIBackend } = require('./openai');
+const { cacheKey, createEvaluationCache } = require('./cache');
+const { detectInjection, guardResult } = require('./guard');
+const {
+    clamp,
+    findViolation,
+    violationResult,
+    localHeuristic,
+    createHeuristicBackend
+} = require('./heuristic');
+
+/*
+ * Evaluator providers. Each backend is a plain object
+ *   { name, model, timeoutMs, evaluate(decision, context) -> Promise<{ change, comment, tips, violation? }> }
+ * built by a factory registered below. EVALUATOR_BACKENDS lists the backends
+ * in fallback order; when one throws or times out the next one is tried, and
+ * the keyword heuristic is always the last resort.
+ *
+ * Answers from model backends are cached (see cache.js); a backend may expose
+ * status() for the admin status page. Every answer, cached or not, then goes
+ * through the injection and plausibility checks in guard.js.
+ *
+ * Metrics (lib/metrics.js): how long each backend takes to answer or fail,
+ * how often one fails over to the next, which backend (or "keywords", or the
+ * cache) settled each decision, and how many decisions were violations.
+ */
+
+const factories = {
+    gemini: () => createGeminiBackend(config.evaluator.gemini),
+    openai: () => createOpenAIBackend(config.evaluator.openai),
+    heuristic: () => createHeuristicBackend()
+};
+
+let chain = null;
+const cache = createEvaluationCache(config.evaluator.cache);
+
+const evaluationSeconds = metrics.histogram(
+    'religion_game_evaluation_duration_seconds',
+    'Time an evaluator backend took to answer a decision, or to fail (outcome: success, error, timeout).',
+    ['backend', 'outcome'],
+    [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30]
+);
+const evaluationsTotal = metrics.counter(
+    'religion_game_evaluations_total',
+    'Decisions evaluated, by the backend whose answer was used ("keywords" for the prohibited keyword list).',
+    ['backend', 'cached']
+);
+const fallbacksTotal = metrics.counter(
+    'religion_game_evaluation_fallbacks_total',
+    'Times a backend failed or timed out and the next backend in EVALUATOR_BACKENDS was tried.',
+    ['backend']
+);
+const violationsTotal = metrics.counter(
+    'religion_game_violations_total',
+    'Decisions judged to break a prohibited regulation, by the backend that judged them.',
+    ['backend']
+);
+
+// Register (or replace) a backend factory under a name usable in EVALUATOR_BACKENDS
+function registerBackend(name, factory) {
+    factories[name] = factory;
+    chain = null;
+}
+
+function getChain() {
+    if (chain) return chain;
+    chain = [];
+    config.evaluator.backends.forEach(name => {
+        if (!factories[name]) {
+            logger.warn('Unknown evaluator backend ignored', { backend: name });
+            return;
+        }
+        chain.push(factories[name]());
+    });
+    if (chain.length === 0) chain.push(createHeuristicBackend());
+    return chain;
+}
+
+function withTimeout(promise, ms, name) {
+    if (!ms) return promise;
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const err = new Error(`Evaluator "${name}" timed out after ${ms}ms`);
+            err.code = 'evaluator_timeout';
+            reject(err);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Regulations a violation breaks: the heuristic's citations, or the rule number an LLM named
+function violationCitations(parsed, content) {
+    if (Array.isArray(parsed.violations)) return parsed.violations;
+    const cited = citeRegulation(parsed.rule, parsed.comment, content);
+    return cited ? [cited] : [];
+}
+
+// Turn a raw backend answer into { violation, change, comment, tips, backend }
+function normalizeResult(parsed, backendName, context) {
+    if (parsed.violation || parsed.change <= -10000) {
+        return {
+            violation: true,
+            change: -10000,
+            comment: parsed.comment || translate(context && context.locale, 'evaluation.violation'),
+            tips: parsed.tips || [],
+            violations: violationCitations(parsed, context && context.content),
+            backend: backendName
+        };
+    }
+    return {
+        violation: false,
+        change: clamp(parsed.change, -400, 400),
+        deltas: normalizeDeltas(parsed.deltas),
+        comment: parsed.comment || '',
+        tips: parsed.tips || [],
+        backend: backendName
+    };
+}
+
+async function evaluateWithBackends(decision, context) {
+    const key = cacheKey(decision, context);
+    const cached = cache.get(key);
+    if (cached) {
+        return Object.assign(normalizeResult(cached.parsed, cached.backend, context), { cached: true });
+    }
+    for (const backend of getChain()) {
+        const stopTimer = evaluationSeconds.startTimer({ backend: backend.name });
+        try {
+            const parsed = await withTimeout(backend.evaluate(decision, context), backend.timeoutMs, backend.name);
+            stopTimer({ outcome: 'success' });
+            if (backend.name !== 'heuristic') cache.set(key, { parsed, backend: backend.name });
+            return normalizeResult(parsed, backend.name, context);
+        } catch (err) {
+            const seconds = stopTimer({ outcome: err.code === 'evaluator_timeout' ? 'timeout' : 'error' });
+            fallbacksTotal.inc({ backend: backend.name });
+            logger.warn('Evaluator failed, trying next backend', { backend: backend.name, durationMs: Math.round(seconds * 1000), err });
+        }
+    }
+    return normalizeResult(localHeuristic(decision, context), 'heuristic', context);
+}
+
+async function judge(decision, context) {
+    const violations = findViolation(decision, context && context.content);
+    if (violations) {
+        return Object.assign(violationResult(violations, context && context.locale), { backend: 'keywords' });
+    }
+    const detection = detectInjection(decision);
+    if (detection.suspicious) {
+        logger.warn('Instruction-like decision; gains will be withheld', { signals: detection.signals.map(signal => signal.id) });
+    }
+    return guardResult(decision, await evaluateWithBackends(decision, context), detection, context && context.locale);
+}
+
+// Evaluate decision with the configured backends; returns { violation, change, comment, tips, backend, guard? }
+async function evaluateDecision(decision, context) {
+    const result = await judge(decision, context);
+    evaluationsTotal.inc({ backend: result.backend, cached: String(Boolean(result.cached)) });
+    if (result.violation) violationsTotal.inc({ backend: result.backend });
+    return result;
+}
+
+// Backends in fallback order with their key health, and cache counters
+function evaluatorStatus() {
+    return {
+        backends: getChain().map(backend => ({
+            name: backend.name,
+            model: backend.model,
+            timeoutMs: backend.timeoutMs,
+            keys: backend.status ? backend.status() : null
+        })),
+        cache: cache.stats()
+    };
+}
+
+module.exports = {
+    registerBackend,
+    evaluatorStatus,
+    evaluateDecision,
+    localHeuristic
+};
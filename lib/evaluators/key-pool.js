@@ -0,0 +1,132 @@
+/*
+ * Health tracking for a set of API keys used round-robin. Each key is a small
+ * circuit breaker:
+ *   closed     in rotation
+ *   open       failed `failureThreshold` times in a row (or was rejected for
+ *              quota/auth); skipped until its cooldown ends
+ *   half-open  cooldown over; gets one trial call, success closes it again and
+ *              failure re-opens it with twice the cooldown (up to maxCooldownMs)
+ * A half-open key is handed to one call at a time: candidates() holds it for
+ * that call until it reports back or releases it (or a cooldown has passed,
+ * for a call that never did).
+ * Keys are only ever shown by their last four characters.
+ */
+
+const DEFAULT_FAILURE_THRESHOLD = 2;
+const DEFAULT_COOLDOWN_MS = 60 * 1000;
+const DEFAULT_MAX_COOLDOWN_MS = 15 * 60 * 1000;
+// Quota and authentication errors will not go away on the next call
+const TRIP_STATUSES = new Set([401, 403, 429]);
+
+function maskKey(key) {
+    return `…${key.slice(-4)}`;
+}
+
+function errorStatus(err) {
+    const status = Number(err && (err.status || err.code));
+    if (Number.isInteger(status)) return status;
+    const match = /\b(401|403|429)\b/.exec(String(err && err.message));
+    return match ? Number(match[1]) : null;
+}
+
+function createKeyPool(options) {
+    const opts = options || {};
+    const failureThreshold = opts.failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+    const cooldownMs = opts.cooldownMs || DEFAULT_COOLDOWN_MS;
+    const maxCooldownMs = opts.maxCooldownMs || DEFAULT_MAX_COOLDOWN_MS;
+    const states = new Map();
+    let keys = [];
+    let cursor = 0;
+
+    // Follow the configured key list; keys that stay keep their health
+    function sync(list) {
+        keys = list.slice();
+        keys.forEach(key => {
+            if (!states.has(key)) {
+                states.set(key, { failures: 0, trips: 0, openUntil: 0, trialUntil: 0, successes: 0, errors: 0, lastError: null, lastUsedAt: null });
+            }
+        });
+        Array.from(states.keys()).forEach(key => {
+            if (!keys.includes(key)) states.delete(key);
+        });
+    }
+
+    function stateName(state, now) {
+        if (state.openUntil > now) return 'open';
+        return state.trips > 0 ? 'half-open' : 'closed';
+    }
+
+    // Keys to try for one call, starting one further along the rotation each time
+    function candidates(now) {
+        const at = now || Date.now();
+        if (keys.length === 0) return [];
+        const start = cursor % keys.length;
+        cursor = (cursor + 1) % keys.length;
+        const rotated = keys.slice(start).concat(keys.slice(0, start));
+        return rotated.filter(key => {
+            const state = states.get(key);
+            if (state.openUntil > at) return false;
+            if (state.trips === 0) return true;
+            // Half-open: only the call that gets it here makes the trial
+            if (state.trialUntil > at) return false;
+            state.trialUntil = at + cooldownMs;
+            return true;
+        });
+    }
+
+    // Give back a key from candidates() the call did not get to try
+    function release(key) {
+        const state = states.get(key);
+        if (state) state.trialUntil = 0;
+    }
+
+    function reportSuccess(key, now) {
+        const state = states.get(key);
+        if (!state) return;
+        state.failures = 0;
+        state.trips = 0;
+        state.openUntil = 0;
+        state.trialUntil = 0;
+        state.successes += 1;
+        state.lastUsedAt = now || Date.now();
+    }
+
+    function reportFailure(key, err, now) {
+        const state = states.get(key);
+        if (!state) return;
+        const at = now || Date.now();
+        const halfOpen = state.trips > 0;
+        state.trialUntil = 0;
+        state.failures += 1;
+        state.errors += 1;
+        state.lastUsedAt = at;
+        state.lastError = String((err && err.message) || err).slice(0, 200);
+        if (halfOpen || state.failures >= failureThreshold || TRIP_STATUSES.has(errorStatus(err))) {
+            state.openUntil = at + Math.min(maxCooldownMs, cooldownMs * Math.pow(2, state.trips));
+            state.trips += 1;
+            state.failures = 0;
+        }
+    }
+
+    // Health of every key, in configured order
+    function status(now) {
+        const at = now || Date.now();
+        return keys.map(key => {
+            const state = states.get(key);
+            return {
+                key: maskKey(key),
+                state: stateName(state, at),
+                successes: state.successes,
+                errors: state.errors,
+                consecutiveFailures: state.failures,
+                retryAt: state.openUntil > at ? new Date(state.openUntil).toISOString() : null,
+                lastUsedAt: state.lastUsedAt ? new Date(state.lastUsedAt).toISOString() : null,
+                lastError: state.lastError
+            };
+        });
+    }
+
+    return { sync, candidates, release, reportSuccess, reportFailure, status };
+}
+
+module.exports = { createKeyPool, maskKey };
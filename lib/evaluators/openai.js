@@ -0,0 +1,75 @@
+const http = require('http');
+const https = require('https');
+const { requestEvaluation } = require('./prompt');
+const { jsonSchema } = require('./schema');
+
+// POST a JSON body and resolve with the parsed JSON answer
+function postJson(endpoint, headers, payload, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(endpoint);
+        const transport = target.protocol === 'https:' ? https : http;
+        const body = JSON.stringify(payload);
+        const req = transport.request(target, {
+            method: 'POST',
+            headers: Object.assign({
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body)
+            }, headers)
+        }, (resp) => {
+            let data = '';
+            resp.setEncoding('utf-8');
+            resp.on('data', chunk => { data += chunk; });
+            resp.on('end', () => {
+                if (resp.statusCode < 200 || resp.statusCode >= 300) {
+                    return reject(new Error(`HTTP ${resp.statusCode} from ${target.host}: ${data.slice(0, 200)}`));
+                }
+                try {
+                    resolve(JSON.parse(data));
+                } catch (err) {
+                    reject(new Error(`Invalid JSON from ${target.host}`));
+                }
+            });
+        });
+        if (timeoutMs) {
+            req.setTimeout(timeoutMs, () => req.destroy(new Error(`Request to ${target.host} timed out after ${timeoutMs}ms`)));
+        }
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+// `response_format` for the configured structured-output mode, or null
+function responseFormat(mode) {
+    if (mode === 'json_schema') {
+        return { type: 'json_schema', json_schema: { name: 'evaluation', schema: jsonSchema() } };
+    }
+    if (mode === 'json_object') return { type: 'json_object' };
+    return null;
+}
+
+// OpenAI-compatible chat completions backend (Ollama, llama.cpp server, vLLM...)
+function createOpenAIBackend(options) {
+    const endpoint = options.baseUrl.replace(/\/+$/, '') + '/chat/completions';
+    const headers = {};
+    if (options.apiKey) headers.Authorization = `Bearer ${options.apiKey}`;
+    const format = responseFormat(options.responseFormat);
+
+    function generate(prompt) {
+        const payload = {
+            model: options.model,
+            messages: [{ role: 'user', content: prompt }],
+            stream: false
+        };
+        if (typeof options.temperature === 'number') payload.temperature = options.temperature;
+        if (format) payload.response_format = format;
+        return postJson(endpoint, headers, payload, options.timeoutMs);
+    }
+
+    function evaluate(decision, context) {
+        return requestEvaluation({ name: 'openai', model: options.model, generate }, decision, context);
+    }
+
+    return { name: 'openai', model: options.model, timeoutMs: options.timeoutMs, evaluate };
+}
+
+module.exports = { createOpenAIBackend, postJson };
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { getContent } = require('../content-store');
+const { STATS, DELTA_LIMIT } = require('../stats');
+const { CHANGE_LIMIT, MAX_COMMENT_LENGTH, MAX_TIPS, parseAnswer, validateEvaluation } = require('./schema');
+const { recordAnswer } = require('./audit-log');
+const { createTranslator } = require('../i18n');
+
+// Scenario the player is responding to this round, if any
+function buildEventLines(event, t) {
+    if (!event) return [];
+    return [
+        t('prompt.eventIntro'),
+        `- ${event.title}: ${event.description}`,
+        t('prompt.eventWarning')
+    ];
+}
+
+// Opening and closing markers with a random boundary the player cannot guess
+function dataMarkers(openLabel, closeLabel) {
+    const boundary = crypto.randomBytes(6).toString('hex');
+    return { open: `<<<${openLabel}_${boundary}>>>`, close: `<<<${closeLabel}_${boundary}>>>` };
+}
+
+/*
+ * The player's text as data: JSON-encoded (quotes and line breaks escaped)
+ * between markers carrying a random boundary the player cannot guess, so the
+ * text cannot close the block and continue as instructions.
+ */
+function buildDecisionBlock(decision, t) {
+    const { open, close } = dataMarkers('CHINH_SACH', 'HET');
+    return [
+        t('prompt.decisionIntro', { open, close }),
+        t('prompt.decisionData'),
+        open,
+        JSON.stringify(String(decision)),
+        close
+    ];
+}
+
+/*
+ * The religion's name. A custom religion is named by its player, so the name
+ * is passed as data the same way as the decision.
+ */
+function buildReligionNameLines(context, t) {
+    if (!context.custom) return [t('prompt.religionName', { religion: context.religion })];
+    const { open, close } = dataMarkers('TEN_TON_GIAO', 'HET_TEN');
+    return [t('prompt.customReligionName', { open, close }), open, JSON.stringify(String(context.religion)), close];
+}
+
+/*
+ * What the religion believes and how it lives, so the policy is judged for
+ * fit with it. A custom religion's doctrine was written by its player, so it
+ * is passed as data the same way as the decision.
+ */
+function buildProfileLines(context, t) {
+    const profile = context.profile;
+    if (!profile) return [];
+    const lines = [t('prompt.profileHeading')];
+    if (context.custom) {
+        const { open, close } = dataMarkers('HO_SO', 'HET_HO_SO');
+        const doctrine = { values: profile.values, organization: profile.organization, activities: profile.activities, history: profile.history };
+        lines.push(t('prompt.customProfileIntro', { open, close }), t('prompt.customProfileData'), open, JSON.stringify(doctrine), close);
+    } else {
+        if (profile.values.length > 0) lines.push(t('prompt.profileValues', { values: profile.values.join(' | ') }));
+        if (profile.organization) lines.push(t('prompt.profileOrganization', { organization: profile.organization }));
+        if (profile.activities.length > 0) lines.push(t('prompt.profileActivities', { activities: profile.activities.join(' | ') }));
+        if (profile.history) lines.push(t('prompt.profileHistory', { history: profile.history }));
+    }
+    lines.push(t('prompt.profileFit'));
+    return lines;
+}
+
+/*
+ * Build the sage prompt shared by every LLM backend, written in the player's
+ * language (context.locale) so the comment and tips come back in it too.
+ */
+function buildEvaluatorPrompt(decision, context) {
+    const t = createTranslator(context.locale);
+    const regulations = (context.content || getContent()).regulations;
+    const regulationsText = [
+        t('prompt.policy') + ' ' + regulations.policy.join(' | '),
+        t('prompt.prohibited'),
+        ...regulations.prohibited.map((item, idx) => `${idx + 1}. ${item}`)
+    ].join('\n');
+    return [
+        t('prompt.role'),
+        t('prompt.setting'),
+        t('prompt.task'),
+        t('prompt.violationRule', { comment: t('evaluation.violation') }),
+        t('prompt.religionInfo'),
+        ...buildReligionNameLines(context, t),
+        t('prompt.round', { round: context.round }),
+        t('prompt.followers', { followers: context.followers }),
+        ...STATS.map(stat => `- ${t('stats.' + stat.key)} (${stat.key}): ${context.stats ? context.stats[stat.key] : stat.initial}/100`),
+        ...buildProfileLines(context, t),
+        ...buildEventLines(context.event, t),
+        t('prompt.regulations'),
+        regulationsText,
+        ...buildDecisionBlock(decision, t),
+        t('prompt.format'),
+        t('prompt.formatExample'),
+        t('prompt.limits', { limit: CHANGE_LIMIT, commentLength: MAX_COMMENT_LENGTH, tips: MAX_TIPS }),
+        t('prompt.ruleField'),
+        t('prompt.negation'),
+        t('prompt.statDeltas', { limit: DELTA_LIMIT }),
+        t('prompt.language')
+    ].join('\n');
+}
+
+// Pull the text out of whatever shape the backend returned
+function extractText(resp) {
+    let text = '';
+    if (resp && resp.response && typeof resp.response.text === 'function') {
+        text = resp.response.text();
+    } else if (resp && resp.candidates && resp.candidates[0] && resp.candidates[0].content && resp.candidates[0].content.parts) {
+        const parts = resp.candidates[0].content.parts;
+        text = parts.map(p => p.text || '').join(' ').trim();
+    } else if (resp && resp.choices && resp.choices[0] && resp.choices[0].message) {
+        text = resp.choices[0].message.content || '';
+    } else if (typeof resp === 'string') {
+        text = resp;
+    }
+    return (text || '').trim();
+}
+
+// Parse and validate a raw backend answer: { raw, errors, value }
+function checkModelResult(resp, context) {
+    const raw = extractText(resp);
+    const { parsed, errors } = parseAnswer(raw);
+    if (errors.length > 0) return { raw, errors, value: null };
+    const prohibitedCount = (context.content || getContent()).regulations.prohibited.length;
+    return Object.assign({ raw }, validateEvaluation(parsed, { prohibitedCount }));
+}
+
+// The original prompt plus the rejected answer and what was wrong with it
+function buildRepairPrompt(prompt, raw, errors, locale) {
+    const t = createTranslator(locale);
+    return [
+        prompt,
+        '',
+        t('prompt.repairIntro'),
+        raw.slice(0, 2000) || t('prompt.repairEmpty'),
+        t('prompt.repairErrors'),
+        ...errors.map(error => `- ${error}`),
+        t('prompt.repairAsk')
+    ].join('\n');
+}
+
+/*
+ * Ask a model backend for an evaluation. `backend.generate(prompt)` returns
+ * the raw answer; an answer that fails validation is sent back once with the
+ * errors, and a second failure throws so the next backend is tried. Every
+ * answer goes to the audit log.
+ */
+async function requestEvaluation(backend, decision, context) {
+    const prompt = buildEvaluatorPrompt(decision, context);
+    let check = null;
+    for (let attempt = 1; attempt <= 2; attempt += 1) {
+        const resp = await backend.generate(attempt === 1 ? prompt : buildRepairPrompt(prompt, check.raw, check.errors, context.locale));
+        check = checkModelResult(resp, context);
+        recordAnswer({ backend: backend.name, model: backend.model, attempt, decision, raw: check.raw, errors: check.errors });
+        if (check.value) return check.value;
+    }
+    throw new Error(`Invalid answer from "${backend.name}" after one repair: ${check.errors.join('; ')}`);
+}
+
+module.exports = {
+    buildEvaluatorPrompt,
+    extractText,
+    checkModelResult,
+    requestEvaluation
+};
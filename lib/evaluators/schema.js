@@ -0,0 +1,146 @@
+const { STATS, DELTA_LIMIT } = require('../stats');
+
+/*
+ * Shape of a model evaluation and its validation. The same field list is
+ * turned into a JSON Schema (OpenAI-compatible `response_format`) and into
+ * Gemini's `responseSchema`, so the model is asked for exactly what the
+ * validator accepts:
+ *   { change, stateTrust, finances, cohesion, contribution, comment, tips, rule? }
+ * Values out of range are errors rather than being clamped: a wrong answer
+ * goes back to the model once for repair instead of becoming a silent zero.
+ */
+
+const CHANGE_LIMIT = 400;
+const VIOLATION_CHANGE = -10000;
+const MAX_COMMENT_LENGTH = 600;
+const MAX_TIPS = 5;
+const MAX_TIP_LENGTH = 200;
+
+const FIELDS = [
+    { name: 'change', type: 'integer', required: true },
+    ...STATS.map(stat => ({ name: stat.key, type: 'integer', required: true })),
+    { name: 'comment', type: 'string', required: true },
+    { name: 'tips', type: 'array', required: true },
+    { name: 'rule', type: 'integer', required: false }
+];
+
+// Standard JSON Schema of an evaluation
+function jsonSchema() {
+    const properties = {};
+    FIELDS.forEach(field => {
+        properties[field.name] = field.type === 'array'
+            ? { type: 'array', items: { type: 'string' }, maxItems: MAX_TIPS }
+            : { type: field.type };
+    });
+    properties.comment.maxLength = MAX_COMMENT_LENGTH;
+    return {
+        type: 'object',
+        properties,
+        required: FIELDS.filter(field => field.required).map(field => field.name),
+        additionalProperties: false
+    };
+}
+
+// The same schema in Gemini's OpenAPI subset (upper-case type names)
+function geminiSchema() {
+    const properties = {};
+    FIELDS.forEach(field => {
+        properties[field.name] = field.type === 'array'
+            ? { type: 'ARRAY', items: { type: 'STRING' } }
+            : { type: field.type.toUpperCase(), nullable: !field.required };
+    });
+    return {
+        type: 'OBJECT',
+        properties,
+        required: FIELDS.filter(field => field.required).map(field => field.name),
+        propertyOrdering: FIELDS.map(field => field.name)
+    };
+}
+
+/*
+ * Parse the text of a model answer. Only a bare JSON object, optionally inside
+ * a ```json fence, is accepted. Returns { parsed, errors }.
+ */
+function parseAnswer(text) {
+    const fenced = /^```(?:json)?\s*([\s\S]*?)\s*```$/i.exec(text.trim());
+    const body = fenced ? fenced[1] : text.trim();
+    if (!body) return { parsed: null, errors: ['answer is empty'] };
+    try {
+        return { parsed: JSON.parse(body), errors: [] };
+    } catch (err) {
+        return { parsed: null, errors: [`answer is not valid JSON (${err.message})`] };
+    }
+}
+
+function isInteger(value) {
+    return typeof value === 'number' && Number.isInteger(value);
+}
+
+/*
+ * Validate a parsed answer. `prohibitedCount` bounds the violated rule number.
+ * Returns { errors: [text], value } where value is
+ *   { change, deltas, comment, tips, rule? }
+ * and only set when there are no errors.
+ */
+function validateEvaluation(parsed, options) {
+    const opts = options || {};
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { errors: ['answer must be a JSON object'], value: null };
+    }
+    const errors = [];
+    const violation = parsed.change === VIOLATION_CHANGE;
+    if (!isInteger(parsed.change)) {
+        errors.push('"change" must be an integer');
+    } else if (!violation && Math.abs(parsed.change) > CHANGE_LIMIT) {
+        errors.push(`"change" must be between -${CHANGE_LIMIT} and ${CHANGE_LIMIT}, or ${VIOLATION_CHANGE} for a violation`);
+    }
+
+    const deltas = {};
+    STATS.forEach(stat => {
+        const value = parsed[stat.key];
+        if (!isInteger(value) || Math.abs(value) > DELTA_LIMIT) {
+            errors.push(`"${stat.key}" must be an integer between -${DELTA_LIMIT} and ${DELTA_LIMIT}`);
+        } else {
+            deltas[stat.key] = value;
+        }
+    });
+
+    const comment = typeof parsed.comment === 'string' ? parsed.comment.trim() : '';
+    if (!comment) {
+        errors.push('"comment" must be a non-empty string');
+    } else if (comment.length > MAX_COMMENT_LENGTH) {
+        errors.push(`"comment" must be at most ${MAX_COMMENT_LENGTH} characters (got ${comment.length})`);
+    }
+
+    const tips = parsed.tips;
+    if (!Array.isArray(tips)) {
+        errors.push('"tips" must be an array of strings');
+    } else {
+        if (tips.length > MAX_TIPS) errors.push(`"tips" must have at most ${MAX_TIPS} items`);
+        if (tips.some(tip => typeof tip !== 'string' || !tip.trim() || tip.length > MAX_TIP_LENGTH)) {
+            errors.push(`every tip must be a non-empty string of at most ${MAX_TIP_LENGTH} characters`);
+        }
+    }
+
+    const hasRule = parsed.rule !== undefined && parsed.rule !== null;
+    if (violation && hasRule && (!isInteger(parsed.rule) || parsed.rule < 1 || (opts.prohibitedCount && parsed.rule > opts.prohibitedCount))) {
+        errors.push(`"rule" must be the number of a prohibited item (1-${opts.prohibitedCount || 'n'})`);
+    }
+
+    if (errors.length > 0) return { errors, value: null };
+    const value = { change: parsed.change, deltas, comment, tips: tips.map(tip => tip.trim()) };
+    if (violation && hasRule) value.rule = parsed.rule;
+    return { errors, value };
+}
+
+module.exports = {
+    CHANGE_LIMIT,
+    VIOLATION_CHANGE,
+    MAX_COMMENT_LENGTH,
+    MAX_TIPS,
+    MAX_TIP_LENGTH,
+    jsonSchema,
+    geminiSchema,
+    parseAnswer,
+    validateEvaluation
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+/*
+ * Server-Sent Events hub on top of the plain http server. Events are
+ * published to named channels and fanned out to every connected client that
+ * subscribed to one of them.
+ *
+ * Event ids look like "<boot>.<seq>": the boot part changes on every restart
+ * so a Last-Event-ID from a previous process is recognised. Recent events are
+ * kept in a ring buffer; a reconnecting client gets everything it missed, or a
+ * `reset` event when the buffer no longer covers its position (the page then
+ * reloads its snapshot).
+ */
+
+const DEFAULT_BUFFER_SIZE = 500;
+const DEFAULT_HEARTBEAT_MS = 25000;
+const DEFAULT_RETRY_MS = 3000;
+
+function formatEvent(event) {
+    const data = JSON.stringify(event.data === undefined ? null : event.data);
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${data}\n\n`;
+}
+
+function createEventHub(options) {
+    const opts = options || {};
+    const bufferSize = opts.bufferSize || DEFAULT_BUFFER_SIZE;
+    const retryMs = opts.retryMs || DEFAULT_RETRY_MS;
+    const bootId = crypto.randomBytes(4).toString('hex');
+    const buffer = [];
+    const clients = new Set();
+    let seq = 0;
+
+    function lastEventId() {
+        return `${bootId}.${seq}`;
+    }
+
+    // Sequence number of an id issued by this process, or null
+    function parseId(id) {
+        const match = /^([0-9a-f]+)\.(\d+)$/.exec(String(id || ''));
+        if (!match || match[1] !== bootId) return null;
+        const value = Number(match[2]);
+        return value <= seq ? value : null;
+    }
+
+    function publish(channel, type, data) {
+        seq += 1;
+        const event = { id: lastEventId(), seq, channel, type, data };
+        buffer.push(event);
+        if (buffer.length > bufferSize) buffer.shift();
+        const frame = formatEvent(event);
+        clients.forEach(client => {
+            if (client.channels.includes(channel)) client.res.write(frame);
+        });
+        return event;
+    }
+
+    // Events after `since` on the given channels, or null when some were dropped
+    function replay(since, channels) {
+        const oldest = buffer.length > 0 ? buffer[0].seq : seq + 1;
+        if (since + 1 < oldest && since < seq) return null;
+        return buffer.filter(event => event.seq > since && channels.includes(event.channel));
+    }
+
+    /*
+     * Turn the response into an event stream for `channels`. The resume point
+     * comes from the Last-Event-ID header (sent by EventSource on reconnect) or
+     * from `cursor`, the id the page was rendered at.
+     */
+    function stream(req, res, channels, cursor) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${retryMs}\n\n`);
+
+        const resumeFrom = req.headers['last-event-id'] || cursor;
+        if (resumeFrom) {
+            const since = parseId(resumeFrom);
+            const missed = since === null ? null : replay(since, channels);
+            if (missed === null) {
+                res.write(formatEvent({ id: lastEventId(), type: 'reset', data: null }));
+            } else {
+                missed.forEach(event => res.write(formatEvent(event)));
+            }
+        }
+
+        const client = { res, channels };
+        clients.add(client);
+        req.on('close', () => clients.delete(client));
+    }
+
+    // Comment lines keep proxies from closing idle connections
+    const heartbeat = setInterval(() => {
+        clients.forEach(client => client.res.write(': ping\n\n'));
+    }, opts.heartbeatMs || DEFAULT_HEARTBEAT_MS);
+    heartbeat.unref();
+
+    return {
+        publish,
+        stream,
+        lastEventId,
+        clientCount: () => clients.size
+    };
+}
+
+module.exports = { createEventHub };
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./config');
+const logger = require('./logger');
+
+/*
+ * Scenario event deck. Each JSON file in data/events/ describes one event:
+ *   {
+ *     "id": "natural-disaster",
+ *     "title": "...", "description": "...",
+ *     "weight": 3,                           // relative draw chance, default 1
+ *     "conditions": {                        // all optional
+ *       "minFollowers": 0, "maxFollowers": 800,
+ *       "minRound": 1, "maxRound": 10,
+ *       "religions": ["Phật giáo"],          // only for these religions
+ *       "repeatable": false                  // may be drawn again in the same game
+ *     },
+ *     "favoredKeywords": [...],              // responses the heuristic rewards
+ *     "penalizedKeywords": [...],            // responses the heuristic punishes
+ *     "translations": {                      // optional, per locale
+ *       "en": { "title": "...", "description": "..." }
+ *     }
+ *   }
+ * Keywords in every language go in the same lists. Files are read on every
+ * draw so the deck can be edited while the server runs.
+ */
+
+const EVENTS_DIR = path.join(DATA_DIR, 'events');
+
+function normalizeEvent(raw, fileName) {
+    if (!raw || typeof raw !== 'object' || !raw.title) {
+        logger.warn('Event file has no title and was skipped', { file: fileName });
+        return null;
+    }
+    return {
+        id: raw.id || path.basename(fileName, '.json'),
+        title: String(raw.title),
+        description: String(raw.description || ''),
+        weight: typeof raw.weight === 'number' && raw.weight > 0 ? raw.weight : 1,
+        conditions: raw.conditions || {},
+        favoredKeywords: Array.isArray(raw.favoredKeywords) ? raw.favoredKeywords : [],
+        penalizedKeywords: Array.isArray(raw.penalizedKeywords) ? raw.penalizedKeywords : [],
+        translations: raw.translations && typeof raw.translations === 'object' ? raw.translations : {}
+    };
+}
+
+function loadEvents(dir) {
+    const eventsDir = dir || EVENTS_DIR;
+    let files;
+    try {
+        files = fs.readdirSync(eventsDir).filter(f => f.endsWith('.json')).sort();
+    } catch (err) {
+        return [];
+    }
+    const events = [];
+    files.forEach(fileName => {
+        try {
+            const raw = JSON.parse(fs.readFileSync(path.join(eventsDir, fileName), 'utf-8'));
+            const list = Array.isArray(raw) ? raw : [raw];
+            list.forEach(item => {
+                const event = normalizeEvent(item, fileName);
+                if (event) events.push(event);
+            });
+        } catch (err) {
+            logger.error('Could not read event file', { file: fileName, err });
+        }
+    });
+    return events;
+}
+
+// True when the event's preconditions hold for the game about to play `game.round`
+function isEligible(event, game) {
+    const c = event.conditions;
+    if (typeof c.minFollowers === 'number' && game.followers < c.minFollowers) return false;
+    if (typeof c.maxFollowers === 'number' && game.followers > c.maxFollowers) return false;
+    if (typeof c.minRound === 'number' && game.round < c.minRound) return false;
+    if (typeof c.maxRound === 'number' && game.round > c.maxRound) return false;
+    if (Array.isArray(c.religions) && c.religions.length > 0 && !c.religions.includes(game.religion)) return false;
+    if (!c.repeatable) {
+        const seen = (game.history || []).some(entry => entry.event && entry.event.id === event.id);
+        if (seen) return false;
+    }
+    return true;
+}
+
+// Weighted random pick among eligible events; null when none applies
+function drawEvent(game, events, random) {
+    const rng = random || Math.random;
+    const eligible = (events || loadEvents()).filter(event => isEligible(event, game));
+    if (eligible.length === 0) return null;
+    const total = eligible.reduce((sum, event) => sum + event.weight, 0);
+    let roll = rng() * total;
+    for (const event of eligible) {
+        roll -= event.weight;
+        if (roll < 0) return event;
+    }
+    return eligible[eligible.length - 1];
+}
+
+// The part of an event stored on the game; publicEvent() is what the player sees of it
+function summarizeEvent(event) {
+    if (!event) return null;
+    return {
+        id: event.id,
+        title: event.title,
+        description: event.description,
+        favoredKeywords: event.favoredKeywords,
+        penalizedKeywords: event.penalizedKeywords,
+        translations: event.translations
+    };
+}
+
+/*
+ * What players and API clients see of an event: its keyword lists are the
+ * heuristic evaluator's scoring key and stay on the server.
+ */
+function publicEvent(event) {
+    if (!event) return null;
+    return { id: event.id, title: event.title, description: event.description, translations: event.translations };
+}
+
+// The event with its title and description in `locale`, when the event file translates them
+function localizeEvent(event, locale) {
+    const text = event && event.translations && event.translations[locale];
+    if (!text) return event;
+    return Object.assign({}, event, {
+        title: text.title || event.title,
+        description: text.description || event.description
+    });
+}
+
+module.exports = {
+    EVENTS_DIR,
+    loadEvents,
+    isEligible,
+    drawEvent,
+    summarizeEvent,
+    publicEvent,
+    localizeEvent
+};
@@ -0,0 +1,170 @@
+const path = require('path');
+const { DATA_DIR } = require('./config');
+const { STATS } = require('./stats');
+const { readJson, createDebouncedWriter } = require('./json-file');
+const gameEvents = require('./game-events');
+const contentStore = require('./content-store');
+const { createTranslator } = require('./i18n');
+
+/*
+ * Archive of every finished game with its full round-by-round history, kept
+ * in data/games.json so players can look back at and replay their games.
+ *
+ * Record shape:
+ *   {
+ *     id, playerKey, username, religion, custom, roomCode, contentVersion,
+ *     startedAt, finishedAt, maxRounds, mode, difficulty, timed,
+ *     startFollowers, followers, stats,
+ *     score, violation, violations, message, notes, history: [...]
+ *   }
+ */
+
+const GAMES_FILE = path.join(DATA_DIR, 'games.json');
+
+const games = new Map(Object.entries(readJson(GAMES_FILE, {})));
+const writer = createDebouncedWriter(GAMES_FILE, () => Object.fromEntries(games), 'game archive');
+
+gameEvents.on('finished', ({ session, game, outcome }) => {
+    if (!game.id) return;
+    games.set(game.id, {
+        id: game.id,
+        playerKey: game.playerKey,
+        username: session.username,
+        religion: game.religion,
+        custom: Boolean(game.custom),
+        roomCode: game.roomCode || null,
+        contentVersion: outcome.contentVersion,
+        startedAt: game.startedAt || null,
+        finishedAt: new Date().toISOString(),
+        maxRounds: game.maxRounds,
+        mode: outcome.mode,
+        difficulty: outcome.difficulty,
+        timed: outcome.timed,
+        startFollowers: game.startFollowers,
+        followers: outcome.followers,
+        stats: outcome.stats,
+        score: outcome.score,
+        violation: outcome.violation,
+        violations: outcome.violations,
+        message: outcome.message,
+        notes: outcome.notes,
+        history: game.history
+    });
+    writer.schedule();
+});
+
+// Hand every archived game of `fromKey` to `toKey` (a Google identity linked to an account)
+function reassignPlayer(fromKey, toKey) {
+    let moved = 0;
+    games.forEach(record => {
+        if (record.playerKey !== fromKey) return;
+        record.playerKey = toKey;
+        moved += 1;
+    });
+    if (moved > 0) writer.schedule();
+    return moved;
+}
+
+// Summaries of a player's games, newest first
+function listPlayerGames(playerKey) {
+    return Array.from(games.values())
+        .filter(record => record.playerKey === playerKey)
+        .sort((a, b) => (a.finishedAt < b.finishedAt ? 1 : -1))
+        .map(record => ({
+            id: record.id,
+            religion: record.religion,
+            custom: record.custom,
+            roomCode: record.roomCode,
+            startedAt: record.startedAt,
+            finishedAt: record.finishedAt,
+            rounds: record.history.length,
+            followers: record.followers,
+            score: record.score,
+            violation: record.violation
+        }));
+}
+
+// Full records of a player's games, newest first
+function exportPlayerGames(playerKey) {
+    return Array.from(games.values())
+        .filter(record => record.playerKey === playerKey)
+        .sort((a, b) => (a.finishedAt < b.finishedAt ? 1 : -1));
+}
+
+// A game of the player, or null (other players' games are not visible)
+function getPlayerGame(playerKey, id) {
+    const record = games.get(String(id || ''));
+    return record && record.playerKey === playerKey ? record : null;
+}
+
+/*
+ * Per-round replay frames: the history entries with the follower count and
+ * indicators after each round. Games archived before entries carried those
+ * snapshots get them rebuilt from the recorded changes.
+ */
+function replayFrames(record) {
+    let followers = record.startFollowers || 0;
+    const stats = {};
+    STATS.forEach(stat => { stats[stat.key] = stat.initial; });
+    return record.history.map((entry, idx) => {
+        if (entry.followers !== undefined) {
+            followers = entry.followers;
+        } else if (typeof entry.change === 'number') {
+            followers = Math.max(0, followers + entry.change);
+        } else {
+            followers = 0;
+        }
+        if (entry.stats) {
+            Object.assign(stats, entry.stats);
+        } else if (entry.deltas) {
+            STATS.forEach(stat => { stats[stat.key] += entry.deltas[stat.key] || 0; });
+        }
+        return Object.assign({}, entry, { step: idx + 1, followers, stats: Object.assign({}, stats) });
+    });
+}
+
+function signedNumber(value) {
+    return typeof value === 'number' && value > 0 ? `+${value}` : String(value);
+}
+
+// Markdown document of the given games, for players to keep or hand in, written in `locale`
+function exportMarkdown(username, records, locale) {
+    const t = createTranslator(locale);
+    const out = [`# ${t('archive.heading', { name: username })}`, '', t('archive.exported', { at: new Date().toISOString(), count: records.length }), ''];
+    records.forEach(record => {
+        const names = contentStore.religionNames(contentStore.getContent(record.contentVersion), locale);
+        out.push(`## ${names[record.religion] || record.religion} — ${record.finishedAt}`, '');
+        out.push(`- ${t('archive.score', { score: `**${record.score}**` })}${record.violation ? ` ${t('archive.violated')}` : ''}`);
+        out.push(`- ${t('archive.followers', { followers: record.followers })}`);
+        STATS.forEach(stat => out.push(`- ${t(`stats.${stat.key}`)}: ${record.stats[stat.key]}/100`));
+        if (record.roomCode) out.push(`- ${t('archive.room', { code: record.roomCode })}`);
+        out.push('', `> ${record.message}`, '');
+        (record.violations || []).forEach(item => {
+            out.push(`- ${t('archive.violation', { number: item.regulationIndex + 1, regulation: item.regulation })}${item.excerpt ? ` ("${item.excerpt}")` : ''}`);
+        });
+        replayFrames(record).forEach(frame => {
+            out.push('', `### ${t('archive.round', { round: frame.round })}${frame.event ? ` — ${frame.event.title}` : ''}`, '');
+            out.push(`**${t('archive.decision')}** ${frame.decision}`, '');
+            const change = typeof frame.change === 'number' ? signedNumber(frame.change) : t('common.violation');
+            out.push(`**${t('archive.change')}** ${t('archive.changeValue', { change, followers: frame.followers })}`, '');
+            if (frame.comment) out.push(`**${t('archive.comment')}** ${frame.comment}`, '');
+            if (frame.guard) frame.guard.notes.forEach(note => out.push(`- ${note}`));
+            if (frame.originality) frame.originality.notes.forEach(note => out.push(`- ${note}`));
+            (frame.effects || []).forEach(effect => out.push(`- ${effect}`));
+            (frame.tips || []).forEach(tip => out.push(`- ${t('archive.tip', { tip })}`));
+        });
+        out.push('');
+    });
+    return out.join('\n');
+}
+
+module.exports = {
+    GAMES_FILE,
+    reassignPlayer,
+    listPlayerGames,
+    exportPlayerGames,
+    getPlayerGame,
+    replayFrames,
+    exportMarkdown,
+    flush: writer.flush
+};
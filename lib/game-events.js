@@ -0,0 +1,13 @@
+const { EventEmitter } = require('events');
+
+/*
+ * Game lifecycle notifications, emitted by the game service:
+ *   'started'  { session, game }
+ *   'decision' { session, game, result }
+ *   'finished' { session, game, outcome }
+ * Listeners must not throw; they run synchronously inside the request.
+ */
+const gameEvents = new EventEmitter();
+gameEvents.setMaxListeners(50);
+
+module.exports = gameEvents;
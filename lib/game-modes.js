@@ -0,0 +1,143 @@
+const config = require('./config');
+const { GameError } = require('./errors');
+
+/*
+ * Game modes, picked on /start:
+ *   mode        how many rounds are played: short, standard or marathon.
+ *               Games in a classroom room play the room's round count; when
+ *               it matches no mode they are 'custom'.
+ *   difficulty  starting followers, how far followers may move in one round,
+ *               the score thresholds and how much the keyword heuristic's
+ *               result is left to chance
+ *   timed       every round has a countdown; the server forfeits rounds
+ *               whose deadline has passed
+ *
+ * Thresholds are given for 10 rounds and scale with the round count. Each
+ * combination of the three is a separate leaderboard bucket, so only games
+ * played under the same rules are ranked together. Games and scoreboard
+ * entries from before modes existed count as standard, normal and untimed.
+ */
+
+const MODES = {
+    short: { rounds: 5 },
+    standard: { rounds: 10 },
+    marathon: { rounds: 20 }
+};
+const MODE_IDS = Object.keys(MODES);
+const CUSTOM_MODE = 'custom';
+const DEFAULT_MODE = 'standard';
+
+const DIFFICULTIES = {
+    easy: { startFollowers: 150, maxGain: 400, maxLoss: 150, survive: 500, leaderboard: 800, randomness: 0.5 },
+    normal: { startFollowers: 100, maxGain: 400, maxLoss: 400, survive: 600, leaderboard: 1000, randomness: 1 },
+    hard: { startFollowers: 60, maxGain: 250, maxLoss: 400, survive: 700, leaderboard: 1200, randomness: 1.5 }
+};
+const DIFFICULTY_IDS = Object.keys(DIFFICULTIES);
+const DEFAULT_DIFFICULTY = 'normal';
+
+// Share of followers lost for every round whose countdown ran out
+const TIMEOUT_PENALTY = 0.1;
+// Allowance for the time a decision spends on the way to the server
+const DEADLINE_GRACE_MS = 3000;
+
+function difficultyOf(id) {
+    return DIFFICULTIES[id] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+}
+
+// Mode id for a round count: the mode that plays it, else 'custom'
+function modeForRounds(rounds) {
+    return MODE_IDS.find(id => MODES[id].rounds === rounds) || CUSTOM_MODE;
+}
+
+// 5 rounds need 60% of the 10-round thresholds, 20 rounds 180%; rounded to tens
+function scaleThreshold(value, rounds) {
+    const scale = 0.2 + 0.8 * ((rounds || MODES[DEFAULT_MODE].rounds) / 10);
+    return Math.round((value * scale) / 10) * 10;
+}
+
+/*
+ * Score thresholds of a game or scoreboard entry ({ maxRounds | rounds,
+ * difficulty }): below `survive` the religion failed, from `leaderboard` on
+ * it is ranked.
+ */
+function thresholdsFor(record) {
+    const rounds = record.maxRounds || record.rounds;
+    const difficulty = difficultyOf(record.difficulty);
+    return {
+        survive: scaleThreshold(difficulty.survive, rounds),
+        leaderboard: scaleThreshold(difficulty.leaderboard, rounds)
+    };
+}
+
+/*
+ * Validated choices from the start form or the API. In a room the round count
+ * is the room's, so `mode` is ignored there.
+ */
+function normalizeOptions(input, roomRounds) {
+    const opts = input || {};
+    const mode = opts.mode || DEFAULT_MODE;
+    if (!roomRounds && !MODE_IDS.includes(mode)) {
+        throw new GameError(400, 'invalid_mode', 'Chế độ chơi không hợp lệ.', { modes: MODE_IDS.join(', ') });
+    }
+    const difficulty = opts.difficulty || DEFAULT_DIFFICULTY;
+    if (!DIFFICULTY_IDS.includes(difficulty)) {
+        throw new GameError(400, 'invalid_difficulty', 'Độ khó không hợp lệ.', { difficulties: DIFFICULTY_IDS.join(', ') });
+    }
+    const timed = opts.timed === true || opts.timed === 'on' || opts.timed === 'true' || opts.timed === '1';
+    const rounds = roomRounds || MODES[mode].rounds;
+    return { mode: roomRounds ? modeForRounds(roomRounds) : mode, difficulty, timed, rounds };
+}
+
+/*
+ * The settings stored on a new game. Everything a round needs is copied in, so
+ * games already running keep their rules when the configuration changes.
+ */
+function gameSettings(choice) {
+    const difficulty = difficultyOf(choice.difficulty);
+    return {
+        mode: choice.mode,
+        difficulty: choice.difficulty,
+        timed: choice.timed,
+        roundSeconds: choice.timed ? config.modes.roundSeconds : null,
+        maxRounds: choice.rounds,
+        startFollowers: difficulty.startFollowers
+    };
+}
+
+// Follower change bounds for one round of the game
+function changeCaps(game) {
+    const difficulty = difficultyOf(game.difficulty);
+    return { gain: difficulty.maxGain, loss: difficulty.maxLoss };
+}
+
+function randomnessOf(game) {
+    return difficultyOf(game.difficulty).randomness;
+}
+
+// Leaderboard bucket of a game or scoreboard entry
+function bucketOf(record) {
+    return {
+        mode: record.mode || DEFAULT_MODE,
+        difficulty: record.difficulty || DEFAULT_DIFFICULTY,
+        timed: Boolean(record.timed)
+    };
+}
+
+module.exports = {
+    MODES,
+    MODE_IDS,
+    CUSTOM_MODE,
+    DEFAULT_MODE,
+    DIFFICULTIES,
+    DIFFICULTY_IDS,
+    DEFAULT_DIFFICULTY,
+    TIMEOUT_PENALTY,
+    DEADLINE_GRACE_MS,
+    modeForRounds,
+    thresholdsFor,
+    normalizeOptions,
+    gameSettings,
+    changeCaps,
+    randomnessOf,
+    bucketOf
+};
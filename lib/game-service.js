@@ -0,0 +1,497 @@
+const crypto = require('crypto');
+const contentStore = require('./content-store');
+const { evaluateDecision } = require('./evaluators');
+const scoreboard = require('./scoreboard');
+const leaderboards = require('./leaderboards');
+const { drawEvent, summarizeEvent, publicEvent, localizeEvent } = require('./events');
+const { initialStats, applyRound, computeScore, outcomeNotes } = require('./stats');
+const gameModes = require('./game-modes');
+const { normalizeDoctrine, profileText, displayProfile } = require('./religion-profiles');
+const { moderate } = require('./moderation');
+const { detectInjection } = require('./evaluators/guard');
+const { GameError } = require('./errors');
+const { assessOriginality, applyOriginality } = require('./originality');
+const { userKey, isGuest } = require('./identity');
+const rooms = require('./rooms');
+const gameEvents = require('./game-events');
+const { translate } = require('./i18n');
+
+/*
+ * Game rules shared by the HTML pages and the JSON API. Every function works
+ * on the player's session object and mutates `session.game` in place; callers
+ * are responsible for persisting the session afterwards.
+ */
+
+// Rounds of a standard game, and of games saved before modes existed
+const MAX_ROUNDS = gameModes.MODES[gameModes.DEFAULT_MODE].rounds;
+const MAX_DECISION_LENGTH = 2000;
+const MAX_RELIGION_NAME_LENGTH = 80;
+
+function requireGame(session) {
+    if (!session || !session.game) {
+        throw new GameError(404, 'no_game', 'Bạn chưa bắt đầu trò chơi.');
+    }
+    return session.game;
+}
+
+function maxRoundsOf(game) {
+    return game.maxRounds || MAX_ROUNDS;
+}
+
+function isFinished(game) {
+    return game.round > maxRoundsOf(game);
+}
+
+// The classroom room the player has joined, if it still exists
+function currentRoom(session) {
+    return session && session.roomCode ? rooms.getRoom(session.roomCode) : null;
+}
+
+// Religions the player may pick: the room's selection, or every predefined one
+function availableReligions(session) {
+    const religions = contentStore.getContent().religions;
+    const room = currentRoom(session);
+    if (!room) return { religions: religions.slice(), allowCustom: true, room: null };
+    return {
+        religions: room.settings.allowedReligions.filter(name => religions.includes(name)),
+        allowCustom: room.settings.allowCustom,
+        room
+    };
+}
+
+// Course content the game was started with, as a player of `locale` reads it
+function contentOf(game, locale) {
+    return contentStore.localizeContent(contentStore.getContent(game.contentVersion), locale);
+}
+
+/*
+ * Profile the game's religion is judged against: the doctrine its player
+ * wrote for a custom religion, else the course content's profile in `locale`.
+ */
+function profileOf(game, locale) {
+    if (game.custom) return game.profile || null;
+    return contentStore.religionProfile(contentOf(game, locale), game.religion);
+}
+
+/*
+ * Validated doctrine for a custom religion. It reaches the evaluator with
+ * every decision, so it must respect the regulations and describe the
+ * religion rather than instruct the evaluator.
+ */
+function checkDoctrine(input) {
+    const profile = normalizeDoctrine(input);
+    if (!profile) return null;
+    const text = profileText(profile);
+    const moderation = moderate(text, contentStore.getContent());
+    if (moderation.violation) {
+        const number = moderation.matches[0].regulationIndex + 1;
+        throw new GameError(400, 'doctrine_violation', `Giáo lý vi phạm Điều ${number} trong các điều nghiêm cấm của Nhà nước.`, { number });
+    }
+    if (detectInjection(text).suspicious) {
+        throw new GameError(400, 'doctrine_instructions', 'Hồ sơ tôn giáo chỉ được mô tả tôn giáo, không được chứa câu lệnh cho hệ thống chấm điểm.');
+    }
+    return profile;
+}
+
+/*
+ * A custom religion's name reaches the evaluator with every decision too, so
+ * it is held to the same rules as the doctrine.
+ */
+function checkReligionName(name) {
+    const moderation = moderate(name, contentStore.getContent());
+    if (moderation.violation) {
+        const number = moderation.matches[0].regulationIndex + 1;
+        throw new GameError(400, 'religion_name_violation', `Tên tôn giáo vi phạm Điều ${number} trong các điều nghiêm cấm của Nhà nước.`, { number });
+    }
+    if (detectInjection(name).suspicious) {
+        throw new GameError(400, 'religion_name_instructions', 'Tên tôn giáo không được chứa câu lệnh cho hệ thống chấm điểm.');
+    }
+}
+
+// Name of the game's religion in `locale`
+function religionLabel(game, locale) {
+    return contentStore.religionNames(contentStore.getContent(game.contentVersion), locale)[game.religion] || game.religion;
+}
+
+// A timed game's current round ends `roundSeconds` after `from` (ms)
+function startRoundClock(game, from) {
+    game.roundDeadline = game.timed ? new Date(from + game.roundSeconds * 1000).toISOString() : null;
+}
+
+// Move on to the next round, drawing its event
+function advanceRound(game, clockFrom) {
+    game.round += 1;
+    game.event = isFinished(game) ? null : summarizeEvent(drawEvent(game));
+    if (!isFinished(game)) startRoundClock(game, clockFrom);
+}
+
+/*
+ * Start a game with a predefined religion, or a custom one when `custom` is
+ * set, optionally with its `profile` (doctrine, see lib/religion-profiles.js).
+ * `mode`, `difficulty` and `timed` pick the rules (see lib/game-modes.js).
+ * A game in progress is never replaced: finishGame (which archives it) first.
+ */
+function startGame(session, options) {
+    const opts = options || {};
+    const religion = typeof opts.religion === 'string' ? opts.religion.trim() : '';
+    if (session.game) {
+        throw new GameError(409, 'game_in_progress', 'Bạn đang có một ván chưa kết thúc. Hãy chơi tiếp hoặc kết thúc ván đó trước.');
+    }
+    const available = availableReligions(session);
+    if (available.room) rooms.assertPlayable(available.room);
+    if (!religion) {
+        throw new GameError(400, 'religion_required', 'Vui lòng chọn hoặc đặt tên tôn giáo.');
+    }
+    if (opts.custom && !available.allowCustom) {
+        throw new GameError(403, 'custom_not_allowed', 'Phòng này không cho phép tạo tôn giáo mới.');
+    }
+    if (!opts.custom && !available.religions.includes(religion)) {
+        throw new GameError(400, 'unknown_religion', 'Tôn giáo không có trong danh sách được phép.');
+    }
+    if (religion.length > MAX_RELIGION_NAME_LENGTH) {
+        throw new GameError(400, 'religion_too_long', `Tên tôn giáo tối đa ${MAX_RELIGION_NAME_LENGTH} ký tự.`, { max: MAX_RELIGION_NAME_LENGTH });
+    }
+    if (opts.custom) checkReligionName(religion);
+    const profile = opts.custom ? checkDoctrine(opts.profile) : null;
+    const settings = gameModes.gameSettings(gameModes.normalizeOptions(opts, available.room ? available.room.settings.maxRounds : null));
+    session.game = {
+        id: crypto.randomBytes(9).toString('base64url'),
+        religion,
+        custom: Boolean(opts.custom),
+        profile,
+        followers: settings.startFollowers,
+        startFollowers: settings.startFollowers,
+        stats: initialStats(),
+        round: 1,
+        maxRounds: settings.maxRounds,
+        mode: settings.mode,
+        difficulty: settings.difficulty,
+        timed: settings.timed,
+        roundSeconds: settings.roundSeconds,
+        roundDeadline: null,
+        roomCode: available.room ? available.room.code : null,
+        playerKey: userKey(session),
+        startedAt: new Date().toISOString(),
+        contentVersion: contentStore.currentVersion(),
+        history: []
+    };
+    session.game.event = summarizeEvent(drawEvent(session.game));
+    startRoundClock(session.game, Date.now());
+    gameEvents.emit('started', { session, game: session.game });
+    return session.game;
+}
+
+// Record a round of a timed game that ran out of time: no decision, and some followers leave
+function forfeitRound(game, locale) {
+    const lost = Math.round(game.followers * gameModes.TIMEOUT_PENALTY);
+    game.followers -= lost;
+    const event = localizeEvent(game.event, locale) || null;
+    const feedback = {
+        violation: false,
+        timedOut: true,
+        change: -lost,
+        deltas: null,
+        effects: [],
+        comment: translate(locale, 'evaluation.timedOut', { round: game.round, lost }),
+        tips: []
+    };
+    game.history.push({
+        round: game.round,
+        event: event ? { id: event.id, title: event.title } : null,
+        decision: '',
+        change: feedback.change,
+        comment: feedback.comment,
+        timedOut: true,
+        followers: game.followers,
+        stats: Object.assign({}, game.stats)
+    });
+    game.lastFeedback = feedback;
+    return feedback;
+}
+
+/*
+ * Forfeit every round of a timed game whose countdown ran out, as the clock
+ * keeps running while the player is away. Returns true when a round was
+ * forfeited; the session then needs saving. Texts are written in `options.locale`.
+ */
+function expireRounds(session, options) {
+    const opts = options || {};
+    const game = requireGame(session);
+    if (!game.timed || !game.roundDeadline) return false;
+    const now = opts.now || Date.now();
+    let expired = false;
+    while (!isFinished(game) && now > Date.parse(game.roundDeadline) + gameModes.DEADLINE_GRACE_MS) {
+        const missedAt = Date.parse(game.roundDeadline) + gameModes.DEADLINE_GRACE_MS;
+        const feedback = forfeitRound(game, opts.locale);
+        advanceRound(game, missedAt);
+        gameEvents.emit('decision', { session, game, result: feedback });
+        expired = true;
+    }
+    return expired;
+}
+
+function secondsLeft(game) {
+    if (!game.timed || !game.roundDeadline || isFinished(game)) return null;
+    return Math.max(0, Math.ceil((Date.parse(game.roundDeadline) - Date.now()) / 1000));
+}
+
+// Snapshot of the current game suitable for rendering or JSON output, with texts in `locale`
+function getState(session, locale) {
+    const game = requireGame(session);
+    const bucket = gameModes.bucketOf(game);
+    return {
+        religion: game.religion,
+        custom: Boolean(game.custom),
+        followers: game.followers,
+        stats: game.stats || initialStats(),
+        score: computeScore(game),
+        round: Math.min(game.round, maxRoundsOf(game)),
+        maxRounds: maxRoundsOf(game),
+        mode: bucket.mode,
+        difficulty: bucket.difficulty,
+        timed: bucket.timed,
+        roundSeconds: game.roundSeconds || null,
+        roundDeadline: isFinished(game) ? null : (game.roundDeadline || null),
+        secondsLeft: secondsLeft(game),
+        roomCode: game.roomCode || null,
+        contentVersion: game.contentVersion || 1,
+        finished: isFinished(game),
+        // Without the keyword lists the heuristic evaluator scores with
+        event: isFinished(game) ? null : publicEvent(localizeEvent(game.event, locale)),
+        profile: displayProfile(profileOf(game, locale)),
+        suggestions: game.custom ? [] : contentStore.suggestionsFor(contentOf(game, locale), game.religion),
+        lastFeedback: game.lastFeedback || null,
+        history: game.history
+    };
+}
+
+// Keywords that earn points, to spot decisions made of little else
+function originalityKeywords(content, event, profile) {
+    let keywords = content.positiveKeywords.slice();
+    Object.keys(content.statKeywords).forEach(key => { keywords = keywords.concat(content.statKeywords[key].positive); });
+    if (profile) keywords = keywords.concat(profile.keywords);
+    return event ? keywords.concat(event.favoredKeywords) : keywords;
+}
+
+/*
+ * Evaluate the decision for the current round and advance the game. The
+ * evaluation is asked for, and recorded, in `options.locale`. A decision that
+ * arrives after a timed round's deadline is refused with `round_timeout`; the
+ * missed rounds are forfeited all the same, so the session needs saving.
+ */
+async function submitDecision(session, rawDecision, options) {
+    const opts = options || {};
+    const game = requireGame(session);
+    if (isFinished(game)) {
+        throw new GameError(409, 'game_finished', 'Trò chơi đã kết thúc.');
+    }
+    if (expireRounds(session, opts)) {
+        throw new GameError(409, 'round_timeout', 'Hết giờ: vòng này đã bị bỏ qua.');
+    }
+    const room = game.roomCode ? rooms.getRoom(game.roomCode) : null;
+    if (room) rooms.assertPlayable(room);
+    const decision = typeof rawDecision === 'string' ? rawDecision.trim() : '';
+    if (!decision) {
+        throw new GameError(400, 'decision_required', 'Vui lòng nhập quyết định.');
+    }
+    if (decision.length > MAX_DECISION_LENGTH) {
+        throw new GameError(400, 'decision_too_long', `Quyết định tối đa ${MAX_DECISION_LENGTH} ký tự.`, { max: MAX_DECISION_LENGTH });
+    }
+    const event = localizeEvent(game.event, opts.locale) || null;
+    const content = contentOf(game, opts.locale);
+    const profile = profileOf(game, opts.locale);
+    const evaluation = await evaluateDecision(decision, {
+        religion: religionLabel(game, opts.locale),
+        custom: Boolean(game.custom),
+        profile,
+        followers: game.followers,
+        stats: game.stats || initialStats(),
+        round: game.round,
+        event,
+        content,
+        contentVersion: game.contentVersion || 1,
+        randomness: gameModes.randomnessOf(game),
+        locale: opts.locale
+    });
+    // Repeated, copied, too short or keyword-stuffed decisions earn less
+    const result = evaluation.violation ? evaluation : applyOriginality(evaluation, assessOriginality(decision, {
+        history: game.history,
+        suggestions: game.custom ? content.suggestedPolicies : contentStore.suggestionsFor(content, game.religion),
+        keywords: originalityKeywords(content, event, profile),
+        locale: opts.locale
+    }));
+    const eventRef = event ? { id: event.id, title: event.title } : null;
+    if (result.violation) {
+        game.followers = 0;
+        game.history.push({
+            round: game.round,
+            event: eventRef,
+            decision: decision,
+            change: 'Vi phạm',
+            comment: result.comment,
+            violations: result.violations || [],
+            followers: 0,
+            backend: result.backend
+        });
+        game.lastFeedback = result;
+        game.round = maxRoundsOf(game) + 1;
+        game.event = null;
+        game.roundDeadline = null;
+        gameEvents.emit('decision', { session, game, result });
+        return result;
+    }
+    const applied = applyRound(game, result, { locale: opts.locale, caps: gameModes.changeCaps(game) });
+    game.followers += applied.followerChange;
+    if (game.followers < 0) game.followers = 0;
+    const feedback = Object.assign({}, result, {
+        change: applied.followerChange,
+        deltas: applied.deltas,
+        effects: applied.effects,
+        sanction: applied.sanction
+    });
+    game.history.push({
+        round: game.round,
+        event: eventRef,
+        decision: decision,
+        change: feedback.change,
+        deltas: feedback.deltas,
+        effects: feedback.effects,
+        comment: result.comment,
+        tips: result.tips,
+        originality: result.originality || null,
+        guard: result.guard || null,
+        followers: game.followers,
+        stats: Object.assign({}, game.stats),
+        backend: result.backend
+    });
+    game.lastFeedback = feedback;
+    advanceRound(game, Date.now());
+    gameEvents.emit('decision', { session, game, result: feedback });
+    return feedback;
+}
+
+function outcomeMessage(game, score, thresholds, locale) {
+    if (game.lastFeedback && game.lastFeedback.violation) {
+        return translate(locale, 'evaluation.violation');
+    }
+    const params = { religion: religionLabel(game, locale) };
+    if (score < thresholds.survive) return translate(locale, 'outcome.failed', params);
+    if (score < thresholds.leaderboard) return translate(locale, 'outcome.survived', params);
+    return translate(locale, 'outcome.thrived', params);
+}
+
+// Close the game, record the score and return the outcome, written in `options.locale`
+function finishGame(session, options) {
+    const opts = options || {};
+    const game = requireGame(session);
+    const score = computeScore(game);
+    const violation = Boolean(game.lastFeedback && game.lastFeedback.violation);
+    const thresholds = gameModes.thresholdsFor({ maxRounds: maxRoundsOf(game), difficulty: game.difficulty });
+    const bucket = gameModes.bucketOf(game);
+    const outcome = {
+        gameId: game.id || null,
+        religion: game.religion,
+        mode: bucket.mode,
+        difficulty: bucket.difficulty,
+        timed: bucket.timed,
+        rounds: maxRoundsOf(game),
+        thresholds,
+        followers: game.followers,
+        stats: game.stats || initialStats(),
+        score,
+        violation,
+        message: outcomeMessage(game, score, thresholds, opts.locale),
+        notes: violation ? [] : outcomeNotes(game, opts.locale),
+        // Which prohibited regulation the decision broke, and why
+        violations: violation ? (game.lastFeedback.violations || []) : [],
+        violatingDecision: violation ? game.history[game.history.length - 1].decision : null,
+        recorded: false,
+        guest: isGuest(session),
+        ranked: !violation && !isGuest(session) && score >= thresholds.leaderboard,
+        contentVersion: game.contentVersion || 1,
+        history: game.history
+    };
+    // Guest games are archived but never reach the scoreboard
+    if (score >= thresholds.survive && !outcome.guest) {
+        scoreboard.addEntry({
+            username: session.username,
+            playerKey: game.playerKey || userKey(session),
+            religion: game.religion,
+            custom: Boolean(game.custom),
+            mode: bucket.mode,
+            difficulty: bucket.difficulty,
+            timed: bucket.timed,
+            rounds: outcome.rounds,
+            score,
+            followers: game.followers,
+            stats: outcome.stats,
+            contentVersion: outcome.contentVersion,
+            gameId: outcome.gameId,
+            finishedAt: new Date().toISOString()
+        });
+        outcome.recorded = true;
+    }
+    gameEvents.emit('finished', { session, game, outcome });
+    session.game = null;
+    return outcome;
+}
+
+// Move the scoreboard entries of `fromKey` to `toKey`, shown as `username` from now on
+function reassignPlayer(fromKey, toKey, username) {
+    return scoreboard.reassignPlayer(fromKey, toKey, username);
+}
+
+// Score an entry needs to be ranked: the leaderboard threshold of the rules it was played under
+function entryThreshold(entry) {
+    return gameModes.thresholdsFor(entry).leaderboard;
+}
+
+/*
+ * Leaderboard threshold of a mode bucket, or null for custom room games,
+ * whose threshold depends on each game's round count.
+ */
+function leaderboardThreshold(filters) {
+    const mode = gameModes.MODES[filters.mode];
+    return mode ? gameModes.thresholdsFor({ rounds: mode.rounds, difficulty: filters.difficulty }).leaderboard : null;
+}
+
+/*
+ * A page of the leaderboard for `query` ({ mode, difficulty, timing, religion,
+ * period, page, pageSize }, see lib/leaderboards.js). Pass the viewer's session
+ * to get their own rank.
+ */
+function getLeaderboard(query, session) {
+    return leaderboards.queryLeaderboard(scoreboard.loadScoreboard(), query, {
+        threshold: entryThreshold,
+        religions: contentStore.getContent().religions,
+        playerKey: session ? userKey(session) : null
+    });
+}
+
+// Every ranked row for the filters, for exports
+function exportLeaderboard(query) {
+    const religions = contentStore.getContent().religions;
+    const filters = leaderboards.normalizeFilters(query, religions);
+    return leaderboards.rankEntries(scoreboard.loadScoreboard(), filters, { threshold: entryThreshold, religions })
+        .map(row => leaderboards.publicRow(row, null));
+}
+
+module.exports = {
+    MAX_ROUNDS,
+    GameError,
+    isFinished,
+    currentRoom,
+    availableReligions,
+    contentOf,
+    profileOf,
+    religionLabel,
+    startGame,
+    expireRounds,
+    getState,
+    submitDecision,
+    finishGame,
+    reassignPlayer,
+    getLeaderboard,
+    leaderboardThreshold,
+    exportLeaderboard
+};
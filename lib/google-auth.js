@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const logger = require('./logger');
+
+/*
+ * Google Sign-In ID tokens, verified locally instead of asking Google's
+ * tokeninfo endpoint on every login:
+ *   - the RS256 signature is checked against Google's public keys (JWKS),
+ *     fetched from GOOGLE_JWKS_URL and kept for the max-age Google sends;
+ *     a token signed with a key we do not know yet triggers one early refetch
+ *     (keys rotate), at most once a minute
+ *   - with GOOGLE_JWKS_FILE the keys come from that file only and nothing is
+ *     fetched (offline classrooms, checks). The file holds a JWKS
+ *     ({ "keys": [...] }) or Google's PEM form ({ kid: "-----BEGIN ..." })
+ *     and is re-read when it changes
+ *   - iss, aud, exp and iat are checked, with GOOGLE_CLOCK_SKEW_SECONDS of
+ *     leeway; with GOOGLE_HOSTED_DOMAIN only accounts of that Google Workspace
+ *     domain (`hd` claim) get in
+ *
+ * Failures reject with an Error whose `code` says why; the message is shown
+ * to the player as before. `keys_unavailable` means no keys could be loaded
+ * (not the token's fault).
+ */
+
+const ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const DEFAULT_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+// Used when Google's response carries no max-age
+const DEFAULT_KEYS_MAX_AGE_MS = 60 * 60 * 1000;
+const MIN_REFETCH_INTERVAL_MS = 60 * 1000;
+const FETCH_TIMEOUT_MS = 10000;
+
+function tokenError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function decodeSegment(segment) {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf-8'));
+    } catch (err) {
+        throw tokenError('malformed_token', 'Malformed Google token.');
+    }
+}
+
+// { kid: KeyObject } from a JWKS or from Google's { kid: PEM certificate } form
+function parseKeys(document) {
+    const keys = {};
+    if (document && Array.isArray(document.keys)) {
+        document.keys.forEach(jwk => {
+            if (!jwk || !jwk.kid || jwk.kty !== 'RSA') return;
+            keys[jwk.kid] = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        });
+    } else if (document && typeof document === 'object') {
+        Object.keys(document).forEach(kid => {
+            if (typeof document[kid] === 'string') keys[kid] = crypto.createPublicKey(document[kid]);
+        });
+    }
+    if (Object.keys(keys).length === 0) throw new Error('No RSA keys in the Google key set.');
+    return keys;
+}
+
+function maxAgeMs(cacheControl) {
+    const match = /max-age=(\d+)/i.exec(cacheControl || '');
+    return match ? Number(match[1]) * 1000 : DEFAULT_KEYS_MAX_AGE_MS;
+}
+
+// GET the key set: { document, maxAgeMs }
+function fetchJwks(url) {
+    return new Promise((resolve, reject) => {
+        const request = https.get(url, resp => {
+            let data = '';
+            resp.on('data', chunk => { data += chunk; });
+            resp.on('end', () => {
+                if (resp.statusCode !== 200) {
+                    reject(new Error(`Google keys request failed with status ${resp.statusCode}.`));
+                    return;
+                }
+                try {
+                    resolve({ document: JSON.parse(data), maxAgeMs: maxAgeMs(resp.headers['cache-control']) });
+                } catch (err) {
+                    reject(new Error('Invalid Google key set.'));
+                }
+            });
+        });
+        request.setTimeout(FETCH_TIMEOUT_MS, () => request.destroy(new Error('Google keys request timed out.')));
+        request.on('error', reject);
+    });
+}
+
+/*
+ * Where the public keys come from. `jwks` (an object) is fixed, `jwksFile`
+ * is read from disk, otherwise they are fetched from `jwksUrl` (or the
+ * injected `fetchJwks`) and cached by the clock `now()`.
+ */
+function createKeyStore(options) {
+    const opts = Object.assign({ now: Date.now }, options);
+    let keys = null;
+    let expiresAt = 0;
+    let lastFetchAt = 0;
+    let fileMtimeMs = 0;
+    let pending = null;
+
+    if (opts.jwks) {
+        const fixed = parseKeys(opts.jwks);
+        return { getKey: async kid => fixed[kid] || null };
+    }
+
+    function loadFile() {
+        const stat = fs.statSync(opts.jwksFile);
+        if (!keys || stat.mtimeMs !== fileMtimeMs) {
+            keys = parseKeys(JSON.parse(fs.readFileSync(opts.jwksFile, 'utf-8')));
+            fileMtimeMs = stat.mtimeMs;
+        }
+        return keys;
+    }
+
+    function refresh(now) {
+        if (!pending) {
+            lastFetchAt = now;
+            pending = (opts.fetchJwks || fetchJwks)(opts.jwksUrl || DEFAULT_JWKS_URL)
+                .then(result => {
+                    keys = parseKeys(result.document);
+                    expiresAt = opts.now() + result.maxAgeMs;
+                    return keys;
+                })
+                .finally(() => { pending = null; });
+        }
+        return pending;
+    }
+
+    async function getKey(kid) {
+        if (opts.jwksFile) return loadFile()[kid] || null;
+        const now = opts.now();
+        const expired = !keys || now >= expiresAt;
+        const unknown = keys && !keys[kid] && now - lastFetchAt >= MIN_REFETCH_INTERVAL_MS;
+        if (expired || unknown) {
+            try {
+                await refresh(now);
+            } catch (err) {
+                // Keys past their max-age still beat no logins while Google is unreachable
+                if (!keys) throw err;
+                expiresAt = now + MIN_REFETCH_INTERVAL_MS;
+                logger.warn('Could not refresh Google keys', { err });
+            }
+        }
+        return keys[kid] || null;
+    }
+
+    return { getKey };
+}
+
+function checkClaims(payload, opts, nowSeconds) {
+    const skew = opts.clockSkewSeconds;
+    if (!ISSUERS.includes(payload.iss)) {
+        throw tokenError('wrong_issuer', 'Token was not issued by Google.');
+    }
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(opts.clientId)) {
+        throw tokenError('wrong_audience', 'Token audience does not match configured client id.');
+    }
+    if (!Number.isFinite(Number(payload.exp)) || nowSeconds > Number(payload.exp) + skew) {
+        throw tokenError('token_expired', 'Google token expired.');
+    }
+    if (!Number.isFinite(Number(payload.iat)) || Number(payload.iat) > nowSeconds + skew) {
+        throw tokenError('token_not_yet_valid', 'Google token is not valid yet.');
+    }
+    if (opts.hostedDomain && String(payload.hd || '').toLowerCase() !== opts.hostedDomain) {
+        throw tokenError('wrong_domain', `Please sign in with your ${opts.hostedDomain} account.`);
+    }
+}
+
+/*
+ * verify(idToken) → the token's payload. Options: clientId, hostedDomain,
+ * clockSkewSeconds, now() (ms), and the key source of createKeyStore.
+ */
+function createGoogleTokenVerifier(options) {
+    const opts = Object.assign({ clockSkewSeconds: 300, now: Date.now }, options);
+    opts.hostedDomain = opts.hostedDomain ? String(opts.hostedDomain).toLowerCase() : '';
+    const keyStore = createKeyStore(opts);
+
+    async function verify(idToken) {
+        if (!opts.clientId) {
+            throw tokenError('not_configured', 'Google Sign-In is not configured (missing GOOGLE_CLIENT_ID).');
+        }
+        if (!idToken || typeof idToken !== 'string') {
+            throw tokenError('missing_token', 'Missing Google credential.');
+        }
+        const parts = idToken.split('.');
+        if (parts.length !== 3) throw tokenError('malformed_token', 'Malformed Google token.');
+        const header = decodeSegment(parts[0]);
+        if (header.alg !== 'RS256' || !header.kid) {
+            throw tokenError('unsupported_token', 'Unsupported Google token.');
+        }
+        let key;
+        try {
+            key = await keyStore.getKey(header.kid);
+        } catch (err) {
+            logger.error('Could not load Google keys', { err });
+            throw tokenError('keys_unavailable', 'Google sign-in cannot be checked right now, please try again later.');
+        }
+        if (!key) throw tokenError('unknown_key', 'Google token was signed with an unknown key.');
+        const signed = crypto.verify('RSA-SHA256', Buffer.from(`${parts[0]}.${parts[1]}`), key, Buffer.from(parts[2], 'base64url'));
+        if (!signed) throw tokenError('bad_signature', 'Google token signature is invalid.');
+        const payload = decodeSegment(parts[1]);
+        checkClaims(payload, opts, Math.floor(opts.now() / 1000));
+        return payload;
+    }
+
+    return { verify };
+}
+
+module.exports = {
+    ISSUERS,
+    DEFAULT_JWKS_URL,
+    parseKeys,
+    createGoogleTokenVerifier
+};
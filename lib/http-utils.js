@@ -0,0 +1,64 @@
+const querystring = require('querystring');
+const { GameError } = require('./errors');
+
+/*
+ * Collect the request body as a string. The security layer (lib/security.js)
+ * reads every body up front, within its size limit, and keeps it on
+ * `req.rawBody`; handlers then get that copy. `maxBytes` caps a body read here
+ * directly: a larger one rejects with 413 body_too_large.
+ */
+function readBody(req, maxBytes) {
+    if (typeof req.rawBody === 'string') return Promise.resolve(req.rawBody);
+    return new Promise((resolve, reject) => {
+        const limit = maxBytes || Infinity;
+        const tooLarge = () => new GameError(413, 'body_too_large', `Dữ liệu gửi lên quá lớn (tối đa ${Math.floor(limit / 1024)} KB).`, { maxKb: Math.floor(limit / 1024) });
+        if (Number(req.headers['content-length']) > limit) {
+            reject(tooLarge());
+            return;
+        }
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                req.removeAllListeners('data');
+                req.removeAllListeners('end');
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            req.rawBody = Buffer.concat(chunks).toString('utf-8');
+            resolve(req.rawBody);
+        });
+        req.on('error', reject);
+    });
+}
+
+async function readForm(req) {
+    return querystring.parse(await readBody(req));
+}
+
+// Parse a JSON body; an empty body is an empty object, anything but an object is refused
+async function readJson(req) {
+    const body = await readBody(req);
+    if (!body) return {};
+    const parsed = JSON.parse(body);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new GameError(400, 'invalid_body', 'Nội dung yêu cầu phải là một đối tượng JSON.');
+    }
+    return parsed;
+}
+
+function sendJson(res, statusCode, payload, headers) {
+    res.writeHead(statusCode, Object.assign({ 'Content-Type': 'application/json; charset=utf-8' }, headers));
+    res.end(JSON.stringify(payload));
+}
+
+function redirect(res, location) {
+    res.writeHead(302, { Location: location });
+    res.end();
+}
+
+module.exports = { readBody, readForm, readJson, sendJson, redirect };
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+
+/*
+ * Message catalogs for the UI, the evaluator prompt and the texts the game
+ * generates (effects, notes, end messages). locales/<locale>.json holds nested
+ * objects of messages looked up by dotted key ("game.submit"); `{name}` in a
+ * message is replaced by the matching parameter. A key missing from a catalog
+ * falls back to the default locale, then to the key itself.
+ *
+ * GameError messages are written in Vietnamese where they are thrown; other
+ * catalogs translate them by error code under "errors".
+ */
+
+const LOCALES = ['vi', 'en'];
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const DEFAULT_LOCALE = LOCALES.includes(config.i18n.defaultLocale) ? config.i18n.defaultLocale : 'vi';
+
+function loadCatalog(locale) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${locale}.json`), 'utf-8'));
+    } catch (err) {
+        logger.error('Could not read message catalog', { file: `${locale}.json`, err });
+        return {};
+    }
+}
+
+const catalogs = {};
+LOCALES.forEach(locale => { catalogs[locale] = loadCatalog(locale); });
+
+function isSupported(locale) {
+    return LOCALES.includes(locale);
+}
+
+function lookup(locale, key) {
+    let node = catalogs[locale];
+    for (const part of key.split('.')) {
+        if (!node || typeof node !== 'object') return undefined;
+        node = node[part];
+    }
+    return node;
+}
+
+function interpolate(message, params) {
+    if (!params) return message;
+    return message.replace(/\{(\w+)\}/g, (whole, name) => (params[name] === undefined || params[name] === null ? whole : String(params[name])));
+}
+
+function hasMessage(locale, key) {
+    return typeof lookup(locale, key) === 'string';
+}
+
+// Message `key` in `locale`; lists (e.g. the endings of a sentence) are returned as they are
+function translate(locale, key, params) {
+    const chosen = isSupported(locale) ? locale : DEFAULT_LOCALE;
+    let message = lookup(chosen, key);
+    if (message === undefined && chosen !== DEFAULT_LOCALE) message = lookup(DEFAULT_LOCALE, key);
+    if (message === undefined) return key;
+    return typeof message === 'string' ? interpolate(message, params) : message;
+}
+
+// `t(key, params)` bound to one locale, as handed to templates
+function createTranslator(locale) {
+    return (key, params) => translate(locale, key, params);
+}
+
+// Text of an error for the player: the catalog's translation of its code, else its own message
+function errorMessage(err, locale) {
+    const key = `errors.${err.code}`;
+    if (err.code && isSupported(locale) && hasMessage(locale, key)) return translate(locale, key, err.params);
+    return err.message;
+}
+
+/*
+ * Best supported locale for an Accept-Language header ("en-GB,en;q=0.8,vi;q=0.5"),
+ * or null when it names none of them.
+ */
+function negotiateLocale(header) {
+    const ranges = String(header || '').split(',').map((part, idx) => {
+        const [tag, ...attrs] = part.trim().split(';');
+        const q = attrs.map(attr => /^\s*q=([\d.]+)\s*$/.exec(attr)).find(Boolean);
+        return { tag: tag.trim().toLowerCase(), q: q ? Number(q[1]) : 1, idx };
+    }).filter(range => range.tag && range.q > 0);
+    ranges.sort((a, b) => b.q - a.q || a.idx - b.idx);
+    for (const range of ranges) {
+        const primary = range.tag.split('-')[0];
+        if (isSupported(primary)) return primary;
+    }
+    return null;
+}
+
+/*
+ * Locale of a request: the language the player picked (kept on the session,
+ * or in the `lang` cookie before logging in), then the browser's
+ * Accept-Language, then the default.
+ */
+function resolveLocale(req, session, cookies) {
+    if (session && isSupported(session.locale)) return session.locale;
+    if (cookies && isSupported(cookies.lang)) return cookies.lang;
+    return negotiateLocale(req.headers['accept-language']) || DEFAULT_LOCALE;
+}
+
+module.exports = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    isSupported,
+    hasMessage,
+    translate,
+    createTranslator,
+    errorMessage,
+    negotiateLocale,
+    resolveLocale
+};
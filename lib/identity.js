@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const { translate } = require('./i18n');
+
+/*
+ * Stable key identifying a player across sessions: local account, Google
+ * subject, guest id, then email, then display name (sessions from before
+ * accounts existed).
+ */
+function userKey(session) {
+    if (!session) return null;
+    const user = session.user || {};
+    if (user.accountId) return `account:${user.accountId}`;
+    if (user.sub) return `google:${user.sub}`;
+    if (user.guestId) return `guest:${user.guestId}`;
+    if (user.email) return `email:${String(user.email).toLowerCase()}`;
+    return `name:${session.username}`;
+}
+
+// Guests play without an account; their scores never reach the leaderboard
+function isGuest(session) {
+    return Boolean(session && session.user && session.user.guest);
+}
+
+const MAX_GUEST_NAME_LENGTH = 40;
+
+// Session user of a new guest; the shown name says it is a guest
+function guestUser(name, locale) {
+    const chosen = String(name || '').normalize('NFC').trim().replace(/\s+/g, ' ').slice(0, MAX_GUEST_NAME_LENGTH);
+    return {
+        guest: true,
+        guestId: crypto.randomBytes(9).toString('base64url'),
+        name: translate(locale, 'login.guestName', { name: chosen || translate(locale, 'login.guestDefault') })
+    };
+}
+
+module.exports = { userKey, isGuest, guestUser };
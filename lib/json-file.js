@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Read and parse a JSON file, returning the fallback when missing or unreadable
+function readJson(filePath, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (err) {
+        return fallback;
+    }
+}
+
+/*
+ * Write JSON through a temp file and rename so readers never see a half-written
+ * file. With `options.durable` the temp file is synced to disk before the
+ * rename, so a crash or power loss leaves either the old or the new content.
+ */
+function writeJsonAtomic(filePath, data, options) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    const text = JSON.stringify(data, null, 2);
+    try {
+        if (options && options.durable) {
+            const fd = fs.openSync(tmpPath, 'w');
+            try {
+                fs.writeFileSync(fd, text, 'utf-8');
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+        } else {
+            fs.writeFileSync(tmpPath, text, 'utf-8');
+        }
+        fs.renameSync(tmpPath, filePath);
+    } catch (err) {
+        fs.rmSync(tmpPath, { force: true });
+        throw err;
+    }
+}
+
+/*
+ * Coalesce frequent changes into one write shortly after the last change.
+ * `getData` is called at write time; `flush` forces a pending write now.
+ */
+function createDebouncedWriter(filePath, getData, label, delayMs) {
+    let timer = null;
+
+    function flush() {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        try {
+            writeJsonAtomic(filePath, getData());
+        } catch (err) {
+            logger.error(`Could not persist ${label}`, { file: filePath, err });
+        }
+    }
+
+    function schedule() {
+        if (timer) return;
+        timer = setTimeout(flush, delayMs === undefined ? 200 : delayMs);
+        timer.unref();
+    }
+
+    return { schedule, flush };
+}
+
+module.exports = { readJson, writeJsonAtomic, createDebouncedWriter };
@@ -0,0 +1,149 @@
+const querystring = require('querystring');
+const gameService = require('./game-service');
+const contentStore = require('./content-store');
+const liveFeed = require('./live-feed');
+const { PERIODS, LEADERBOARD_MODES, TIMINGS, normalizeFilters, exportCsv } = require('./leaderboards');
+const gameModes = require('./game-modes');
+const { redirect } = require('./http-utils');
+const { createTranslator, translate, errorMessage } = require('./i18n');
+const { GameError } = require('./errors');
+
+/*
+ * Leaderboard pages:
+ *   GET /leaderboard                  ?mode=&difficulty=&timing=&religion=&period=&page=
+ *                                     one page of a view
+ *   GET /leaderboard/events           live entries and game progress (SSE)
+ *   GET /leaderboard/export.csv       every row of the filtered view
+ *   GET /leaderboard/export.json
+ */
+
+// Link to the leaderboard with some filters changed; defaults are left out of the URL
+function leaderboardUrl(base, filters, changes) {
+    const next = Object.assign({
+        mode: filters.mode,
+        difficulty: filters.difficulty,
+        timing: filters.timing,
+        religion: filters.religion,
+        period: filters.period,
+        page: 1
+    }, changes);
+    const params = {};
+    if (next.mode !== gameModes.DEFAULT_MODE) params.mode = next.mode;
+    if (next.difficulty !== gameModes.DEFAULT_DIFFICULTY) params.difficulty = next.difficulty;
+    if (next.timing !== 'untimed') params.timing = next.timing;
+    if (next.religion !== 'all') params.religion = next.religion;
+    if (next.period !== 'all') params.period = next.period;
+    if (next.page > 1) params.page = next.page;
+    const query = querystring.stringify(params);
+    return query ? `${base}?${query}` : base;
+}
+
+// Tabs and links of the page; `t` and `names` (translated religion names) come from the viewer's locale
+function viewModel(board, religions, t, names) {
+    const { filters } = board;
+    const tabsFor = (name, keys) => keys.map(key => ({
+        label: t(`modes.${name}.${key}`),
+        active: key === filters[name],
+        url: leaderboardUrl('/leaderboard', filters, { [name]: key })
+    }));
+    const religionTabs = [{ key: 'all', label: t('leaderboard.tabs.all') }]
+        .concat(religions.map(name => ({ key: name, label: names[name] || name })))
+        .concat([{ key: 'custom', label: t('leaderboard.tabs.custom') }])
+        .map(tab => ({ label: tab.label, active: tab.key === filters.religion, url: leaderboardUrl('/leaderboard', filters, { religion: tab.key }) }));
+    const periodTabs = PERIODS.map(period => ({
+        label: t(`leaderboard.periods.${period}`),
+        active: period === filters.period,
+        url: leaderboardUrl('/leaderboard', filters, { period })
+    }));
+    return {
+        filters,
+        modeTabs: tabsFor('mode', LEADERBOARD_MODES),
+        difficultyTabs: tabsFor('difficulty', gameModes.DIFFICULTY_IDS),
+        timingTabs: tabsFor('timing', TIMINGS),
+        religionTabs,
+        periodTabs,
+        pagination: {
+            page: filters.page,
+            pages: board.pages,
+            prevUrl: filters.page > 1 ? leaderboardUrl('/leaderboard', filters, { page: filters.page - 1 }) : null,
+            nextUrl: filters.page < board.pages ? leaderboardUrl('/leaderboard', filters, { page: filters.page + 1 }) : null
+        },
+        exportCsvUrl: leaderboardUrl('/leaderboard/export.csv', filters, {}),
+        exportJsonUrl: leaderboardUrl('/leaderboard/export.json', filters, {}),
+        // Fetched again by the page when a new entry arrives live
+        apiUrl: leaderboardUrl('/api/v1/leaderboard', filters, { page: filters.page })
+    };
+}
+
+function exportFileName(filters, extension) {
+    return `bang-xep-hang-${filters.mode}-${filters.difficulty}-${filters.timing}-${filters.period}.${extension}`;
+}
+
+function createLeaderboardRoutes(deps) {
+    const { renderView, sendResponse } = deps;
+
+    function route(req, res, ctx) {
+        const { pathname, query, session } = ctx;
+        if (pathname === '/leaderboard/events') {
+            liveFeed.hub.stream(req, res, ['leaderboard', 'games'], query.lastEventId);
+            return;
+        }
+        if (pathname === '/leaderboard/export.csv' || pathname === '/leaderboard/export.json') {
+            const { mode, difficulty, timing, religion, period } = normalizeFilters(query, contentStore.getContent().religions);
+            const filters = { mode, difficulty, timing, religion, period };
+            const rows = gameService.exportLeaderboard(filters);
+            const csv = pathname.endsWith('.csv');
+            res.writeHead(200, {
+                'Content-Type': csv ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+                'Content-Disposition': `attachment; filename="${exportFileName(filters, csv ? 'csv' : 'json')}"`
+            });
+            res.end(csv ? exportCsv(rows) : JSON.stringify({ exportedAt: new Date().toISOString(), filters, entries: rows }, null, 2));
+            return;
+        }
+        if (pathname === '/leaderboard') {
+            const board = gameService.getLeaderboard(query, session);
+            const content = contentStore.getContent();
+            const view = viewModel(board, content.religions, createTranslator(ctx.locale), contentStore.religionNames(content, ctx.locale));
+            renderView(res, 200, 'leaderboard.html', Object.assign(view, {
+                username: session.username,
+                leaderboard: board.entries,
+                total: board.total,
+                own: board.own,
+                ownOnPage: board.ownOnPage,
+                threshold: gameService.leaderboardThreshold(board.filters),
+                liveCursor: liveFeed.lastEventId()
+            }));
+            return;
+        }
+        sendResponse(res, 404, 'text/plain', '404 Not Found');
+    }
+
+    // Returns true when the request was for a leaderboard page
+    return function handleLeaderboardRequest(req, res, ctx) {
+        if (ctx.pathname !== '/leaderboard' && !ctx.pathname.startsWith('/leaderboard/')) return false;
+        // The live stream has nothing to answer a HEAD with
+        const allowed = ctx.pathname === '/leaderboard/events' ? ['GET'] : ['GET', 'HEAD'];
+        if (!allowed.includes(req.method)) {
+            res.setHeader('Allow', allowed.join(', '));
+            renderView(res, 405, 'message.html', {
+                username: ctx.session ? ctx.session.username : null,
+                title: translate(ctx.locale, 'common.methodNotAllowed'),
+                message: errorMessage(new GameError(405, 'method_not_allowed', 'Phương thức không được hỗ trợ.'), ctx.locale),
+                backUrl: '/leaderboard'
+            });
+            return true;
+        }
+        if (!ctx.session) {
+            if (ctx.pathname === '/leaderboard/events') {
+                sendResponse(res, 401, 'text/plain; charset=utf-8', 'Unauthorized');
+            } else {
+                redirect(res, '/login');
+            }
+            return true;
+        }
+        route(req, res, ctx);
+        return true;
+    };
+}
+
+module.exports = { createLeaderboardRoutes };
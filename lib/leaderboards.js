@@ -0,0 +1,186 @@
+const config = require('./config');
+const { toCsv } = require('./csv');
+const gameModes = require('./game-modes');
+
+/*
+ * Leaderboard views over the scoreboard entries. Every view is one bucket of
+ * game rules (see lib/game-modes.js), narrowed further by religion and period:
+ *   mode        'short', 'standard', 'marathon' or 'custom' (room round counts)
+ *   difficulty  'easy', 'normal' or 'hard'
+ *   timing      'untimed' or 'timed'
+ *   religion  'all', 'custom' (player-made religions) or a predefined religion name
+ *   period    'all', 'day' (since midnight), 'week' (since Monday), 'season'
+ * Every player appears once with their best qualifying score; ties keep the
+ * earlier game. Ranks use competition ranking (1, 2, 2, 4).
+ *
+ * Entries recorded before timestamps were kept have no `finishedAt`; they only
+ * show up in the all-time view.
+ */
+
+const PERIODS = ['all', 'day', 'week', 'season'];
+const LEADERBOARD_MODES = gameModes.MODE_IDS.concat([gameModes.CUSTOM_MODE]);
+const TIMINGS = ['untimed', 'timed'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function startOfDay(now) {
+    const date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+    return date;
+}
+
+function startOfWeek(now) {
+    const date = startOfDay(now);
+    // getDay(): 0 is Sunday; weeks start on Monday
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return date;
+}
+
+// LEADERBOARD_SEASON_START, or the first day of the current quarter
+function startOfSeason(now) {
+    const configured = config.leaderboard.seasonStart ? new Date(config.leaderboard.seasonStart) : null;
+    if (configured && !Number.isNaN(configured.getTime()) && configured <= now) return configured;
+    const date = startOfDay(now);
+    date.setDate(1);
+    date.setMonth(date.getMonth() - (date.getMonth() % 3));
+    return date;
+}
+
+function periodStart(period, now) {
+    if (period === 'day') return startOfDay(now);
+    if (period === 'week') return startOfWeek(now);
+    if (period === 'season') return startOfSeason(now);
+    return null;
+}
+
+function entryPlayerKey(entry) {
+    return entry.playerKey || `name:${entry.username}`;
+}
+
+function matchesBucket(entry, filters) {
+    const bucket = gameModes.bucketOf(entry);
+    return bucket.mode === filters.mode
+        && bucket.difficulty === filters.difficulty
+        && bucket.timed === (filters.timing === 'timed');
+}
+
+function matchesReligion(entry, religion, predefined) {
+    if (!religion || religion === 'all') return true;
+    // Older entries have no `custom` flag: anything outside the predefined list was custom
+    const custom = entry.custom !== undefined ? entry.custom : !predefined.includes(entry.religion);
+    if (religion === 'custom') return custom;
+    return !custom && entry.religion === religion;
+}
+
+// Clamp query parameters to known values
+function normalizeFilters(query, religions) {
+    const opts = query || {};
+    const mode = LEADERBOARD_MODES.includes(opts.mode) ? opts.mode : gameModes.DEFAULT_MODE;
+    const difficulty = gameModes.DIFFICULTY_IDS.includes(opts.difficulty) ? opts.difficulty : gameModes.DEFAULT_DIFFICULTY;
+    const timing = TIMINGS.includes(opts.timing) ? opts.timing : 'untimed';
+    const religion = opts.religion === 'custom' || religions.includes(opts.religion) ? opts.religion : 'all';
+    const period = PERIODS.includes(opts.period) ? opts.period : 'all';
+    const page = Math.max(1, Math.floor(Number(opts.page)) || 1);
+    // Anything but a size of at least 1 (missing, 0, negative, not a number) means the default
+    const size = Math.floor(Number(opts.pageSize));
+    const pageSize = size >= 1 ? Math.min(MAX_PAGE_SIZE, size) : DEFAULT_PAGE_SIZE;
+    return { mode, difficulty, timing, religion, period, page, pageSize };
+}
+
+/*
+ * Ranked rows for the filters, best score per player:
+ *   [{ rank, playerKey, username, religion, custom, score, followers, finishedAt }]
+ * `options.threshold` is the score an entry needs, or a function of the entry.
+ */
+function rankEntries(entries, filters, options) {
+    const opts = options || {};
+    const now = opts.now || new Date();
+    const since = periodStart(filters.period, now);
+    const predefined = opts.religions || [];
+    const threshold = typeof opts.threshold === 'function' ? opts.threshold : () => opts.threshold || 0;
+    const best = new Map();
+    entries.forEach(entry => {
+        if (!matchesBucket(entry, filters)) return;
+        if (entry.score < threshold(entry)) return;
+        if (!matchesReligion(entry, filters.religion, predefined)) return;
+        if (since && (!entry.finishedAt || new Date(entry.finishedAt) < since)) return;
+        const key = entryPlayerKey(entry);
+        const current = best.get(key);
+        if (!current || entry.score > current.score
+            || (entry.score === current.score && (entry.finishedAt || '') < (current.finishedAt || ''))) {
+            best.set(key, entry);
+        }
+    });
+    const sorted = Array.from(best.entries())
+        .map(([playerKey, entry]) => ({
+            playerKey,
+            username: entry.username,
+            religion: entry.religion,
+            custom: entry.custom !== undefined ? entry.custom : !predefined.includes(entry.religion),
+            score: entry.score,
+            followers: entry.followers !== undefined ? entry.followers : null,
+            finishedAt: entry.finishedAt || null
+        }))
+        .sort((a, b) => b.score - a.score || String(a.finishedAt || '').localeCompare(String(b.finishedAt || '')));
+    let rank = 0;
+    sorted.forEach((row, idx) => {
+        if (idx === 0 || row.score !== sorted[idx - 1].score) rank = idx + 1;
+        row.rank = rank;
+    });
+    return sorted;
+}
+
+// Row as shown to players: player keys may hold an email, so they stay internal
+function publicRow(row, viewerKey) {
+    return {
+        rank: row.rank,
+        username: row.username,
+        religion: row.religion,
+        custom: row.custom,
+        score: row.score,
+        followers: row.followers,
+        finishedAt: row.finishedAt,
+        isOwn: Boolean(viewerKey) && row.playerKey === viewerKey
+    };
+}
+
+/*
+ * One page of a leaderboard view. `own` is the viewer's row (when they have
+ * one) so pages can show their rank even outside the visible page.
+ */
+function queryLeaderboard(entries, query, options) {
+    const opts = options || {};
+    const filters = normalizeFilters(query, opts.religions || []);
+    const rows = rankEntries(entries, filters, opts);
+    const pages = Math.max(1, Math.ceil(rows.length / filters.pageSize));
+    const page = Math.min(filters.page, pages);
+    const start = (page - 1) * filters.pageSize;
+    const ownIndex = opts.playerKey ? rows.findIndex(row => row.playerKey === opts.playerKey) : -1;
+    return {
+        filters: Object.assign({}, filters, { page }),
+        total: rows.length,
+        pages,
+        entries: rows.slice(start, start + filters.pageSize).map(row => publicRow(row, opts.playerKey)),
+        own: ownIndex === -1 ? null : publicRow(rows[ownIndex], opts.playerKey),
+        ownOnPage: ownIndex >= start && ownIndex < start + filters.pageSize
+    };
+}
+
+function exportCsv(rows) {
+    return toCsv(
+        ['rank', 'username', 'religion', 'custom', 'score', 'followers', 'finished_at'],
+        rows.map(row => [row.rank, row.username, row.religion, row.custom, row.score, row.followers, row.finishedAt])
+    );
+}
+
+module.exports = {
+    PERIODS,
+    LEADERBOARD_MODES,
+    TIMINGS,
+    DEFAULT_PAGE_SIZE,
+    normalizeFilters,
+    rankEntries,
+    publicRow,
+    queryLeaderboard,
+    exportCsv
+};
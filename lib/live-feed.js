@@ -0,0 +1,67 @@
+const { createEventHub } = require('./event-stream');
+const gameEvents = require('./game-events');
+const gameService = require('./game-service');
+const rooms = require('./rooms');
+
+/*
+ * Live updates pushed over Server-Sent Events. Game lifecycle events are
+ * republished on three kinds of channel:
+ *   'leaderboard'   `entry` when a finished game makes the leaderboard
+ *   'games'         `progress` for every game start, decision and finish
+ *   'room:<code>'   `player` with the updated dashboard row of a room member
+ */
+
+const hub = createEventHub();
+
+function roomChannel(code) {
+    return `room:${code}`;
+}
+
+function publishProgress(stage, game) {
+    const maxRounds = game.maxRounds || gameService.MAX_ROUNDS;
+    hub.publish('games', 'progress', {
+        stage,
+        username: game.username,
+        religion: game.religion,
+        round: Math.min(game.round, maxRounds),
+        maxRounds,
+        followers: game.followers,
+        roomCode: game.roomCode || null
+    });
+    if (!game.roomCode) return;
+    const room = rooms.getRoom(game.roomCode);
+    const row = room ? rooms.summarizePlayer(room, game.playerKey) : null;
+    if (row) hub.publish(roomChannel(room.code), 'player', row);
+}
+
+gameEvents.on('started', ({ session, game }) => {
+    publishProgress('started', Object.assign({ username: session.username }, game));
+});
+
+gameEvents.on('decision', ({ session, game }) => {
+    publishProgress('decision', Object.assign({ username: session.username }, game));
+});
+
+gameEvents.on('finished', ({ session, game, outcome }) => {
+    publishProgress('finished', Object.assign({ username: session.username }, game));
+    if (!outcome.ranked) return;
+    // Pages refetch their own filtered view of the leaderboard
+    hub.publish('leaderboard', 'entry', {
+        entry: {
+            username: session.username,
+            religion: outcome.religion,
+            custom: Boolean(game.custom),
+            mode: outcome.mode,
+            difficulty: outcome.difficulty,
+            timed: outcome.timed,
+            score: outcome.score,
+            followers: outcome.followers
+        }
+    });
+});
+
+module.exports = {
+    hub,
+    roomChannel,
+    lastEventId: hub.lastEventId
+};
@@ -0,0 +1,65 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
+const { GameError } = require('./errors');
+
+/*
+ * Structured logs: one JSON object per line,
+ *   {"time":"...","level":"info","msg":"request","requestId":"...", ...fields}
+ * debug and info go to stdout, warn and error to stderr. Lines below LOG_LEVEL
+ * are dropped. Code running for a request (see lib/monitoring.js) gets the
+ * request's ID added to every line without passing it around. An `err` field
+ * is written as { message, code, stack }; the stack only on error lines, and
+ * never for GameErrors, which are expected.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+function threshold() {
+    return LEVELS[config.logging.level] || LEVELS.info;
+}
+
+function serializeError(err, withStack) {
+    if (!(err instanceof Error)) return { message: String(err) };
+    const out = { message: err.message };
+    if (err.code) out.code = err.code;
+    if (withStack && !(err instanceof GameError) && err.stack) out.stack = err.stack;
+    return out;
+}
+
+function write(level, msg, fields) {
+    if (LEVELS[level] < threshold()) return;
+    const record = { time: new Date().toISOString(), level, msg };
+    const current = requestContext.getStore();
+    if (current) record.requestId = current.requestId;
+    Object.keys(fields || {}).forEach(key => {
+        const value = fields[key];
+        if (value === undefined) return;
+        if (key === 'err') record.error = serializeError(value, level === 'error');
+        else record[key] = value;
+    });
+    const line = JSON.stringify(record);
+    if (LEVELS[level] >= LEVELS.warn) console.error(line);
+    else console.log(line);
+}
+
+// Run `work` with `requestId` attached to every line it logs, even after awaits
+function withRequest(requestId, work) {
+    return requestContext.run({ requestId }, work);
+}
+
+function currentRequestId() {
+    const current = requestContext.getStore();
+    return current ? current.requestId : null;
+}
+
+module.exports = {
+    LEVELS,
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    withRequest,
+    currentRequestId
+};
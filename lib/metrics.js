@@ -0,0 +1,141 @@
+/*
+ * Counters, gauges and histograms, written out at /metrics in the Prometheus
+ * text format (version 0.0.4). Each metric is registered once, when the
+ * module that updates it loads. Label values must come from a short known
+ * list (route patterns, backend names, modes), never from player input.
+ *
+ * Gauges are read when scraped: `collect()` returns a number, or a list of
+ * { labels, value } for labelled gauges.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const registry = new Map();
+
+function register(name, metric) {
+    if (registry.has(name)) throw new Error(`Metric ${name} is already registered.`);
+    registry.set(name, metric);
+    return metric;
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// {a="1",b="2"} for the given label names, in the order they were declared
+function formatLabels(labelNames, labels, extra) {
+    const pairs = labelNames.map(name => `${name}="${escapeLabel(labels[name] === undefined ? '' : labels[name])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String((labels || {})[name] === undefined ? '' : labels[name])));
+}
+
+function header(name, help, type) {
+    return [`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${name} ${type}`];
+}
+
+function counter(name, help, labelNames) {
+    const names = labelNames || [];
+    const series = new Map();
+    return register(name, {
+        inc(labels, amount) {
+            const key = seriesKey(names, labels);
+            const entry = series.get(key) || { labels: Object.assign({}, labels), value: 0 };
+            entry.value += amount === undefined ? 1 : amount;
+            series.set(key, entry);
+        },
+        render() {
+            const lines = header(name, help, 'counter');
+            series.forEach(entry => lines.push(`${name}${formatLabels(names, entry.labels)} ${formatValue(entry.value)}`));
+            return lines;
+        }
+    });
+}
+
+function gauge(name, help, labelNames, collect) {
+    const names = labelNames || [];
+    return register(name, {
+        render() {
+            const lines = header(name, help, 'gauge');
+            const value = collect();
+            const list = typeof value === 'number' ? [{ labels: {}, value }] : value;
+            list.forEach(entry => lines.push(`${name}${formatLabels(names, entry.labels)} ${formatValue(entry.value)}`));
+            return lines;
+        }
+    });
+}
+
+/*
+ * Histogram with cumulative `le` buckets (upper bounds, sorted). observe()
+ * takes seconds; startTimer(labels) returns a function that observes the time
+ * since it was called, with labels given at start and at stop merged.
+ */
+function histogram(name, help, labelNames, buckets) {
+    const names = labelNames || [];
+    const bounds = buckets.slice().sort((a, b) => a - b);
+    const series = new Map();
+
+    function observe(labels, value) {
+        const key = seriesKey(names, labels);
+        let entry = series.get(key);
+        if (!entry) {
+            entry = { labels: Object.assign({}, labels), counts: bounds.map(() => 0), sum: 0, count: 0 };
+            series.set(key, entry);
+        }
+        bounds.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+    }
+
+    function startTimer(labels) {
+        const start = process.hrtime.bigint();
+        return extra => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            observe(Object.assign({}, labels, extra), seconds);
+            return seconds;
+        };
+    }
+
+    return register(name, {
+        observe,
+        startTimer,
+        render() {
+            const lines = header(name, help, 'histogram');
+            series.forEach(entry => {
+                bounds.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatLabels(names, entry.labels, `le="${formatValue(bound)}"`)} ${entry.counts[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels(names, entry.labels, 'le="+Inf"')} ${entry.count}`);
+                lines.push(`${name}_sum${formatLabels(names, entry.labels)} ${formatValue(entry.sum)}`);
+                lines.push(`${name}_count${formatLabels(names, entry.labels)} ${entry.count}`);
+            });
+            return lines;
+        }
+    });
+}
+
+// Every registered metric in the text format
+function render() {
+    const lines = [];
+    registry.forEach(metric => lines.push(...metric.render()));
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    counter,
+    gauge,
+    histogram,
+    render
+};
@@ -0,0 +1,317 @@
+const { getContent } = require('./content-store');
+
+/*
+ * Vietnamese-aware moderation of player decisions.
+ *
+ * Text is NFC-normalized and split into word tokens; every token is compared
+ * in a canonical form where the tone mark is moved to the end of the syllable,
+ * so "hòa" and "hoà" (old and new tone placement) are the same word. A text
+ * typed entirely without diacritics is matched against the keywords with
+ * their diacritics stripped.
+ *
+ * A violation phrase does not count when a negation or a counter-phrase
+ * governs it:
+ *   - a negation ("không", "never") covers the rest of its clause, lists and
+ *     connecting words included ("không để kẻ xấu kích động, chia rẽ");
+ *   - a counter-phrase ("phòng chống", "rejects") covers what follows it
+ *     through connecting words only ("chống lại mọi hành vi kích động").
+ * Clauses end at sentence punctuation, at "nhưng"/"mà"/"but", and at a comma
+ * followed by a new subject ("Không, chúng tôi..."). Negations that do not
+ * negate what follows ("không chỉ", "không ngần ngại", "not only") never
+ * count. English negations and counter-phrases also match their inflected
+ * forms (reject, rejects, rejected, rejecting). Every remaining match is
+ * reported with the prohibited regulation it breaks.
+ *
+ * Rules, negations and regulations come from the content store; callers pass
+ * the content version of the game being evaluated.
+ */
+
+// Combining tone marks -> VNI digit appended to the canonical syllable
+const TONE_MARKS = { '\u0301': '1', '\u0300': '2', '\u0309': '3', '\u0303': '4', '\u0323': '5' };
+const TONE_PATTERN = /[\u0300\u0301\u0303\u0309\u0323]/g;
+const TOKEN_PATTERN = /[\p{L}\p{N}]+|[.,;!?\n]/gu;
+const CLAUSE_BREAKS = new Set(['.', ';', '!', '?', '\n', 'nhưng', 'song', 'mà', 'but']);
+// After a comma these start a new clause with its own subject ("Không, chúng tôi sẽ...")
+const SUBJECT_WORDS = new Set(['chúng', 'tôi', 'ta', 'họ', 'mình', 'bọn', 'chung', 'toi', 'ho', 'minh', 'bon', 'we', 'i', 'they', 'he', 'she', 'you']);
+// Tokens allowed between two violation phrases sharing one negation ("không kích động hay chia rẽ")
+const LIST_JOINERS = new Set(['hay', 'hoặc', 'và', 'cũng', 'như', 'hoac', 'va', 'nhu', 'cung']);
+// Words a counter-phrase reaches through ("chống lại mọi hành vi", "fight all forms of"), compared without diacritics
+const CONNECTORS = new Set([
+    'lai', 'moi', 'tat', 'ca', 'cac', 'nhung', 'hanh', 'vi', 'tinh', 'trang', 'viec', 'su', 'nan', 'te',
+    'ke', 'xau', 'am', 'muu', 'hien', 'tuong', 'hoat', 'dong', 'loi', 'dung',
+    'the', 'all', 'any', 'every', 'form', 'forms', 'act', 'acts', 'kind', 'kinds', 'attempt', 'attempts', 'of'
+]);
+// English negations and counter-phrases that have no inflected forms
+const UNINFLECTED = new Set(['not', 'never', 'without', 'anti', 'against']);
+// Start with a negation word but do not negate what follows ("không chỉ... mà còn")
+const FALSE_NEGATIONS = [
+    'không chỉ', 'chẳng chỉ', 'không những', 'chẳng những', 'không ngần ngại', 'không ngại', 'chẳng ngại',
+    'không ngừng', 'không quên',
+    'not only', 'not just', 'do not hesitate', 'not hesitate', 'never hesitate', 'without hesitation',
+    'not stop', 'never stop', 'not afraid'
+];
+
+function canonicalToken(token) {
+    let tone = '';
+    const base = token.normalize('NFD').replace(TONE_PATTERN, mark => {
+        tone = TONE_MARKS[mark];
+        return '';
+    }).normalize('NFC');
+    return base + tone;
+}
+
+// Strip every diacritic, including đ -> d
+function foldDiacritics(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/đ/g, 'd').replace(/Đ/g, 'D');
+}
+
+function normalizeText(text) {
+    return String(text || '').normalize('NFC').toLowerCase();
+}
+
+/*
+ * Split text into word tokens:
+ *   { word, canon, fold, start, end, clause }
+ * `start`/`end` are offsets into the NFC form of the text, `clause` counts
+ * sentence breaks, "nhưng"-style conjunctions and commas followed by a new
+ * subject before the token.
+ */
+function tokenize(text) {
+    const source = String(text || '').normalize('NFC');
+    const tokens = [];
+    let clause = 0;
+    let afterComma = false;
+    let match;
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+        const word = match[0].toLowerCase();
+        if (word === ',') {
+            afterComma = true;
+            continue;
+        }
+        if (afterComma && SUBJECT_WORDS.has(word)) clause += 1;
+        afterComma = false;
+        if (CLAUSE_BREAKS.has(word)) {
+            clause += 1;
+            if (!/[\p{L}]/u.test(word)) continue;
+        }
+        tokens.push({
+            word,
+            canon: canonicalToken(word),
+            fold: foldDiacritics(word),
+            start: match.index,
+            end: match.index + match[0].length,
+            clause
+        });
+    }
+    return tokens;
+}
+
+// Tokenized text ready for repeated phrase lookups
+function analyze(text) {
+    const source = String(text || '').normalize('NFC');
+    const tokens = tokenize(source);
+    const accented = tokens.some(token => token.fold !== token.word);
+    return { source, tokens, key: accented ? 'canon' : 'fold' };
+}
+
+const compiled = new Map();
+
+function compilePhrase(phrase) {
+    if (!compiled.has(phrase)) {
+        const tokens = tokenize(phrase);
+        compiled.set(phrase, {
+            phrase,
+            canon: tokens.map(token => token.canon),
+            fold: tokens.map(token => token.fold),
+            // English verb first ("reject", "fight against"): match "rejects", "fighting against"
+            inflected: /^[a-z]+( [a-z]+)*$/i.test(phrase.trim())
+                && tokens.length > 0 && tokens[0].word.length >= 3 && !UNINFLECTED.has(tokens[0].word)
+        });
+    }
+    return compiled.get(phrase);
+}
+
+// "reject" -> rejects, rejected, rejecting; "stop" -> stopped; "oppose" -> opposing
+function isInflection(word, base) {
+    if (word === base) return true;
+    const stem = base.replace(/e$/, '');
+    const last = base.slice(-1);
+    return [
+        base + 's', base + 'es', base + 'd', base + 'ed', base + 'ing', stem + 'ing', stem + 'ed',
+        base + last + 'ed', base + last + 'ing', base.replace(/y$/, 'ies'), base.replace(/y$/, 'ied')
+    ].includes(word);
+}
+
+/*
+ * Every occurrence of `phrase` as { phrase, from, to } token ranges (to
+ * exclusive). With `inflect`, an English phrase also matches when its first
+ * word is inflected.
+ */
+function findPhrase(doc, phrase, inflect) {
+    const compiledPhrase = compilePhrase(phrase);
+    const pattern = compiledPhrase[doc.key];
+    const inflected = inflect && compiledPhrase.inflected;
+    const found = [];
+    if (pattern.length === 0) return found;
+    for (let i = 0; i + pattern.length <= doc.tokens.length; i += 1) {
+        let ok = true;
+        for (let j = 0; j < pattern.length && ok; j += 1) {
+            const word = doc.tokens[i + j][doc.key];
+            ok = j === 0 && inflected ? isInflection(word, pattern[0]) : word === pattern[j];
+        }
+        if (ok) found.push({ phrase, from: i, to: i + pattern.length });
+    }
+    return found;
+}
+
+function asDoc(textOrDoc) {
+    return textOrDoc && textOrDoc.tokens ? textOrDoc : analyze(textOrDoc);
+}
+
+function containsPhrase(textOrDoc, phrase) {
+    return findPhrase(asDoc(textOrDoc), phrase).length > 0;
+}
+
+// Token ranges of every occurrence of `phrase`, as { phrase, from, to }
+function phraseMatches(textOrDoc, phrase) {
+    return findPhrase(asDoc(textOrDoc), phrase);
+}
+
+// Phrases from `phrases` that occur in the text
+function matchingPhrases(textOrDoc, phrases) {
+    const doc = asDoc(textOrDoc);
+    return phrases.filter(phrase => findPhrase(doc, phrase).length > 0);
+}
+
+function excerpt(doc, from, to) {
+    return doc.source.slice(doc.tokens[from].start, doc.tokens[to - 1].end);
+}
+
+function overlaps(a, b) {
+    return a.from < b.to && b.from < a.to;
+}
+
+// Whether only connecting words sit between two token positions
+function connected(doc, from, to) {
+    for (let i = from; i < to; i += 1) {
+        if (!CONNECTORS.has(doc.tokens[i].fold)) return false;
+    }
+    return true;
+}
+
+/*
+ * The negation or counter-phrase governing a match, if any: a negation
+ * earlier in the same clause, or a counter-phrase joined to the match by
+ * connecting words.
+ */
+function governingNegation(doc, hit, negations) {
+    const start = doc.tokens[hit.from];
+    return negations.find(neg => neg.to <= hit.from
+        && doc.tokens[neg.from].clause === start.clause
+        && (neg.negation || connected(doc, neg.to, hit.from))) || null;
+}
+
+function joinedToPrevious(doc, previous, hit) {
+    if (!previous || previous.to > hit.from) return false;
+    if (doc.tokens[previous.from].clause !== doc.tokens[hit.from].clause) return false;
+    for (let i = previous.to; i < hit.from; i += 1) {
+        if (!LIST_JOINERS.has(doc.tokens[i].word)) return false;
+    }
+    return true;
+}
+
+/*
+ * Check a decision against the prohibited regulations. Returns
+ *   {
+ *     violation: boolean,
+ *     matches: [{ rule, phrase, excerpt, regulationIndex, regulation, reason }],
+ *     ignored: [{ rule, phrase, excerpt, negatedBy }]
+ *   }
+ * `ignored` lists phrases that were found but cancelled by a negation.
+ */
+function moderate(text, content) {
+    const rules = content || getContent();
+    const doc = analyze(text);
+    const hits = [];
+    rules.violationRules.forEach(rule => {
+        rule.phrases.forEach(phrase => {
+            findPhrase(doc, phrase).forEach(hit => hits.push(Object.assign({ rule }, hit)));
+        });
+    });
+    // Prefer the longest phrase where several rules match the same words
+    hits.sort((a, b) => a.from - b.from || (b.to - b.from) - (a.to - a.from));
+    const distinct = [];
+    hits.forEach(hit => {
+        if (!distinct.some(kept => overlaps(kept, hit))) distinct.push(hit);
+    });
+
+    const falseNegations = [];
+    FALSE_NEGATIONS.forEach(phrase => falseNegations.push(...findPhrase(doc, phrase)));
+    const negations = [];
+    const collect = (phrases, negation) => phrases.forEach(phrase => {
+        findPhrase(doc, phrase, true).forEach(neg => {
+            // "chống" inside "chống phá" is part of the violation, not a counter-phrase
+            if (distinct.some(hit => overlaps(hit, neg))) return;
+            if (falseNegations.some(fake => overlaps(fake, neg))) return;
+            negations.push(Object.assign({ negation }, neg));
+        });
+    });
+    collect(rules.negationPhrases, true);
+    collect(rules.counterPhrases, false);
+    negations.sort((a, b) => (b.to - b.from) - (a.to - a.from));
+
+    const matches = [];
+    const ignored = [];
+    let previous = null;
+    distinct.forEach(hit => {
+        let negation = governingNegation(doc, hit, negations);
+        if (!negation && previous && previous.negatedBy && joinedToPrevious(doc, previous, hit)) {
+            negation = previous.negatedBy;
+        }
+        const text = excerpt(doc, hit.from, hit.to);
+        if (negation) {
+            ignored.push({ rule: hit.rule.id, phrase: hit.phrase, excerpt: text, negatedBy: excerpt(doc, negation.from, negation.to) });
+        } else {
+            const index = hit.rule.regulation;
+            matches.push({
+                rule: hit.rule.id,
+                phrase: hit.phrase,
+                excerpt: text,
+                regulationIndex: index,
+                regulation: rules.regulations.prohibited[index],
+                reason: hit.rule.reason
+            });
+        }
+        previous = { from: hit.from, to: hit.to, negatedBy: negation };
+    });
+    return { violation: matches.length > 0, matches, ignored };
+}
+
+// Citation for a regulation picked by an LLM evaluator (1-based, as numbered in the prompt)
+function citeRegulation(number, reason, content) {
+    const prohibited = (content || getContent()).regulations.prohibited;
+    const index = Number(number) - 1;
+    if (!Number.isInteger(index) || !prohibited[index]) return null;
+    return {
+        rule: 'model',
+        phrase: null,
+        excerpt: null,
+        regulationIndex: index,
+        regulation: prohibited[index],
+        reason: reason || ''
+    };
+}
+
+module.exports = {
+    canonicalToken,
+    foldDiacritics,
+    normalizeText,
+    tokenize,
+    analyze,
+    containsPhrase,
+    phraseMatches,
+    matchingPhrases,
+    moderate,
+    citeRegulation
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('./config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const scoreboard = require('./scoreboard');
+const gameEvents = require('./game-events');
+const { bucketOf } = require('./game-modes');
+const { clientIp } = require('./rate-limit');
+const { sendJson } = require('./http-utils');
+
+/*
+ * Operations view of the server:
+ *   - trackRequest gives every request an ID (X-Request-Id, kept from the
+ *     proxy when TRUST_PROXY is set), logs it once answered and counts it
+ *   - GET /healthz   data directory and scoreboard checks; 503 when one fails
+ *   - GET /metrics   Prometheus metrics (lib/metrics.js), behind a Bearer
+ *                    token when METRICS_TOKEN is set
+ * Requests are counted per route (ROUTES, ROUTE_PATTERNS), so IDs and room
+ * codes do not turn into one series each; unknown paths count as "other".
+ */
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,64}$/;
+const METHODS = new Set(['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS']);
+const QUIET_ROUTES = new Set(['/healthz', '/metrics']);
+
+// [pattern, route label] for paths with a parameter; the first match names the route
+const ROUTE_PATTERNS = [
+    [/^\/static\//, '/static/*'],
+    [/^\/rooms\/[A-Za-z0-9]+$/, '/rooms/:code'],
+    [/^\/rooms\/[A-Za-z0-9]+\/(status|export\.csv|export\.json|events)$/, match => `/rooms/:code/${match[1]}`],
+    [/^\/profile\/games\/[A-Za-z0-9_-]+$/, '/profile/games/:id'],
+    [/^\/admin\/versions\/\d+\/restore$/, '/admin/versions/:version/restore'],
+    [/^\/admin\/accounts\/[A-Za-z0-9_-]+\/reset$/, '/admin/accounts/:id/reset'],
+    [/^\/api\/v1\/profile\/games\/[A-Za-z0-9_-]+$/, '/api/v1/profile/games/:id']
+];
+
+// Paths that are their own route
+const ROUTES = new Set([
+    '/', '/login', '/login/google', '/login/guest', '/logout', '/register', '/language',
+    '/start', '/create', '/game', '/end',
+    '/account', '/account/password', '/account/google', '/account/google/unlink',
+    '/rooms', '/rooms/join', '/rooms/leave',
+    '/profile', '/profile/export.json', '/profile/export.md',
+    '/leaderboard', '/leaderboard/events', '/leaderboard/export.csv', '/leaderboard/export.json',
+    '/admin', '/admin/status', '/admin/accounts',
+    '/healthz', '/metrics',
+    '/api/v1/session', '/api/v1/session/language', '/api/v1/accounts', '/api/v1/account/password',
+    '/api/v1/religions', '/api/v1/rooms/join', '/api/v1/leaderboard',
+    '/api/v1/game', '/api/v1/game/decisions', '/api/v1/game/finish', '/api/v1/profile/games'
+]);
+
+const httpRequestsTotal = metrics.counter(
+    'religion_game_http_requests_total',
+    'HTTP requests answered, by method, route pattern and status code.',
+    ['method', 'route', 'status']
+);
+const httpErrorsTotal = metrics.counter(
+    'religion_game_http_errors_total',
+    'HTTP requests answered with a 4xx or 5xx status, by route pattern and status code.',
+    ['route', 'status']
+);
+const httpRequestSeconds = metrics.histogram(
+    'religion_game_http_request_duration_seconds',
+    'Time from receiving a request to the end of its response (live event streams excluded).',
+    ['route'],
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+);
+const gamesStarted = metrics.counter(
+    'religion_game_games_started_total',
+    'Games started, by mode and difficulty.',
+    ['mode', 'difficulty']
+);
+const gamesFinished = metrics.counter(
+    'religion_game_games_finished_total',
+    'Games finished, by mode and result (violation, failed, survived, thrived).',
+    ['mode', 'result']
+);
+
+metrics.gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch, in seconds.', [],
+    () => Math.round(Date.now() / 1000 - process.uptime()));
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size, in bytes.', [], () => process.memoryUsage().rss);
+metrics.gauge('nodejs_heap_used_bytes', 'V8 heap in use, in bytes.', [], () => process.memoryUsage().heapUsed);
+
+// How a finished game went, with the thresholds the end page uses
+function finishResult(outcome) {
+    if (outcome.violation) return 'violation';
+    if (outcome.score < outcome.thresholds.survive) return 'failed';
+    if (outcome.score < outcome.thresholds.leaderboard) return 'survived';
+    return 'thrived';
+}
+
+gameEvents.on('started', ({ game }) => {
+    const bucket = bucketOf(game);
+    gamesStarted.inc({ mode: bucket.mode, difficulty: bucket.difficulty });
+});
+
+gameEvents.on('finished', ({ outcome }) => {
+    gamesFinished.inc({ mode: outcome.mode, result: finishResult(outcome) });
+});
+
+function routeLabel(pathname) {
+    if (ROUTES.has(pathname)) return pathname;
+    for (const [pattern, label] of ROUTE_PATTERNS) {
+        const match = pathname.match(pattern);
+        if (match) return typeof label === 'function' ? label(match) : label;
+    }
+    return 'other';
+}
+
+function requestIdOf(req) {
+    const sent = String(req.headers['x-request-id'] || '');
+    if (config.rateLimit.trustProxy && REQUEST_ID_PATTERN.test(sent)) return sent;
+    return crypto.randomUUID();
+}
+
+/*
+ * Run `handle()` for the request with its ID attached to everything logged
+ * meanwhile (lib/logger.js); once the response is over (or the client went
+ * away) log one "request" line and update the HTTP metrics. The ID is kept on
+ * ctx.requestId and sent back in X-Request-Id.
+ */
+function trackRequest(req, res, ctx, handle) {
+    const requestId = requestIdOf(req);
+    const stopTimer = httpRequestSeconds.startTimer();
+    ctx.requestId = requestId;
+    res.setHeader('X-Request-Id', requestId);
+    res.on('close', () => {
+        const route = routeLabel(ctx.pathname || '/');
+        const status = res.statusCode;
+        const stream = /^text\/event-stream\b/.test(String(res.getHeader('Content-Type') || ''));
+        const seconds = stream ? null : stopTimer({ route });
+        httpRequestsTotal.inc({ method: METHODS.has(req.method) ? req.method : 'OTHER', route, status });
+        if (status >= 400) httpErrorsTotal.inc({ route, status });
+        let level = 'info';
+        if (status >= 500) level = 'error';
+        else if (QUIET_ROUTES.has(route)) level = 'debug';
+        logger[level]('request', {
+            requestId,
+            method: req.method,
+            path: ctx.pathname,
+            route,
+            status,
+            durationMs: seconds === null ? undefined : Math.round(seconds * 10000) / 10,
+            aborted: res.writableFinished ? undefined : true,
+            ip: clientIp(req)
+        });
+    });
+    logger.withRequest(requestId, handle);
+}
+
+function runCheck(check) {
+    try {
+        return Object.assign({ status: 'ok' }, check());
+    } catch (err) {
+        return { status: 'error', error: err.message || String(err) };
+    }
+}
+
+function bearerMatches(req, token) {
+    const match = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    if (!match) return false;
+    const sent = Buffer.from(match[1]);
+    const expected = Buffer.from(token);
+    return sent.length === expected.length && crypto.timingSafeEqual(sent, expected);
+}
+
+/*
+ * /healthz and /metrics. deps: { sessionStore } for the session gauges.
+ * Returns handleMonitoringRequest(req, res, ctx), true when it answered.
+ */
+function createMonitoringRoutes(deps) {
+    const { sessionStore } = deps;
+
+    metrics.gauge('religion_game_active_sessions', 'Sessions that have not expired.', [], () => sessionStore.activity().active);
+    metrics.gauge('religion_game_games_in_progress', 'Sessions with a game in progress.', [], () => sessionStore.activity().playing);
+
+    function health(res) {
+        const checks = {
+            dataDir: runCheck(() => {
+                fs.accessSync(config.DATA_DIR, fs.constants.W_OK);
+                return {};
+            }),
+            scoreboard: runCheck(() => {
+                const store = scoreboard.openScoreboard();
+                return { backend: store.backend, entries: store.count() };
+            })
+        };
+        const healthy = Object.values(checks).every(check => check.status === 'ok');
+        sendJson(res, healthy ? 200 : 503, {
+            status: healthy ? 'ok' : 'error',
+            uptimeSeconds: Math.round(process.uptime()),
+            checks
+        }, { 'Cache-Control': 'no-store' });
+    }
+
+    function metricsPage(req, res) {
+        if (config.metrics.token && !bearerMatches(req, config.metrics.token)) {
+            res.writeHead(401, { 'Content-Type': 'text/plain; charset=utf-8', 'WWW-Authenticate': 'Bearer' });
+            res.end('Unauthorized\n');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': metrics.CONTENT_TYPE, 'Cache-Control': 'no-store' });
+        res.end(metrics.render());
+    }
+
+    return function handleMonitoringRequest(req, res, ctx) {
+        if (ctx.pathname !== '/healthz' && ctx.pathname !== '/metrics') return false;
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { Allow: 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Method Not Allowed\n');
+            return true;
+        }
+        if (ctx.pathname === '/healthz') health(res);
+        else metricsPage(req, res);
+        return true;
+    };
+}
+
+module.exports = {
+    trackRequest,
+    routeLabel,
+    createMonitoringRoutes
+};
@@ -0,0 +1,154 @@
+const { analyze, phraseMatches } = require('./moderation');
+const { translate } = require('./i18n');
+
+/*
+ * Anti-gaming checks on a decision before its evaluation is applied:
+ *   - near-duplicates of the player's earlier decisions in the same game earn
+ *     less each time they come back, and cost followers from the third time;
+ *   - copying a suggested policy almost word for word earns half;
+ *   - very short decisions earn half;
+ *   - keyword stuffing (mostly keywords, or one keyword over and over) earns
+ *     half and costs followers.
+ * Only gains are reduced: a negative follower change or indicator delta is
+ * kept as it is. Every reduction comes with a note for the feedback card.
+ *
+ * Similarity works on word pairs of the text with diacritics stripped, so
+ * retyping a decision without accents or re-ordering a few words still counts.
+ */
+
+const NEAR_DUPLICATE = 0.7;
+const SUGGESTION_COPY = 0.7;
+// Below this many shingles containment is too noisy ("từ thiện" is inside everything)
+const MIN_CONTAINMENT_SHINGLES = 5;
+// Share of the gains kept, by how many earlier rounds the decision repeats
+const REPEAT_FACTORS = [1, 0.5, 0.25, 0];
+const REPEAT_PENALTY = 50;
+const MIN_WORDS = 8;
+const STUFFING_MIN_HITS = 4;
+const STUFFING_COVERAGE = 0.6;
+const STUFFING_REPEATS = 3;
+const STUFFING_PENALTY = 30;
+const REDUCED_FACTOR = 0.5;
+
+// Word pairs of the folded text (single words for one-word texts)
+function shingles(doc) {
+    const words = doc.tokens.map(token => token.fold);
+    if (words.length < 2) return new Set(words);
+    const set = new Set();
+    for (let i = 0; i + 1 < words.length; i += 1) set.add(`${words[i]} ${words[i + 1]}`);
+    return set;
+}
+
+/*
+ * 0..1 similarity of two shingle sets: Jaccard overlap, or how much of the
+ * shorter text is contained in the longer one when it is long enough, so a
+ * pasted sentence with a few words added is still caught.
+ */
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(item => { if (b.has(item)) shared += 1; });
+    const jaccard = shared / (a.size + b.size - shared);
+    const smaller = Math.min(a.size, b.size);
+    const containment = smaller >= MIN_CONTAINMENT_SHINGLES ? shared / smaller : 0;
+    return Math.max(jaccard, containment);
+}
+
+function percent(value) {
+    return `${Math.round(value * 100)}%`;
+}
+
+// Keyword occurrences: how many, how much of the text they cover, and the most repeated one
+function keywordUsage(doc, keywords) {
+    const covered = new Set();
+    let hits = 0;
+    let top = { keyword: null, count: 0 };
+    keywords.forEach(keyword => {
+        const found = phraseMatches(doc, keyword);
+        hits += found.length;
+        found.forEach(match => {
+            for (let i = match.from; i < match.to; i += 1) covered.add(i);
+        });
+        if (found.length > top.count) top = { keyword, count: found.length };
+    });
+    return { hits, coverage: doc.tokens.length > 0 ? covered.size / doc.tokens.length : 0, top };
+}
+
+/*
+ * Originality of a decision against the game so far:
+ *   context = { history, suggestions, keywords, locale }
+ * Returns { factor, penalty, flags: [code], notes: [text] }; `factor` is the
+ * share of the gains kept and `penalty` the followers taken away.
+ */
+function assessOriginality(decision, context) {
+    const opts = context || {};
+    const doc = analyze(decision);
+    const own = shingles(doc);
+    const result = { factor: 1, penalty: 0, flags: [], notes: [] };
+
+    const repeats = (opts.history || [])
+        .filter(entry => entry.decision)
+        .map(entry => ({ round: entry.round, score: similarity(own, shingles(analyze(entry.decision))) }))
+        .filter(item => item.score >= NEAR_DUPLICATE);
+    if (repeats.length > 0) {
+        const closest = repeats.reduce((best, item) => (item.score > best.score ? item : best));
+        const factor = REPEAT_FACTORS[Math.min(repeats.length, REPEAT_FACTORS.length - 1)];
+        const penalty = repeats.length >= 2 ? REPEAT_PENALTY * (repeats.length - 1) : 0;
+        result.factor *= factor;
+        result.penalty += penalty;
+        result.flags.push('repeated');
+        result.notes.push(translate(opts.locale, 'originality.repeated', {
+            similarity: percent(closest.score),
+            round: closest.round,
+            count: repeats.length,
+            kept: percent(factor),
+            penalty: penalty > 0 ? translate(opts.locale, 'originality.repeatedPenalty', { followers: penalty }) : ''
+        }));
+    }
+
+    const copied = (opts.suggestions || []).some(text => similarity(own, shingles(analyze(text))) >= SUGGESTION_COPY);
+    if (copied) {
+        result.factor *= REDUCED_FACTOR;
+        result.flags.push('suggestion_copy');
+        result.notes.push(translate(opts.locale, 'originality.suggestionCopy', { kept: percent(REDUCED_FACTOR) }));
+    }
+
+    if (doc.tokens.length < MIN_WORDS) {
+        result.factor *= REDUCED_FACTOR;
+        result.flags.push('too_short');
+        result.notes.push(translate(opts.locale, 'originality.tooShort', { words: doc.tokens.length, min: MIN_WORDS, kept: percent(REDUCED_FACTOR) }));
+    }
+
+    const usage = keywordUsage(doc, Array.from(new Set(opts.keywords || [])));
+    if ((usage.hits >= STUFFING_MIN_HITS && usage.coverage >= STUFFING_COVERAGE) || usage.top.count >= STUFFING_REPEATS) {
+        result.factor *= REDUCED_FACTOR;
+        result.penalty += STUFFING_PENALTY;
+        result.flags.push('keyword_stuffing');
+        const detail = usage.top.count >= STUFFING_REPEATS
+            ? translate(opts.locale, 'originality.stuffingRepeat', { keyword: usage.top.keyword, count: usage.top.count })
+            : translate(opts.locale, 'originality.stuffingCoverage', { share: percent(usage.coverage) });
+        result.notes.push(translate(opts.locale, 'originality.stuffing', { detail, kept: percent(REDUCED_FACTOR), followers: STUFFING_PENALTY }));
+    }
+    return result;
+}
+
+// Evaluation result with the originality reductions applied and recorded under `originality`
+function applyOriginality(result, assessment) {
+    if (!assessment || assessment.flags.length === 0) return result;
+    const { factor, penalty } = assessment;
+    const deltas = {};
+    Object.keys(result.deltas || {}).forEach(key => {
+        const value = result.deltas[key];
+        deltas[key] = value > 0 ? Math.round(value * factor) : value;
+    });
+    return Object.assign({}, result, {
+        change: (result.change > 0 ? Math.round(result.change * factor) : result.change) - penalty,
+        deltas,
+        originality: { factor, penalty, flags: assessment.flags, notes: assessment.notes }
+    });
+}
+
+module.exports = {
+    assessOriginality,
+    applyOriginality
+};
@@ -0,0 +1,42 @@
+const path = require('path');
+const { DATA_DIR } = require('./config');
+const { readJson, createDebouncedWriter } = require('./json-file');
+
+/*
+ * Per-player settings that outlive a session, keyed by the player key from
+ * lib/identity.js and persisted in data/preferences.json:
+ *   { [playerKey]: { locale, updatedAt } }
+ */
+
+const PREFERENCES_FILE = path.join(DATA_DIR, 'preferences.json');
+
+const preferences = new Map(Object.entries(readJson(PREFERENCES_FILE, {})));
+const writer = createDebouncedWriter(PREFERENCES_FILE, () => Object.fromEntries(preferences), 'preferences');
+
+function getPreferences(playerKey) {
+    return (playerKey && preferences.get(playerKey)) || {};
+}
+
+// Merge `changes` into the player's settings
+function savePreferences(playerKey, changes) {
+    if (!playerKey) return;
+    const next = Object.assign({}, preferences.get(playerKey), changes, { updatedAt: new Date().toISOString() });
+    preferences.set(playerKey, next);
+    writer.schedule();
+}
+
+// Carry the settings of `fromKey` over to `toKey`, keeping any `toKey` already has
+function reassignPlayer(fromKey, toKey) {
+    if (!preferences.has(fromKey)) return;
+    preferences.set(toKey, Object.assign({}, preferences.get(fromKey), preferences.get(toKey)));
+    preferences.delete(fromKey);
+    writer.schedule();
+}
+
+module.exports = {
+    PREFERENCES_FILE,
+    getPreferences,
+    savePreferences,
+    reassignPlayer,
+    flush: writer.flush
+};
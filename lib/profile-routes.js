@@ -0,0 +1,94 @@
+const archive = require('./game-archive');
+const { GameError } = require('./errors');
+const { userKey } = require('./identity');
+const { redirect } = require('./http-utils');
+const { foldDiacritics } = require('./moderation');
+const { translate, errorMessage } = require('./i18n');
+
+/*
+ * A player's own archive of finished games:
+ *   GET /profile                  games played, best score, list of past games
+ *   GET /profile/games/:id        replay of one game, round by round
+ *   GET /profile/export.json      every game with its full history
+ *   GET /profile/export.md        the same as a Markdown document
+ */
+
+const GAME_PATH = /^\/profile\/games\/([A-Za-z0-9_-]+)$/;
+
+function summarize(games) {
+    const scores = games.map(game => game.score);
+    return {
+        played: games.length,
+        bestScore: scores.length > 0 ? Math.max(...scores) : 0,
+        averageScore: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : 0,
+        violations: games.filter(game => game.violation).length
+    };
+}
+
+function exportFileName(session, extension) {
+    const slug = foldDiacritics(session.username).replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'player';
+    return `lich-su-${slug}.${extension}`;
+}
+
+function createProfileRoutes(deps) {
+    const { renderView } = deps;
+
+    function route(req, res, ctx) {
+        const { pathname, session } = ctx;
+        if (req.method !== 'GET') {
+            const err = new GameError(405, 'method_not_allowed', 'Phương thức không được hỗ trợ.');
+            err.allow = ['GET'];
+            throw err;
+        }
+        const key = userKey(session);
+        if (pathname === '/profile') {
+            const games = archive.listPlayerGames(key);
+            renderView(res, 200, 'profile.html', { username: session.username, games, summary: summarize(games) });
+            return;
+        }
+        if (pathname === '/profile/export.json') {
+            res.writeHead(200, {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Content-Disposition': `attachment; filename="${exportFileName(session, 'json')}"`
+            });
+            res.end(JSON.stringify({ username: session.username, exportedAt: new Date().toISOString(), games: archive.exportPlayerGames(key) }, null, 2));
+            return;
+        }
+        if (pathname === '/profile/export.md') {
+            res.writeHead(200, {
+                'Content-Type': 'text/markdown; charset=utf-8',
+                'Content-Disposition': `attachment; filename="${exportFileName(session, 'md')}"`
+            });
+            res.end(archive.exportMarkdown(session.username, archive.exportPlayerGames(key), ctx.locale));
+            return;
+        }
+        const match = pathname.match(GAME_PATH);
+        const record = match ? archive.getPlayerGame(key, match[1]) : null;
+        if (!record) throw new GameError(404, 'game_not_found', 'Không tìm thấy ván chơi này.');
+        renderView(res, 200, 'replay.html', { username: session.username, record, frames: archive.replayFrames(record) });
+    }
+
+    // Returns true when the request was for a profile page
+    return function handleProfileRequest(req, res, ctx) {
+        if (ctx.pathname !== '/profile' && !ctx.pathname.startsWith('/profile/')) return false;
+        if (!ctx.session) {
+            redirect(res, '/login');
+            return true;
+        }
+        try {
+            route(req, res, ctx);
+        } catch (err) {
+            if (!(err instanceof GameError)) throw err;
+            if (err.allow) res.setHeader('Allow', err.allow.join(', '));
+            renderView(res, err.status, 'message.html', {
+                username: ctx.session.username,
+                title: translate(ctx.locale, err.status === 405 ? 'common.methodNotAllowed' : 'common.notFound'),
+                message: errorMessage(err, ctx.locale),
+                backUrl: '/profile'
+            });
+        }
+        return true;
+    };
+}
+
+module.exports = { createProfileRoutes };
@@ -0,0 +1,118 @@
+const config = require('./config');
+const { GameError } = require('./errors');
+
+/*
+ * Sliding-window rate limits on submitted decisions, counted both per session
+ * and per client IP. Every decision can cost a paid model call, so one player
+ * (or one script) must not be able to flood the evaluator.
+ *
+ * Password logins are throttled the same way, counting failed attempts per
+ * account name and per IP; a successful login clears the account's count.
+ */
+
+function createRateLimiter(options) {
+    const limit = options.limit;
+    const windowMs = options.windowMs;
+    // key -> timestamps of the accepted requests inside the window
+    const log = new Map();
+
+    // Record a request for `key`; returns { allowed, retryAfterMs }
+    function consume(key, now) {
+        if (!limit || limit <= 0) return { allowed: true, retryAfterMs: 0 };
+        const at = now || Date.now();
+        const recent = (log.get(key) || []).filter(time => time > at - windowMs);
+        if (recent.length >= limit) {
+            log.set(key, recent);
+            return { allowed: false, retryAfterMs: recent[0] + windowMs - at };
+        }
+        recent.push(at);
+        log.set(key, recent);
+        return { allowed: true, retryAfterMs: 0 };
+    }
+
+    // Whether `key` is at its limit, without recording a request
+    function peek(key, now) {
+        if (!limit || limit <= 0) return { allowed: true, retryAfterMs: 0 };
+        const at = now || Date.now();
+        const recent = (log.get(key) || []).filter(time => time > at - windowMs);
+        if (recent.length >= limit) return { allowed: false, retryAfterMs: recent[0] + windowMs - at };
+        return { allowed: true, retryAfterMs: 0 };
+    }
+
+    function reset(key) {
+        log.delete(key);
+    }
+
+    // Forget keys with nothing left in the window
+    function sweep(now) {
+        const at = now || Date.now();
+        log.forEach((times, key) => {
+            if (times.length === 0 || times[times.length - 1] <= at - windowMs) log.delete(key);
+        });
+    }
+
+    const timer = setInterval(sweep, Math.max(windowMs, 1000));
+    timer.unref();
+
+    return { consume, peek, reset, sweep, size: () => log.size };
+}
+
+// Client address; X-Forwarded-For is only believed when TRUST_PROXY is set
+function clientIp(req) {
+    if (config.rateLimit.trustProxy) {
+        const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+        if (forwarded) return forwarded;
+    }
+    return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+const sessionLimiter = createRateLimiter({ limit: config.rateLimit.perSession, windowMs: config.rateLimit.windowMs });
+const ipLimiter = createRateLimiter({ limit: config.rateLimit.perIp, windowMs: config.rateLimit.windowMs });
+
+function tooFast(retryAfterMs) {
+    const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    const err = new GameError(429, 'rate_limited', `Bạn gửi quyết định quá nhanh. Hãy suy nghĩ thêm và thử lại sau ${seconds} giây.`, { seconds });
+    err.retryAfter = seconds;
+    return err;
+}
+
+// Throws a 429 GameError (with `retryAfter` in seconds) when the decision comes too fast
+function checkDecisionRate(req, sessionId) {
+    // The session goes first so a player who is already blocked does not use up the classroom's IP quota
+    const own = sessionLimiter.consume(`session:${sessionId}`);
+    if (!own.allowed) throw tooFast(own.retryAfterMs);
+    const ip = ipLimiter.consume(`ip:${clientIp(req)}`);
+    if (!ip.allowed) throw tooFast(ip.retryAfterMs);
+}
+
+const loginAccountLimiter = createRateLimiter({ limit: config.loginThrottle.perAccount, windowMs: config.loginThrottle.windowMs });
+const loginIpLimiter = createRateLimiter({ limit: config.loginThrottle.perIp, windowMs: config.loginThrottle.windowMs });
+
+// Throws a 429 GameError (with `retryAfter`) while the account or the IP has too many failed logins
+function checkLoginAllowed(req, username) {
+    const blocked = [loginAccountLimiter.peek(`account:${username}`), loginIpLimiter.peek(`ip:${clientIp(req)}`)]
+        .find(result => !result.allowed);
+    if (!blocked) return;
+    const minutes = Math.max(1, Math.ceil(blocked.retryAfterMs / 60000));
+    const err = new GameError(429, 'login_throttled', `Đăng nhập sai quá nhiều lần. Vui lòng thử lại sau ${minutes} phút.`, { minutes });
+    err.retryAfter = Math.max(1, Math.ceil(blocked.retryAfterMs / 1000));
+    throw err;
+}
+
+function recordLoginFailure(req, username) {
+    loginAccountLimiter.consume(`account:${username}`);
+    loginIpLimiter.consume(`ip:${clientIp(req)}`);
+}
+
+function clearLoginFailures(username) {
+    loginAccountLimiter.reset(`account:${username}`);
+}
+
+module.exports = {
+    createRateLimiter,
+    clientIp,
+    checkDecisionRate,
+    checkLoginAllowed,
+    recordLoginFailure,
+    clearLoginFailures
+};
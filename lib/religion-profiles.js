@@ -0,0 +1,113 @@
+const { GameError } = require('./errors');
+
+/*
+ * Religion profiles: what a religion believes and how it lives, so the
+ * evaluator can judge whether a policy fits the religion and not only whether
+ * it is lawful.
+ *   {
+ *     values: [text],            core values and doctrine
+ *     organization: text,        how the religion is organized
+ *     activities: [text],        typical activities
+ *     history: text,             historical context in Vietnam
+ *     suggestedPolicies: [text], suggestions shown before the general ones
+ *     keywords: [phrase]         phrases the offline heuristic rewards
+ *   }
+ * Predefined religions take theirs from the course content; a custom religion
+ * gets the doctrine its player wrote on /create (values, organization,
+ * activities and history only), kept on the game.
+ */
+
+const LIST_FIELDS = ['values', 'activities', 'suggestedPolicies', 'keywords'];
+const TEXT_FIELDS = ['organization', 'history'];
+// Fields a player may write for a custom religion
+const DOCTRINE_FIELDS = ['values', 'organization', 'activities', 'history'];
+const MAX_ITEMS = 12;
+const MAX_ITEM_LENGTH = 300;
+const MAX_TEXT_LENGTH = 600;
+
+const FIELD_LABELS = {
+    values: 'Giá trị cốt lõi',
+    organization: 'Cơ cấu tổ chức',
+    activities: 'Hoạt động tiêu biểu',
+    history: 'Bối cảnh lịch sử',
+    suggestedPolicies: 'Chính sách gợi ý',
+    keywords: 'Từ khóa phù hợp'
+};
+
+function emptyProfile() {
+    return { values: [], organization: '', activities: [], history: '', suggestedPolicies: [], keywords: [] };
+}
+
+// One item per line (keywords may also be separated by commas), trimmed and de-duplicated
+function cleanItems(value, field) {
+    let items = value;
+    if (typeof items === 'string') items = items.split(field === 'keywords' ? /[\n,]/ : /\n/);
+    if (!Array.isArray(items)) items = [];
+    const list = [];
+    items.forEach(item => {
+        const text = String(item === undefined || item === null ? '' : item).trim();
+        if (!text || list.includes(text)) return;
+        if (text.length > MAX_ITEM_LENGTH) {
+            throw new GameError(400, 'profile_item_too_long', `${FIELD_LABELS[field]}: mỗi mục tối đa ${MAX_ITEM_LENGTH} ký tự.`, { label: FIELD_LABELS[field], max: MAX_ITEM_LENGTH });
+        }
+        list.push(text);
+    });
+    if (list.length > MAX_ITEMS) {
+        throw new GameError(400, 'profile_too_many_items', `${FIELD_LABELS[field]}: tối đa ${MAX_ITEMS} mục.`, { label: FIELD_LABELS[field], max: MAX_ITEMS });
+    }
+    return list;
+}
+
+function cleanText(value, field) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (text.length > MAX_TEXT_LENGTH) {
+        throw new GameError(400, 'profile_text_too_long', `${FIELD_LABELS[field]}: tối đa ${MAX_TEXT_LENGTH} ký tự.`, { label: FIELD_LABELS[field], max: MAX_TEXT_LENGTH });
+    }
+    return text;
+}
+
+/*
+ * A validated profile from form or JSON input; `fields` limits which fields
+ * are read (the others stay empty).
+ */
+function normalizeProfile(input, fields) {
+    const raw = input && typeof input === 'object' ? input : {};
+    const allowed = fields || LIST_FIELDS.concat(TEXT_FIELDS);
+    const profile = emptyProfile();
+    LIST_FIELDS.forEach(field => { if (allowed.includes(field)) profile[field] = cleanItems(raw[field], field); });
+    TEXT_FIELDS.forEach(field => { if (allowed.includes(field)) profile[field] = cleanText(raw[field], field); });
+    return profile;
+}
+
+// The doctrine a player wrote for a custom religion, or null when every field was left blank
+function normalizeDoctrine(input) {
+    const profile = normalizeProfile(input, DOCTRINE_FIELDS);
+    return isEmptyProfile(profile) ? null : profile;
+}
+
+function isEmptyProfile(profile) {
+    return !profile || DOCTRINE_FIELDS.every(field => profile[field].length === 0);
+}
+
+// Every descriptive text of the profile, for moderation and injection checks
+function profileText(profile) {
+    return DOCTRINE_FIELDS.map(field => [].concat(profile[field]).join('\n')).join('\n');
+}
+
+// The fields shown to players; suggestions are offered separately and keywords stay on the server
+function displayProfile(profile) {
+    if (!profile) return null;
+    const shown = {};
+    DOCTRINE_FIELDS.forEach(field => { shown[field] = profile[field]; });
+    return shown;
+}
+
+module.exports = {
+    DOCTRINE_FIELDS,
+    emptyProfile,
+    normalizeProfile,
+    normalizeDoctrine,
+    isEmptyProfile,
+    profileText,
+    displayProfile
+};
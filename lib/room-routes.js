@@ -0,0 +1,162 @@
+const config = require('./config');
+const logger = require('./logger');
+const rooms = require('./rooms');
+const gameService = require('./game-service');
+const { GameError } = require('./errors');
+const { getContent } = require('./content-store');
+const { userKey } = require('./identity');
+const { readForm, redirect } = require('./http-utils');
+const liveFeed = require('./live-feed');
+const { translate, errorMessage } = require('./i18n');
+
+/*
+ * HTML routes for classroom rooms:
+ *   GET  /rooms                      join form, and for teachers the create form and their rooms
+ *   POST /rooms                      create a room (teacher)
+ *   POST /rooms/join                 join a room with its code
+ *   POST /rooms/leave                go back to playing on your own
+ *   GET  /rooms/:code                teacher dashboard
+ *   POST /rooms/:code/status         open / lock / close the room
+ *   GET  /rooms/:code/export.csv     results, one line per decision
+ *   GET  /rooms/:code/export.json    results with the full history
+ *   GET  /rooms/:code/events         live dashboard updates (Server-Sent Events)
+ */
+
+const ROOM_PATH = /^\/rooms\/([A-Za-z0-9]+)(\/status|\/export\.csv|\/export\.json|\/events)?$/;
+
+// Teachers are listed in TEACHER_EMAILS; without that list anyone signed in may create rooms
+function canTeach(session) {
+    const allowed = config.rooms.teacherEmails;
+    if (allowed.length === 0) return true;
+    const email = session.user && session.user.email ? String(session.user.email).toLowerCase() : '';
+    return Boolean(email) && allowed.includes(email);
+}
+
+function createRoomRoutes(deps) {
+    const { renderView, sessionStore } = deps;
+
+    function renderRoomsPage(res, statusCode, session, error) {
+        const key = userKey(session);
+        renderView(res, statusCode, 'rooms.html', {
+            username: session.username,
+            error,
+            canTeach: canTeach(session),
+            religions: getContent().religions,
+            defaultRounds: gameService.MAX_ROUNDS,
+            minRounds: rooms.MIN_ROUNDS,
+            maxRounds: rooms.MAX_ROUNDS,
+            currentRoom: gameService.currentRoom(session),
+            ownedRooms: canTeach(session) ? rooms.listRoomsOwnedBy(key) : []
+        });
+    }
+
+    function requireOwnedRoom(session, code) {
+        const room = rooms.requireRoom(code);
+        if (!rooms.isOwner(room, userKey(session))) {
+            throw new GameError(403, 'not_room_owner', 'Chỉ giáo viên tạo phòng mới xem được trang này.');
+        }
+        return room;
+    }
+
+    function sendRoomError(res, session, err) {
+        if (!(err instanceof GameError)) {
+            logger.error('Room request failed', { err });
+            renderView(res, 500, 'message.html', {
+                username: session.username,
+                title: translate(res.locale, 'common.error'),
+                message: translate(res.locale, 'common.unexpectedError'),
+                backUrl: '/rooms'
+            });
+            return;
+        }
+        renderRoomsPage(res, err.status, session, errorMessage(err, res.locale));
+    }
+
+    async function route(req, res, ctx) {
+        const { pathname, session } = ctx;
+        if (pathname === '/rooms' && req.method === 'GET') {
+            renderRoomsPage(res, 200, session, null);
+            return;
+        }
+        if (pathname === '/rooms' && req.method === 'POST') {
+            if (!canTeach(session)) throw new GameError(403, 'not_teacher', 'Tài khoản của bạn không có quyền tạo phòng.');
+            const form = await readForm(req);
+            const room = rooms.createRoom({ key: userKey(session), username: session.username }, {
+                name: form.name,
+                maxRounds: form.max_rounds,
+                allowedReligions: form.religions || [],
+                allowCustom: form.allow_custom
+            }, gameService.MAX_ROUNDS);
+            redirect(res, `/rooms/${room.code}`);
+            return;
+        }
+        if (pathname === '/rooms/join' && req.method === 'POST') {
+            const form = await readForm(req);
+            const room = rooms.joinRoom(form.code, { key: userKey(session), username: session.username });
+            session.roomCode = room.code;
+            sessionStore.save();
+            redirect(res, '/start');
+            return;
+        }
+        if (pathname === '/rooms/leave' && req.method === 'POST') {
+            session.roomCode = null;
+            sessionStore.save();
+            redirect(res, '/rooms');
+            return;
+        }
+        const match = pathname.match(ROOM_PATH);
+        if (!match) throw new GameError(404, 'not_found', 'Không tìm thấy trang.');
+        const room = requireOwnedRoom(session, match[1]);
+        const action = match[2] || '';
+        if (action === '' && req.method === 'GET') {
+            renderView(res, 200, 'room-dashboard.html', {
+                username: session.username,
+                room,
+                players: rooms.summarizePlayers(room),
+                liveCursor: liveFeed.lastEventId()
+            });
+            return;
+        }
+        if (action === '/events' && req.method === 'GET') {
+            liveFeed.hub.stream(req, res, [liveFeed.roomChannel(room.code)], ctx.query.lastEventId);
+            return;
+        }
+        if (action === '/status' && req.method === 'POST') {
+            const form = await readForm(req);
+            rooms.setStatus(room, form.status);
+            redirect(res, `/rooms/${room.code}`);
+            return;
+        }
+        if (action === '/export.csv' && req.method === 'GET') {
+            res.writeHead(200, {
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="room-${room.code}.csv"`
+            });
+            // BOM so spreadsheet apps pick up the Vietnamese text as UTF-8
+            res.end('\ufeff' + rooms.exportCsv(room));
+            return;
+        }
+        if (action === '/export.json' && req.method === 'GET') {
+            res.writeHead(200, {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Content-Disposition': `attachment; filename="room-${room.code}.json"`
+            });
+            res.end(JSON.stringify(rooms.exportJson(room), null, 2));
+            return;
+        }
+        throw new GameError(405, 'method_not_allowed', 'Phương thức không được hỗ trợ.');
+    }
+
+    // Returns true when the request was for a room page
+    return function handleRoomRequest(req, res, ctx) {
+        if (ctx.pathname !== '/rooms' && !ctx.pathname.startsWith('/rooms/')) return false;
+        if (!ctx.session) {
+            redirect(res, '/login');
+            return true;
+        }
+        route(req, res, ctx).catch(err => sendRoomError(res, ctx.session, err));
+        return true;
+    };
+}
+
+module.exports = { createRoomRoutes, canTeach };
@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR } = require('./config');
+const { getContent } = require('./content-store');
+const { GameError } = require('./errors');
+const { readJson, createDebouncedWriter } = require('./json-file');
+const gameEvents = require('./game-events');
+const { toCsv } = require('./csv');
+
+/*
+ * Classroom rooms. A teacher creates a room with a join code and settings;
+ * students join with the code and every game they play is tracked on the
+ * room so the teacher can follow progress live and export the results.
+ *
+ * Room shape (persisted in data/rooms.json):
+ *   {
+ *     code, name, ownerKey, ownerName, createdAt,
+ *     status: 'open' | 'locked' | 'closed',
+ *     settings: { maxRounds, allowedReligions: [...], allowCustom },
+ *     players: { [playerKey]: { username, joinedAt, updatedAt, current, games: [...] } }
+ *   }
+ * `current` is a snapshot of the game in progress; finished games move to `games`.
+ */
+
+const ROOMS_FILE = path.join(DATA_DIR, 'rooms.json');
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MIN_ROUNDS = 3;
+const MAX_ROUNDS = 30;
+const ROOM_STATUSES = ['open', 'locked', 'closed'];
+
+const rooms = new Map(Object.entries(readJson(ROOMS_FILE, {})));
+const writer = createDebouncedWriter(ROOMS_FILE, () => Object.fromEntries(rooms), 'rooms');
+
+function generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i += 1) {
+        code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+    }
+    return code;
+}
+
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+// Validate teacher-provided settings, filling defaults
+function normalizeSettings(input, defaultRounds) {
+    const opts = input || {};
+    const rounds = Number(opts.maxRounds || defaultRounds);
+    if (!Number.isInteger(rounds) || rounds < MIN_ROUNDS || rounds > MAX_ROUNDS) {
+        throw new GameError(400, 'invalid_rounds', `Số vòng phải từ ${MIN_ROUNDS} đến ${MAX_ROUNDS}.`, { min: MIN_ROUNDS, max: MAX_ROUNDS });
+    }
+    let religions = opts.allowedReligions;
+    if (typeof religions === 'string') religions = [religions];
+    const known = getContent().religions;
+    religions = Array.isArray(religions) ? religions.filter(r => known.includes(r)) : known.slice();
+    const allowCustom = opts.allowCustom === true || opts.allowCustom === 'on' || opts.allowCustom === 'true';
+    if (religions.length === 0 && !allowCustom) {
+        throw new GameError(400, 'no_religions', 'Hãy cho phép ít nhất một tôn giáo hoặc cho tạo tôn giáo mới.');
+    }
+    return { maxRounds: rounds, allowedReligions: religions, allowCustom };
+}
+
+function createRoom(owner, input, defaultRounds) {
+    const opts = input || {};
+    const name = String(opts.name || '').trim().slice(0, 80) || 'Lớp học';
+    const settings = normalizeSettings(opts, defaultRounds);
+    let code = generateCode();
+    while (rooms.has(code)) code = generateCode();
+    const room = {
+        code,
+        name,
+        ownerKey: owner.key,
+        ownerName: owner.username,
+        createdAt: new Date().toISOString(),
+        status: 'open',
+        settings,
+        players: {}
+    };
+    rooms.set(code, room);
+    writer.schedule();
+    return room;
+}
+
+function getRoom(code) {
+    return rooms.get(normalizeCode(code)) || null;
+}
+
+function requireRoom(code) {
+    const room = getRoom(code);
+    if (!room) throw new GameError(404, 'room_not_found', 'Không tìm thấy phòng với mã này.');
+    return room;
+}
+
+function listRoomsOwnedBy(ownerKey) {
+    return Array.from(rooms.values())
+        .filter(room => room.ownerKey === ownerKey)
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+function isOwner(room, key) {
+    return Boolean(room && key && room.ownerKey === key);
+}
+
+function joinRoom(code, player) {
+    const room = requireRoom(code);
+    if (room.status === 'closed') throw new GameError(403, 'room_closed', 'Phòng đã đóng.');
+    if (!room.players[player.key]) {
+        if (room.status === 'locked') throw new GameError(403, 'room_locked', 'Phòng đã khóa, không nhận thêm người chơi.');
+        room.players[player.key] = {
+            username: player.username,
+            joinedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            current: null,
+            games: []
+        };
+        writer.schedule();
+    }
+    return room;
+}
+
+function setStatus(room, status) {
+    if (!ROOM_STATUSES.includes(status)) throw new GameError(400, 'invalid_status', 'Trạng thái phòng không hợp lệ.');
+    room.status = status;
+    writer.schedule();
+    return room;
+}
+
+// Players may start or continue games only while the room is not closed
+function assertPlayable(room) {
+    if (room.status === 'closed') throw new GameError(403, 'room_closed', 'Phòng đã đóng, không thể tiếp tục chơi.');
+}
+
+function countViolations(history) {
+    return (history || []).filter(entry => entry.change === 'Vi phạm').length;
+}
+
+function snapshotGame(game) {
+    return {
+        religion: game.religion,
+        round: game.round,
+        maxRounds: game.maxRounds,
+        followers: game.followers,
+        stats: game.stats,
+        violations: countViolations(game.history),
+        history: game.history,
+        startedAt: game.startedAt || null
+    };
+}
+
+function playerRecord(game) {
+    if (!game || !game.roomCode || !game.playerKey) return null;
+    const room = rooms.get(game.roomCode);
+    if (!room) return null;
+    return room.players[game.playerKey] || null;
+}
+
+gameEvents.on('started', ({ game }) => {
+    const record = playerRecord(game);
+    if (!record) return;
+    record.current = snapshotGame(game);
+    record.updatedAt = new Date().toISOString();
+    writer.schedule();
+});
+
+gameEvents.on('decision', ({ game }) => {
+    const record = playerRecord(game);
+    if (!record) return;
+    record.current = snapshotGame(game);
+    record.updatedAt = new Date().toISOString();
+    writer.schedule();
+});
+
+gameEvents.on('finished', ({ game, outcome }) => {
+    const record = playerRecord(game);
+    if (!record) return;
+    record.games.push(Object.assign(snapshotGame(game), {
+        score: outcome.score,
+        violation: outcome.violation,
+        finishedAt: new Date().toISOString()
+    }));
+    record.current = null;
+    record.updatedAt = new Date().toISOString();
+    writer.schedule();
+});
+
+/*
+ * Hand the rooms a player created and their records in other rooms to a new
+ * player key (a Google identity linked to an account). A record the new key
+ * already has in a room is merged with the old one.
+ */
+function reassignPlayer(fromKey, toKey, username) {
+    let moved = 0;
+    rooms.forEach(room => {
+        if (room.ownerKey === fromKey) {
+            room.ownerKey = toKey;
+            room.ownerName = username;
+            moved += 1;
+        }
+        const from = room.players[fromKey];
+        if (!from) return;
+        const to = room.players[toKey];
+        if (to) {
+            to.games = from.games.concat(to.games).sort((a, b) => (a.finishedAt < b.finishedAt ? -1 : 1));
+            to.current = to.current || from.current;
+            if (from.joinedAt < to.joinedAt) to.joinedAt = from.joinedAt;
+            if (from.updatedAt > to.updatedAt) to.updatedAt = from.updatedAt;
+        } else {
+            room.players[toKey] = from;
+        }
+        room.players[toKey].username = username;
+        delete room.players[fromKey];
+        moved += 1;
+    });
+    if (moved > 0) writer.schedule();
+    return moved;
+}
+
+// Dashboard row for one player, or null when the player is not in the room
+function summarizePlayer(room, key) {
+    const player = room.players[key];
+    if (!player) return null;
+    const latest = player.current || player.games[player.games.length - 1] || null;
+    const violations = player.games.reduce((sum, g) => sum + g.violations, 0) + (player.current ? player.current.violations : 0);
+    const bestScore = player.games.reduce((best, g) => Math.max(best, g.score || 0), 0);
+    return {
+        key,
+        username: player.username,
+        joinedAt: player.joinedAt,
+        updatedAt: player.updatedAt,
+        status: player.current ? 'playing' : (player.games.length > 0 ? 'finished' : 'waiting'),
+        religion: latest ? latest.religion : '',
+        round: latest ? Math.min(latest.round, latest.maxRounds) : 0,
+        maxRounds: latest ? latest.maxRounds : room.settings.maxRounds,
+        followers: latest ? latest.followers : 0,
+        gamesPlayed: player.games.length,
+        bestScore,
+        violations,
+        history: latest ? latest.history : []
+    };
+}
+
+// One row per player for the dashboard and exports
+function summarizePlayers(room) {
+    return Object.keys(room.players)
+        .map(key => summarizePlayer(room, key))
+        .sort((a, b) => a.username.localeCompare(b.username, 'vi'));
+}
+
+// One CSV line per decision, so the whole class history fits in a spreadsheet
+function exportCsv(room) {
+    const rows = [];
+    Object.keys(room.players).forEach(key => {
+        const player = room.players[key];
+        const games = player.games.map(g => Object.assign({ status: 'finished' }, g));
+        if (player.current) games.push(Object.assign({ status: 'playing', score: '' }, player.current));
+        games.forEach((game, idx) => {
+            const history = game.history.length > 0 ? game.history : [{}];
+            history.forEach(entry => {
+                rows.push([
+                    player.username,
+                    idx + 1,
+                    game.status,
+                    game.religion,
+                    entry.round,
+                    entry.event ? entry.event.title : '',
+                    entry.decision,
+                    entry.change,
+                    entry.comment,
+                    game.followers,
+                    game.score
+                ]);
+            });
+        });
+    });
+    return toCsv(['player', 'game', 'status', 'religion', 'round', 'event', 'decision', 'change', 'comment', 'followers_after_game', 'score'], rows);
+}
+
+function exportJson(room) {
+    return {
+        code: room.code,
+        name: room.name,
+        status: room.status,
+        settings: room.settings,
+        exportedAt: new Date().toISOString(),
+        players: Object.keys(room.players).map(key => Object.assign({ key }, room.players[key]))
+    };
+}
+
+module.exports = {
+    ROOM_STATUSES,
+    MIN_ROUNDS,
+    MAX_ROUNDS,
+    normalizeCode,
+    createRoom,
+    getRoom,
+    requireRoom,
+    listRoomsOwnedBy,
+    isOwner,
+    joinRoom,
+    setStatus,
+    assertPlayable,
+    reassignPlayer,
+    summarizePlayer,
+    summarizePlayers,
+    exportCsv,
+    exportJson,
+    flush: writer.flush
+};
@@ -0,0 +1,392 @@
+const fs = require('fs');
+const config = require('./config');
+const gameModes = require('./game-modes');
+const logger = require('./logger');
+const { writeJsonAtomic } = require('./json-file');
+
+/*
+ * Scoreboard storage. Every entry a finished game puts on the board:
+ *   { username, playerKey, religion, custom, mode, difficulty, timed, rounds,
+ *     score, followers, stats, contentVersion, gameId, finishedAt }
+ *
+ * SCOREBOARD_STORE picks the backend:
+ *   - json (default): data/scoreboard.json, { schemaVersion, entries } kept in
+ *     memory and re-read when the file changes. Every change is written to a
+ *     synced temp file renamed over the old one, after the previous version
+ *     was copied to scoreboard.json.bak. Changes run one at a time and
+ *     synchronously, so two games finishing together cannot lose an entry.
+ *   - sqlite: data/scoreboard.sqlite through node:sqlite (Node.js 22.5+), for
+ *     larger classes. Created from scoreboard.json the first time.
+ *
+ * A file that does not parse or does not look like a scoreboard is moved aside
+ * (scoreboard.json.corrupt-<time>) and the backup is restored; the board is
+ * never silently emptied. Older file layouts are migrated on load; a file
+ * written by a newer version of the game stops the server instead of being
+ * overwritten.
+ */
+
+const SCOREBOARD_FILE = config.scoreboard.file;
+const SCHEMA_VERSION = 2;
+// How often the SQLite database is copied to its backup while games are being recorded
+const SQLITE_BACKUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/*
+ * MIGRATIONS[n] turns a schema n scoreboard into schema n + 1.
+ *   1: a bare array of entries, without mode, game id or timestamp
+ *   2: { schemaVersion, entries }, every entry with its mode bucket, gameId and finishedAt
+ */
+const MIGRATIONS = {
+    1: list => list.map(entry => Object.assign({ gameId: null, finishedAt: null }, entry, gameModes.bucketOf(entry)))
+};
+
+function corruptError(message) {
+    const err = new Error(message);
+    err.code = 'scoreboard_corrupt';
+    return err;
+}
+
+// Entries of a parsed scoreboard document, migrated to SCHEMA_VERSION; throws when it is not one
+function upgrade(document) {
+    let version;
+    let entries;
+    if (Array.isArray(document)) {
+        version = 1;
+        entries = document;
+    } else if (document && Number.isInteger(document.schemaVersion) && Array.isArray(document.entries)) {
+        version = document.schemaVersion;
+        entries = document.entries;
+    } else {
+        throw corruptError('not a scoreboard');
+    }
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`Scoreboard schema ${version} is newer than this server understands (${SCHEMA_VERSION}); update the game.`);
+    }
+    const invalid = entries.findIndex(entry => !entry || typeof entry !== 'object' || !Number.isFinite(entry.score));
+    if (invalid !== -1) throw corruptError(`entry ${invalid} has no score`);
+    for (let from = version; from < SCHEMA_VERSION; from += 1) {
+        entries = MIGRATIONS[from](entries);
+    }
+    return { entries, migratedFrom: version < SCHEMA_VERSION ? version : null };
+}
+
+function readScoreboardFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf-8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+    let document;
+    try {
+        document = JSON.parse(text);
+    } catch (err) {
+        throw corruptError(`invalid JSON (${err.message})`);
+    }
+    return upgrade(document);
+}
+
+function byScore(a, b) {
+    return b.score - a.score;
+}
+
+function createJsonStore(file) {
+    const backupFile = `${file}.bak`;
+    let entries = [];
+    // mtime of the file `entries` came from; 0 when it does not exist
+    let loadedMtimeMs = -1;
+
+    function mtimeOf(filePath) {
+        try {
+            return fs.statSync(filePath).mtimeMs;
+        } catch (err) {
+            return 0;
+        }
+    }
+
+    function write(list) {
+        if (loadedMtimeMs > 0) {
+            // The current file was read back and checked, so it is a good backup
+            fs.copyFileSync(file, `${backupFile}.tmp`);
+            fs.renameSync(`${backupFile}.tmp`, backupFile);
+        }
+        writeJsonAtomic(file, { schemaVersion: SCHEMA_VERSION, entries: list }, { durable: true });
+        entries = list;
+        loadedMtimeMs = mtimeOf(file);
+    }
+
+    // Move the unreadable file aside and fall back to the backup, if that one reads
+    function recover(reason) {
+        const aside = `${file}.corrupt-${Date.now()}`;
+        fs.renameSync(file, aside);
+        logger.error('Scoreboard file is unreadable; moved it aside', { file, reason, movedTo: aside });
+        let backup = null;
+        try {
+            backup = readScoreboardFile(backupFile);
+        } catch (err) {
+            logger.error('Scoreboard backup is unreadable too', { file: backupFile, err });
+        }
+        loadedMtimeMs = 0;
+        if (!backup) {
+            logger.error('Starting with an empty scoreboard; the old entries are kept in the moved file', { file: aside });
+            entries = [];
+            return;
+        }
+        write(backup.entries.slice().sort(byScore));
+        logger.warn('Scoreboard restored from its backup', { file: backupFile, entries: backup.entries.length });
+    }
+
+    // Re-read the file when it changed since we last read or wrote it
+    function refresh() {
+        const mtimeMs = mtimeOf(file);
+        if (mtimeMs === loadedMtimeMs) return;
+        let loaded;
+        try {
+            loaded = readScoreboardFile(file);
+        } catch (err) {
+            if (err.code !== 'scoreboard_corrupt') throw err;
+            recover(err.message);
+            return;
+        }
+        if (!loaded) {
+            entries = [];
+            loadedMtimeMs = 0;
+            return;
+        }
+        entries = loaded.entries.slice().sort(byScore);
+        loadedMtimeMs = mtimeMs;
+        if (loaded.migratedFrom) {
+            write(entries);
+            logger.info('Scoreboard migrated', { file, fromSchema: loaded.migratedFrom, toSchema: SCHEMA_VERSION });
+        }
+    }
+
+    // Apply `change` to a copy of the entries and persist it; nothing else runs in between
+    function mutate(change) {
+        refresh();
+        const next = entries.slice();
+        const changed = change(next);
+        if (changed) write(next.sort(byScore));
+        return changed;
+    }
+
+    refresh();
+
+    return {
+        backend: 'json',
+        list() {
+            refresh();
+            return entries.slice();
+        },
+        count() {
+            refresh();
+            return entries.length;
+        },
+        add(entry) {
+            mutate(list => list.push(entry));
+        },
+        reassignPlayer(fromKey, toKey, username) {
+            let moved = 0;
+            mutate(list => {
+                list.forEach((entry, index) => {
+                    if (entry.playerKey !== fromKey) return;
+                    list[index] = Object.assign({}, entry, { playerKey: toKey, username });
+                    moved += 1;
+                });
+                return moved > 0;
+            });
+            return moved;
+        },
+        close() {}
+    };
+}
+
+/*
+ * PRAGMA user_version migrations of the SQLite database; SQL_MIGRATIONS[n]
+ * brings version n to n + 1. The filtered columns are copied out of `data`,
+ * which holds the whole entry.
+ */
+const SQL_MIGRATIONS = [
+    `CREATE TABLE entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        player_key TEXT,
+        username TEXT,
+        score INTEGER NOT NULL,
+        mode TEXT NOT NULL,
+        difficulty TEXT NOT NULL,
+        timed INTEGER NOT NULL,
+        game_id TEXT,
+        finished_at TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX entries_score ON entries (score DESC);
+    CREATE INDEX entries_player ON entries (player_key);`
+];
+
+function loadSqlite() {
+    try {
+        return require('node:sqlite');
+    } catch (err) {
+        throw new Error('SCOREBOARD_STORE=sqlite needs Node.js 22.5 or newer (node:sqlite).');
+    }
+}
+
+function createSqliteStore(file, jsonFile) {
+    const { DatabaseSync } = loadSqlite();
+    const backupFile = `${file}.bak`;
+    let db = null;
+    let lastBackupAt = 0;
+
+    function isHealthy(database) {
+        const row = database.prepare('PRAGMA quick_check').get();
+        return Boolean(row) && Object.values(row)[0] === 'ok';
+    }
+
+    function open() {
+        let database = null;
+        try {
+            database = new DatabaseSync(file);
+            if (isHealthy(database)) return database;
+        } catch (err) {
+            logger.error('Could not open scoreboard database', { file, err });
+        }
+        if (database) database.close();
+        const aside = `${file}.corrupt-${Date.now()}`;
+        fs.renameSync(file, aside);
+        logger.error('Scoreboard database failed its integrity check; moved it aside', { file, movedTo: aside });
+        if (fs.existsSync(backupFile)) {
+            fs.copyFileSync(backupFile, file);
+            logger.warn('Scoreboard database restored from its backup', { file: backupFile });
+        }
+        database = new DatabaseSync(file);
+        if (!isHealthy(database)) throw new Error(`Scoreboard backup ${backupFile} is damaged too.`);
+        return database;
+    }
+
+    function insert(entry) {
+        const bucket = gameModes.bucketOf(entry);
+        db.prepare('INSERT INTO entries (player_key, username, score, mode, difficulty, timed, game_id, finished_at, data) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)')
+            .run(entry.playerKey || null, entry.username || null, entry.score, bucket.mode, bucket.difficulty, bucket.timed ? 1 : 0,
+                entry.gameId || null, entry.finishedAt || null, JSON.stringify(entry));
+    }
+
+    function transaction(work) {
+        db.exec('BEGIN IMMEDIATE');
+        try {
+            work();
+            db.exec('COMMIT');
+        } catch (err) {
+            db.exec('ROLLBACK');
+            throw err;
+        }
+    }
+
+    function migrate() {
+        const version = db.prepare('PRAGMA user_version').get().user_version;
+        if (version > SQL_MIGRATIONS.length) {
+            throw new Error(`Scoreboard database version ${version} is newer than this server understands (${SQL_MIGRATIONS.length}); update the game.`);
+        }
+        if (version === SQL_MIGRATIONS.length) return;
+        transaction(() => {
+            SQL_MIGRATIONS.slice(version).forEach(sql => db.exec(sql));
+            db.exec(`PRAGMA user_version = ${SQL_MIGRATIONS.length}`);
+            if (version === 0) {
+                // A new database starts with what the JSON scoreboard holds
+                const existing = readScoreboardFile(jsonFile);
+                if (existing) {
+                    existing.entries.forEach(insert);
+                    logger.info('Scoreboard database created from the JSON scoreboard', { file: jsonFile, entries: existing.entries.length });
+                }
+            }
+        });
+    }
+
+    // VACUUM INTO writes a consistent copy, even while the database is in use
+    function backup() {
+        const tmp = `${backupFile}.tmp`;
+        fs.rmSync(tmp, { force: true });
+        db.prepare('VACUUM INTO ?').run(tmp);
+        fs.renameSync(tmp, backupFile);
+        lastBackupAt = Date.now();
+    }
+
+    function backupIfDue() {
+        if (Date.now() - lastBackupAt < SQLITE_BACKUP_INTERVAL_MS) return;
+        try {
+            backup();
+        } catch (err) {
+            logger.error('Could not back up the scoreboard database', { err });
+        }
+    }
+
+    db = open();
+    db.exec('PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000;');
+    migrate();
+    backup();
+
+    return {
+        backend: 'sqlite',
+        list() {
+            return db.prepare('SELECT data FROM entries ORDER BY score DESC, id').all().map(row => JSON.parse(row.data));
+        },
+        count() {
+            return Number(db.prepare('SELECT COUNT(*) AS total FROM entries').get().total);
+        },
+        add(entry) {
+            insert(entry);
+            backupIfDue();
+        },
+        reassignPlayer(fromKey, toKey, username) {
+            const result = db.prepare(`UPDATE entries SET player_key = ?, username = ?,
+                data = json_set(data, '$.playerKey', ?, '$.username', ?) WHERE player_key = ?`)
+                .run(toKey, username, toKey, username, fromKey);
+            return Number(result.changes);
+        },
+        close() {
+            db.close();
+        }
+    };
+}
+
+/*
+ * A scoreboard store: { backend, list(), count(), add(entry),
+ * reassignPlayer(fromKey, toKey, username), close() }. list() is sorted by
+ * score, best first.
+ * Options: store ("json" or "sqlite"), file, sqliteFile.
+ */
+function createScoreboardStore(options) {
+    const opts = Object.assign({}, config.scoreboard, options);
+    if (opts.store === 'sqlite') return createSqliteStore(opts.sqliteFile, opts.file);
+    if (opts.store !== 'json') throw new Error(`Unknown SCOREBOARD_STORE "${opts.store}" (use json or sqlite).`);
+    return createJsonStore(opts.file);
+}
+
+let defaultStore = null;
+
+// The configured store, opened (checked, migrated or recovered) on first use
+function openScoreboard() {
+    if (!defaultStore) defaultStore = createScoreboardStore();
+    return defaultStore;
+}
+
+function loadScoreboard() {
+    return openScoreboard().list();
+}
+
+function addEntry(entry) {
+    openScoreboard().add(entry);
+}
+
+function reassignPlayer(fromKey, toKey, username) {
+    return openScoreboard().reassignPlayer(fromKey, toKey, username);
+}
+
+module.exports = {
+    SCOREBOARD_FILE,
+    SCHEMA_VERSION,
+    createScoreboardStore,
+    openScoreboard,
+    loadScoreboard,
+    addEntry,
+    reassignPlayer
+};
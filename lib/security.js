@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const querystring = require('querystring');
+const config = require('./config');
+const { GameError } = require('./errors');
+const { readBody, sendJson } = require('./http-utils');
+const { translate, errorMessage } = require('./i18n');
+
+/*
+ * Protections every request goes through before its handler:
+ *   - security headers on every response, with a Content-Security-Policy whose
+ *     per-response nonce (res.cspNonce) marks the page's own inline scripts;
+ *     Google Sign-In's script, frames and styles are allowed
+ *   - state-changing requests (POST, PUT, PATCH, DELETE) have their body read
+ *     up front, at most MAX_BODY_KB (413 otherwise), into req.rawBody
+ *   - and must carry the CSRF token of the page they came from, in the `_csrf`
+ *     form field or the X-CSRF-Token header. Signed-in players have one token
+ *     per session; before login the token sits in a `csrf` cookie and the form
+ *     sends it back (double submit). Requests with an Authorization: Bearer
+ *     header are not checked: other sites cannot make a browser send one.
+ *     API calls made before login must be JSON, which other sites cannot send
+ *     without CORS.
+ *     Cross-site requests (Origin, Sec-Fetch-Site) are refused outright.
+ *   - cookies get SameSite and, on HTTPS deployments, Secure (setCookie)
+ */
+
+const CSRF_FIELD = '_csrf';
+const CSRF_HEADER = 'x-csrf-token';
+const CSRF_COOKIE = 'csrf';
+const STATE_CHANGING = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+const GSI = 'https://accounts.google.com/gsi';
+const HSTS_MAX_AGE = 180 * 24 * 60 * 60;
+
+function newToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+// Whether the request reached us over HTTPS, directly or through a trusted proxy
+function isSecureRequest(req) {
+    if (req.socket && req.socket.encrypted) return true;
+    if (!config.rateLimit.trustProxy) return false;
+    return String(req.headers['x-forwarded-proto'] || '').split(',')[0].trim().toLowerCase() === 'https';
+}
+
+function secureCookies(req) {
+    const setting = config.security.secureCookies;
+    if (setting === 'true') return true;
+    if (setting === 'false') return false;
+    return Boolean(req) && isSecureRequest(req);
+}
+
+// Add a cookie to the response, next to any set earlier
+function setCookie(res, name, value, options) {
+    const opts = Object.assign({ httpOnly: true }, options);
+    const parts = [`${name}=${encodeURIComponent(value)}`, 'Path=/'];
+    if (opts.maxAge !== undefined) parts.push(`Max-Age=${opts.maxAge}`);
+    if (opts.httpOnly) parts.push('HttpOnly');
+    parts.push(`SameSite=${config.security.sameSite}`);
+    if (secureCookies(res.req)) parts.push('Secure');
+    const existing = res.getHeader('Set-Cookie');
+    res.setHeader('Set-Cookie', [].concat(existing || [], parts.join('; ')));
+}
+
+function clearCookie(res, name) {
+    setCookie(res, name, '', { maxAge: 0 });
+}
+
+function contentSecurityPolicy(nonce) {
+    return [
+        "default-src 'self'",
+        `script-src 'self' 'nonce-${nonce}' ${GSI}/client`,
+        `style-src 'self' ${GSI}/style https://fonts.googleapis.com`,
+        "font-src 'self' https://fonts.gstatic.com",
+        "img-src 'self' data: https://*.googleusercontent.com",
+        `connect-src 'self' ${GSI}/`,
+        `frame-src ${GSI}/`,
+        "object-src 'none'",
+        "base-uri 'self'",
+        "form-action 'self'",
+        "frame-ancestors 'none'"
+    ].join('; ');
+}
+
+// Headers for every response; the nonce is kept on res.cspNonce for the templates
+function setSecurityHeaders(req, res) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    res.cspNonce = nonce;
+    res.setHeader('Content-Security-Policy', contentSecurityPolicy(nonce));
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+    // Google Sign-In talks to its popup
+    res.setHeader('Cross-Origin-Opener-Policy', 'same-origin-allow-popups');
+    res.setHeader('Permissions-Policy', 'camera=(), microphone=(), geolocation=()');
+    if (isSecureRequest(req)) res.setHeader('Strict-Transport-Security', `max-age=${HSTS_MAX_AGE}`);
+}
+
+function tokensMatch(sent, expected) {
+    if (typeof sent !== 'string' || typeof expected !== 'string' || sent.length !== expected.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected));
+}
+
+// Sent by another site: the browser says so in Origin or Sec-Fetch-Site
+function isCrossSite(req) {
+    if (req.headers['sec-fetch-site'] === 'cross-site') return true;
+    const origin = req.headers.origin;
+    if (!origin) return false;
+    try {
+        return new URL(origin).host !== req.headers.host;
+    } catch (err) {
+        return true;
+    }
+}
+
+function isJsonRequest(req) {
+    return /^application\/json\b/i.test(String(req.headers['content-type'] || ''));
+}
+
+function submittedToken(req) {
+    if (req.headers[CSRF_HEADER]) return String(req.headers[CSRF_HEADER]);
+    if (/^application\/x-www-form-urlencoded\b/i.test(String(req.headers['content-type'] || ''))) {
+        const field = querystring.parse(req.rawBody || '')[CSRF_FIELD];
+        return Array.isArray(field) ? field[0] : field;
+    }
+    return undefined;
+}
+
+function csrfError() {
+    return new GameError(403, 'csrf_failed', 'Yêu cầu không hợp lệ hoặc trang đã cũ. Vui lòng tải lại trang rồi thử lại.');
+}
+
+/*
+ * The request guard. deps: { sessionStore, renderView, apiPrefix }.
+ * guard(req, res, ctx) resolves to true when the handlers may go on; otherwise
+ * it has answered already. ctx needs { pathname, session, sessionId, cookies, locale }.
+ */
+function createSecurityLayer(deps) {
+    const { sessionStore, renderView, apiPrefix } = deps;
+
+    function isApi(ctx) {
+        return ctx.pathname === apiPrefix || ctx.pathname.startsWith(`${apiPrefix}/`);
+    }
+
+    // The session came from our cookie (not from a Bearer token)
+    function cookieSession(ctx) {
+        return Boolean(ctx.session) && ctx.cookies.sessionId === ctx.sessionId;
+    }
+
+    function sessionToken(session) {
+        if (!session.csrfToken) {
+            session.csrfToken = newToken();
+            sessionStore.save();
+        }
+        return session.csrfToken;
+    }
+
+    // Token the forms of this page send back; created when first needed
+    function tokenFor(res, ctx) {
+        if (cookieSession(ctx)) return sessionToken(ctx.session);
+        let token = ctx.cookies[CSRF_COOKIE];
+        if (!TOKEN_PATTERN.test(token || '')) {
+            token = newToken();
+            setCookie(res, CSRF_COOKIE, token);
+            ctx.cookies[CSRF_COOKIE] = token;
+        }
+        return token;
+    }
+
+    function checkCsrf(req, ctx) {
+        if (/^Bearer\s/i.test(String(req.headers.authorization || ''))) return;
+        if (isCrossSite(req)) throw csrfError();
+        if (isApi(ctx) && !cookieSession(ctx)) {
+            if (!isJsonRequest(req)) throw csrfError();
+            return;
+        }
+        const expected = cookieSession(ctx) ? ctx.session.csrfToken : ctx.cookies[CSRF_COOKIE];
+        if (!tokensMatch(submittedToken(req), expected)) throw csrfError();
+    }
+
+    function reject(req, res, ctx, err) {
+        if (err.status === 413) {
+            // Stop taking the rest of the upload
+            res.setHeader('Connection', 'close');
+            res.on('finish', () => req.destroy());
+        }
+        const message = errorMessage(err, ctx.locale);
+        if (isApi(ctx) || isJsonRequest(req)) {
+            sendJson(res, err.status, { error: { code: err.code, message } });
+            return;
+        }
+        renderView(res, err.status, 'message.html', {
+            username: ctx.session ? ctx.session.username : null,
+            title: translate(ctx.locale, 'common.error'),
+            message,
+            backUrl: ctx.session ? '/' : '/login'
+        });
+    }
+
+    async function guard(req, res, ctx) {
+        res.csrfToken = () => tokenFor(res, ctx);
+        if (!STATE_CHANGING.has(req.method)) return true;
+        try {
+            await readBody(req, config.security.maxBodyBytes);
+            checkCsrf(req, ctx);
+            return true;
+        } catch (err) {
+            if (!(err instanceof GameError)) throw err;
+            reject(req, res, ctx, err);
+            return false;
+        }
+    }
+
+    return { guard };
+}
+
+module.exports = {
+    CSRF_FIELD,
+    CSRF_HEADER,
+    isSecureRequest,
+    setCookie,
+    clearCookie,
+    setSecurityHeaders,
+    createSecurityLayer
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { readJson, createDebouncedWriter } = require('./json-file');
+
+/*
+ * File-backed session store. Sessions live in memory for fast access and are
+ * flushed to a JSON file (debounced) whenever they change, so a restart picks
+ * up every signed-in player together with the game they had in progress.
+ *
+ * Each stored session looks like
+ *   { username, user, game, lastOutcome, createdAt, lastSeenAt }
+ * (`lastOutcome` is the result of the last game ended from the web pages)
+ * and expires after `idleTtlMs` without a request or `absoluteTtlMs` after it
+ * was created, whichever comes first. `lastSeenAt` only moves (and the file is
+ * only rewritten for it) once a minute, not on every request.
+ */
+
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+function generateSessionId() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function createFileSessionStore(options) {
+    const file = options.file;
+    const idleTtlMs = options.idleTtlMs;
+    const absoluteTtlMs = options.absoluteTtlMs;
+    const sessions = new Map(Object.entries(readJson(file, {})));
+    const writer = createDebouncedWriter(file, () => Object.fromEntries(sessions), 'sessions');
+
+    function isExpired(session, now) {
+        if (!session || !session.createdAt) return true;
+        if (now - session.lastSeenAt > idleTtlMs) return true;
+        return now - session.createdAt > absoluteTtlMs;
+    }
+
+    // Mark the store dirty; the write happens shortly after the last change
+    function save() {
+        writer.schedule();
+    }
+
+    function create(data) {
+        const now = Date.now();
+        const id = generateSessionId();
+        sessions.set(id, Object.assign({ game: null }, data, { createdAt: now, lastSeenAt: now }));
+        save();
+        return id;
+    }
+
+    // Returns the live session object (mutate it, then call save) or null
+    function get(id) {
+        if (!id || !sessions.has(id)) return null;
+        const session = sessions.get(id);
+        const now = Date.now();
+        if (isExpired(session, now)) {
+            sessions.delete(id);
+            save();
+            return null;
+        }
+        if (now - session.lastSeenAt >= LAST_SEEN_RESOLUTION_MS) {
+            session.lastSeenAt = now;
+            save();
+        }
+        return session;
+    }
+
+    function destroy(id) {
+        if (sessions.delete(id)) save();
+    }
+
+    // Sign out every session matching `predicate(session)`; returns how many were removed
+    function destroyWhere(predicate) {
+        let removed = 0;
+        sessions.forEach((session, id) => {
+            if (predicate(session)) {
+                sessions.delete(id);
+                removed += 1;
+            }
+        });
+        if (removed > 0) save();
+        return removed;
+    }
+
+    // Sessions not yet expired, and how many of them have a game in progress
+    function activity() {
+        const now = Date.now();
+        let active = 0;
+        let playing = 0;
+        sessions.forEach(session => {
+            if (isExpired(session, now)) return;
+            active += 1;
+            if (session.game) playing += 1;
+        });
+        return { active, playing };
+    }
+
+    // Drop every expired session; returns how many were removed
+    function cleanup() {
+        const now = Date.now();
+        let removed = 0;
+        sessions.forEach((session, id) => {
+            if (isExpired(session, now)) {
+                sessions.delete(id);
+                removed += 1;
+            }
+        });
+        if (removed > 0) save();
+        return removed;
+    }
+
+    cleanup();
+    const cleanupTimer = setInterval(cleanup, options.cleanupIntervalMs);
+    cleanupTimer.unref();
+
+    return {
+        maxAgeSeconds: Math.floor(absoluteTtlMs / 1000),
+        create,
+        get,
+        save,
+        destroy,
+        destroyWhere,
+        cleanup,
+        activity,
+        flush: writer.flush,
+        count: () => sessions.size
+    };
+}
+
+module.exports = { createFileSessionStore, generateSessionId };
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const logger = require('./logger');
+
+/*
+ * Files under static/, served at /static/:
+ *   - paths are resolved inside the static root (after following symlinks);
+ *     `..`, encoded separators, NUL bytes and dot files are refused
+ *   - GET and HEAD only, Content-Type from the extension
+ *   - ETag and Last-Modified, answered with 304 when the browser's copy is current
+ *   - Cache-Control with STATIC_MAX_AGE_SECONDS; URLs carrying ?v= are immutable
+ *   - text formats are sent brotli- or gzip-compressed when the browser accepts
+ *     it: a precompressed `name.br` / `name.gz` next to the file is used when
+ *     newer than the file, otherwise the compressed bytes are kept in memory
+ *   - single byte ranges (Range / If-Range) for media, on uncompressed responses
+ */
+
+const MIME_TYPES = {
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.html': 'text/html; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.wav': 'audio/wav',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.pdf': 'application/pdf',
+    '.wasm': 'application/wasm'
+};
+const DEFAULT_TYPE = 'application/octet-stream';
+// Types worth compressing; images, fonts and media are compressed already
+const COMPRESSIBLE = /^(text\/|application\/(json|manifest\+json|xml|javascript)|image\/svg\+xml)/;
+// Preferred first
+const ENCODINGS = [
+    { name: 'br', ext: '.br', compress: buffer => zlib.brotliCompressSync(buffer) },
+    { name: 'gzip', ext: '.gz', compress: buffer => zlib.gzipSync(buffer) }
+];
+// Files compressed on the fly are read into memory, so only small ones are
+const MAX_COMPRESS_BYTES = 1024 * 1024;
+const MAX_COMPRESSED_ENTRIES = 100;
+const IMMUTABLE_MAX_AGE = 365 * 24 * 60 * 60;
+
+function contentTypeOf(filePath) {
+    return MIME_TYPES[path.extname(filePath).toLowerCase()] || DEFAULT_TYPE;
+}
+
+/*
+ * Absolute path of the file a URL path names, or null when it would leave the
+ * root or is not a plain file name.
+ */
+function resolveInside(root, relativeUrlPath) {
+    let segments;
+    try {
+        segments = relativeUrlPath.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (err) {
+        return null;
+    }
+    const refused = segment => segment.startsWith('.') || /[\/\\\0]/.test(segment);
+    if (segments.length === 0 || segments.some(refused)) return null;
+    const filePath = path.resolve(root, ...segments);
+    return isInside(root, filePath) ? filePath : null;
+}
+
+function isInside(root, filePath) {
+    return filePath.startsWith(root + path.sep);
+}
+
+function etagOf(stat, suffix) {
+    return `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}${suffix || ''}"`;
+}
+
+// Whether the browser's cached copy is still current
+function isNotModified(req, etag, stat) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        return ifNoneMatch.split(',').map(tag => tag.trim()).some(tag => tag === etag || tag === '*');
+    }
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    return Number.isFinite(ifModifiedSince) && Math.floor(stat.mtimeMs / 1000) * 1000 <= ifModifiedSince;
+}
+
+// Encodings in the browser's Accept-Encoding, without the ones it refuses with q=0
+function acceptedEncodings(req) {
+    const accepted = new Set();
+    String(req.headers['accept-encoding'] || '').split(',').forEach(part => {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+        if (name && !(q && Number(q.slice(2)) === 0)) accepted.add(name);
+    });
+    return accepted;
+}
+
+/*
+ * { start, end } of a single `bytes=` range, 'unsatisfiable', or null when the
+ * header is missing or not understood (the whole file is sent then).
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+    let start;
+    let end;
+    if (match[1] === '') {
+        start = Math.max(0, size - Number(match[2]));
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+    if (start >= size || start > end) return 'unsatisfiable';
+    return { start, end };
+}
+
+// If-Range: the range applies only to the version the browser already has part of
+function rangeStillValid(req, etag, stat) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) return true;
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return ifRange === etag;
+    const date = Date.parse(ifRange);
+    return Number.isFinite(date) && Math.floor(stat.mtimeMs / 1000) * 1000 <= date;
+}
+
+function statFile(filePath) {
+    return fs.promises.stat(filePath).then(stat => (stat.isFile() ? stat : null), () => null);
+}
+
+function createStaticHandler(options) {
+    const opts = options || {};
+    const prefix = opts.prefix || '/static/';
+    const maxAge = opts.maxAgeSeconds === undefined ? 3600 : opts.maxAgeSeconds;
+    let root = path.resolve(opts.root);
+    try {
+        root = fs.realpathSync(root);
+    } catch (err) {
+        // A missing root serves nothing; every request gets 404
+    }
+    // `${path}:${encoding}` → { mtimeMs, body }
+    const compressed = new Map();
+
+    function sendPlain(res, statusCode, text, headers) {
+        res.writeHead(statusCode, Object.assign({ 'Content-Type': 'text/plain; charset=utf-8' }, headers));
+        res.end(text);
+    }
+
+    // A symlink inside the root may still point outside it
+    async function realFile(filePath) {
+        try {
+            const real = await fs.promises.realpath(filePath);
+            return isInside(root, real) ? real : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // Precompressed sibling or in-memory copy: { body | path, size } or null
+    async function compressedVariant(filePath, stat, encoding) {
+        const sibling = await statFile(filePath + encoding.ext);
+        if (sibling && sibling.mtimeMs >= stat.mtimeMs) return { path: filePath + encoding.ext, size: sibling.size };
+        if (stat.size > MAX_COMPRESS_BYTES) return null;
+        const key = `${filePath}:${encoding.name}`;
+        const cached = compressed.get(key);
+        if (cached && cached.mtimeMs === stat.mtimeMs) return { body: cached.body, size: cached.body.length };
+        const body = encoding.compress(await fs.promises.readFile(filePath));
+        if (compressed.size >= MAX_COMPRESSED_ENTRIES) compressed.delete(compressed.keys().next().value);
+        compressed.set(key, { mtimeMs: stat.mtimeMs, body });
+        return { body, size: body.length };
+    }
+
+    async function serve(req, res, ctx) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendPlain(res, 405, 'Method Not Allowed', { Allow: 'GET, HEAD' });
+            return;
+        }
+        const candidate = resolveInside(root, ctx.pathname.slice(prefix.length));
+        const filePath = candidate ? await realFile(candidate) : null;
+        const stat = filePath ? await statFile(filePath) : null;
+        if (!stat) {
+            sendPlain(res, 404, 'Not Found');
+            return;
+        }
+        const type = contentTypeOf(filePath);
+        const compressible = COMPRESSIBLE.test(type);
+        const accepted = compressible ? acceptedEncodings(req) : new Set();
+        const encoding = ENCODINGS.find(candidateEncoding => accepted.has(candidateEncoding.name));
+        const variant = encoding ? await compressedVariant(filePath, stat, encoding) : null;
+        const etag = etagOf(stat, variant ? `-${encoding.name}` : '');
+        const versioned = Boolean(ctx.query && ctx.query.v);
+        const headers = {
+            'Content-Type': type,
+            'Last-Modified': stat.mtime.toUTCString(),
+            ETag: etag,
+            'Cache-Control': versioned ? `public, max-age=${IMMUTABLE_MAX_AGE}, immutable` : `public, max-age=${maxAge}`,
+            'X-Content-Type-Options': 'nosniff'
+        };
+        if (compressible) headers.Vary = 'Accept-Encoding';
+        if (!variant) headers['Accept-Ranges'] = 'bytes';
+
+        if (isNotModified(req, etag, stat)) {
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+
+        if (variant) {
+            headers['Content-Encoding'] = encoding.name;
+            headers['Content-Length'] = variant.size;
+            res.writeHead(200, headers);
+            if (req.method === 'HEAD') res.end();
+            else if (variant.body) res.end(variant.body);
+            else fs.createReadStream(variant.path).on('error', () => res.destroy()).pipe(res);
+            return;
+        }
+
+        let statusCode = 200;
+        let start = 0;
+        let end = stat.size - 1;
+        const range = req.headers.range && rangeStillValid(req, etag, stat) ? parseRange(req.headers.range, stat.size) : null;
+        if (range === 'unsatisfiable') {
+            sendPlain(res, 416, 'Range Not Satisfiable', { 'Content-Range': `bytes */${stat.size}` });
+            return;
+        }
+        if (range) {
+            statusCode = 206;
+            start = range.start;
+            end = range.end;
+            headers['Content-Range'] = `bytes ${start}-${end}/${stat.size}`;
+        }
+        headers['Content-Length'] = stat.size === 0 ? 0 : end - start + 1;
+        res.writeHead(statusCode, headers);
+        if (req.method === 'HEAD' || stat.size === 0) {
+            res.end();
+            return;
+        }
+        fs.createReadStream(filePath, { start, end }).on('error', () => res.destroy()).pipe(res);
+    }
+
+    return function handleStaticRequest(req, res, ctx) {
+        if (!ctx.pathname.startsWith(prefix)) return false;
+        serve(req, res, ctx).catch(err => {
+            logger.error('Static file error', { err });
+            if (!res.headersSent) sendPlain(res, 500, 'Internal Server Error');
+            else res.destroy();
+        });
+        return true;
+    };
+}
+
+module.exports = {
+    MIME_TYPES,
+    contentTypeOf,
+    resolveInside,
+    parseRange,
+    createStaticHandler
+};
@@ -0,0 +1,169 @@
+const config = require('./config');
+const logger = require('./logger');
+const { compileExpression } = require('./template');
+const { translate } = require('./i18n');
+
+/*
+ * Religion indicators besides the follower count. Every indicator lives on a
+ * 0-100 scale in `game.stats`; each round the evaluator proposes a delta for
+ * every indicator and applyRound() turns those into the new state, including
+ * the knock-on effects between indicators.
+ */
+
+const STATS = [
+    { key: 'stateTrust', label: 'Uy tín với Nhà nước', initial: 60 },
+    { key: 'finances', label: 'Tài chính', initial: 50 },
+    { key: 'cohesion', label: 'Gắn kết cộng đồng', initial: 50 },
+    { key: 'contribution', label: 'Đóng góp xã hội', initial: 30 }
+];
+const STAT_KEYS = STATS.map(stat => stat.key);
+const STAT_MIN = 0;
+const STAT_MAX = 100;
+const DELTA_LIMIT = 20;
+
+// Below these levels the indicators start hurting the religion
+const LOW_FINANCES = 30;
+const LOW_TRUST = 40;
+const LOW_COHESION = 25;
+const HIGH_CONTRIBUTION = 70;
+
+function clampNumber(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function initialStats() {
+    const stats = {};
+    STATS.forEach(stat => { stats[stat.key] = stat.initial; });
+    return stats;
+}
+
+// Keep only numeric indicator deltas, rounded and bounded to ±DELTA_LIMIT
+function normalizeDeltas(raw) {
+    const deltas = {};
+    STAT_KEYS.forEach(key => {
+        const value = raw && typeof raw[key] === 'number' && Number.isFinite(raw[key]) ? raw[key] : 0;
+        deltas[key] = Math.round(clampNumber(value, -DELTA_LIMIT, DELTA_LIMIT));
+    });
+    return deltas;
+}
+
+/*
+ * Apply one evaluated round to the game. Returns
+ *   { followerChange, deltas, effects: [text], sanction }
+ * where `deltas` are the indicator changes actually applied and `effects` are
+ * written in `options.locale`. `options.caps` ({ gain, loss }) bounds the
+ * evaluated follower change; `options.random` replaces Math.random.
+ */
+function applyRound(game, result, options) {
+    const opts = options || {};
+    const rng = opts.random || Math.random;
+    if (!game.stats) game.stats = initialStats();
+    const before = Object.assign({}, game.stats);
+    const proposed = normalizeDeltas(result.deltas);
+    const effects = [];
+    let followerChange = result.change;
+
+    // The game's difficulty bounds how far followers move in one round
+    if (opts.caps) {
+        const bounded = clampNumber(followerChange, -opts.caps.loss, opts.caps.gain);
+        if (bounded !== followerChange) {
+            effects.push(translate(opts.locale, 'effects.capped', { capped: bounded, original: followerChange }));
+            followerChange = bounded;
+        }
+    }
+
+    STAT_KEYS.forEach(key => {
+        game.stats[key] = clampNumber(game.stats[key] + proposed[key], STAT_MIN, STAT_MAX);
+    });
+
+    // Low finances cap how much the religion can grow
+    if (followerChange > 0 && game.stats.finances < LOW_FINANCES) {
+        const factor = 0.25 + 0.75 * (game.stats.finances / LOW_FINANCES);
+        const capped = Math.round(followerChange * factor);
+        if (capped < followerChange) {
+            effects.push(translate(opts.locale, 'effects.lowFinances', { capped, original: followerChange }));
+            followerChange = capped;
+        }
+    }
+
+    // Weak cohesion makes followers drift away
+    if (game.stats.cohesion < LOW_COHESION) {
+        const attrition = Math.round(Math.max(0, game.followers + followerChange) * 0.05);
+        if (attrition > 0) {
+            followerChange -= attrition;
+            effects.push(translate(opts.locale, 'effects.attrition', { count: attrition }));
+        }
+    }
+
+    // Strong social contribution slowly earns the State's trust
+    if (game.stats.contribution >= HIGH_CONTRIBUTION && game.stats.stateTrust < STAT_MAX) {
+        game.stats.stateTrust = clampNumber(game.stats.stateTrust + 2, STAT_MIN, STAT_MAX);
+        effects.push(translate(opts.locale, 'effects.contribution'));
+    }
+
+    // Low trust with the State raises the risk of administrative sanctions
+    let sanction = false;
+    if (game.stats.stateTrust < LOW_TRUST) {
+        const risk = ((LOW_TRUST - game.stats.stateTrust) / LOW_TRUST) * 0.5;
+        if (rng() < risk) {
+            sanction = true;
+            const lost = Math.round(Math.max(0, game.followers + followerChange) * 0.15);
+            followerChange -= lost;
+            game.stats.finances = clampNumber(game.stats.finances - 10, STAT_MIN, STAT_MAX);
+            game.stats.cohesion = clampNumber(game.stats.cohesion - 5, STAT_MIN, STAT_MAX);
+            effects.push(translate(opts.locale, 'effects.sanction', { lost }));
+        }
+    }
+
+    if (game.followers + followerChange < 0) followerChange = -game.followers;
+    const deltas = {};
+    STAT_KEYS.forEach(key => { deltas[key] = game.stats[key] - before[key]; });
+    return { followerChange, deltas, effects, sanction };
+}
+
+const scoreFormula = compileExpression(config.scoring.formula);
+
+// Final score from SCORE_FORMULA; a violation always scores 0
+function computeScore(game) {
+    if (game.lastFeedback && game.lastFeedback.violation) return 0;
+    const stats = game.stats || initialStats();
+    const values = Object.assign({}, stats, {
+        followers: game.followers,
+        min: Math.min,
+        max: Math.max,
+        round: Math.round,
+        floor: Math.floor
+    });
+    let score;
+    try {
+        score = Number(scoreFormula(values));
+    } catch (err) {
+        logger.error('SCORE_FORMULA failed, falling back to followers', { err });
+        score = game.followers;
+    }
+    return Number.isFinite(score) ? Math.max(0, Math.round(score)) : game.followers;
+}
+
+// Remarks on the final indicators for the end screen, in `locale`
+function outcomeNotes(game, locale) {
+    const stats = game.stats || initialStats();
+    const keys = [];
+    if (stats.stateTrust < LOW_TRUST) keys.push('lowTrust');
+    else if (stats.stateTrust >= 80) keys.push('highTrust');
+    if (stats.finances < LOW_FINANCES) keys.push('lowFinances');
+    if (stats.cohesion < LOW_COHESION) keys.push('lowCohesion');
+    else if (stats.cohesion >= 80) keys.push('highCohesion');
+    if (stats.contribution >= HIGH_CONTRIBUTION) keys.push('highContribution');
+    return keys.map(key => translate(locale, `outcome.notes.${key}`));
+}
+
+module.exports = {
+    STATS,
+    STAT_KEYS,
+    DELTA_LIMIT,
+    initialStats,
+    normalizeDeltas,
+    applyRound,
+    computeScore,
+    outcomeNotes
+};
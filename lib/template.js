@@ -0,0 +1,712 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Small Jinja-flavoured template engine for the files in templates/.
+ *
+ * Supported syntax:
+ *   {{ expr }}                       output, HTML-escaped unless marked safe
+ *   {{ expr | filter(arg) }}         filters (see FILTERS below)
+ *   {% extends 'base.html' %}        template inheritance with
+ *   {% block name %}...{% endblock %}  overridable blocks
+ *   {% include 'partial.html' %}     render another template with the current context
+ *   {% if expr %}...{% elif expr %}...{% else %}...{% endif %}
+ *   {% for x in list %}...{% else %}...{% endfor %}   (loop.index, loop.first, ...)
+ *   {% for key, value in object %}
+ *   {% set name = expr %}
+ *   {# comment #}
+ * A dash inside a delimiter ({%- or -%}) trims the whitespace on that side.
+ *
+ * Expressions: literals, names, attribute/index access, calls, comparisons,
+ * `and`/`or`/`not`, `in`, arithmetic, `~` string concatenation, list and
+ * object literals, and `a if cond else b`.
+ */
+
+class TemplateError extends Error {
+    constructor(message, templateName) {
+        super(templateName ? `${templateName}: ${message}` : message);
+        this.name = 'TemplateError';
+    }
+}
+
+// Value that is written out without escaping
+class SafeString {
+    constructor(value) {
+        this.value = String(value);
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+function markSafe(value) {
+    return value instanceof SafeString ? value : new SafeString(value === undefined || value === null ? '' : value);
+}
+
+function escapeHtml(value) {
+    if (value === undefined || value === null) return '';
+    if (value instanceof SafeString) return value.value;
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+// JSON that can be dropped inside a <script> element
+function toScriptJson(value) {
+    const json = JSON.stringify(value === undefined ? null : value);
+    return json
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value instanceof SafeString) return value.value.length > 0;
+    return Boolean(value);
+}
+
+function toText(value) {
+    if (value === undefined || value === null) return '';
+    return String(value);
+}
+
+const FILTERS = {
+    safe: value => markSafe(value),
+    escape: value => markSafe(escapeHtml(value)),
+    e: value => markSafe(escapeHtml(value)),
+    default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+    length: value => (value && typeof value.length === 'number' ? value.length : (value && typeof value === 'object' ? Object.keys(value).length : 0)),
+    join: (value, sep) => (Array.isArray(value) ? value.map(toText).join(sep === undefined ? '' : sep) : toText(value)),
+    upper: value => toText(value).toUpperCase(),
+    lower: value => toText(value).toLowerCase(),
+    trim: value => toText(value).trim(),
+    tojson: value => markSafe(toScriptJson(value)),
+    urlencode: value => encodeURIComponent(toText(value)),
+    first: value => (Array.isArray(value) ? value[0] : undefined),
+    last: value => (Array.isArray(value) ? value[value.length - 1] : undefined),
+    signed: value => (Number(value) > 0 ? `+${value}` : toText(value)),
+    number: value => (typeof value === 'number' ? value.toLocaleString('vi-VN') : toText(value))
+};
+
+/* ---------- expression tokenizer and parser ---------- */
+
+const PUNCTUATORS = ['==', '!=', '<=', '>=', '(', ')', '[', ']', '{', '}', '.', ',', ':', '|', '<', '>', '+', '-', '*', '/', '%', '~', '='];
+
+function tokenizeExpression(src, templateName) {
+    const tokens = [];
+    let i = 0;
+    while (i < src.length) {
+        const ch = src[i];
+        if (/\s/.test(ch)) {
+            i += 1;
+            continue;
+        }
+        if (ch === '"' || ch === "'") {
+            let j = i + 1;
+            let value = '';
+            while (j < src.length && src[j] !== ch) {
+                if (src[j] === '\\' && j + 1 < src.length) {
+                    const next = src[j + 1];
+                    value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+                    j += 2;
+                } else {
+                    value += src[j];
+                    j += 1;
+                }
+            }
+            if (j >= src.length) throw new TemplateError(`Unterminated string in "${src}"`, templateName);
+            tokens.push({ type: 'string', value });
+            i = j + 1;
+            continue;
+        }
+        const numMatch = src.slice(i).match(/^\d+(\.\d+)?/);
+        if (numMatch) {
+            tokens.push({ type: 'number', value: Number(numMatch[0]) });
+            i += numMatch[0].length;
+            continue;
+        }
+        const nameMatch = src.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+        if (nameMatch) {
+            tokens.push({ type: 'name', value: nameMatch[0] });
+            i += nameMatch[0].length;
+            continue;
+        }
+        const punct = PUNCTUATORS.find(p => src.startsWith(p, i));
+        if (!punct) throw new TemplateError(`Unexpected character "${ch}" in "${src}"`, templateName);
+        tokens.push({ type: 'punct', value: punct });
+        i += punct.length;
+    }
+    return tokens;
+}
+
+function parseExpression(src, templateName) {
+    const tokens = tokenizeExpression(src, templateName);
+    let pos = 0;
+
+    function peek(offset) {
+        return tokens[pos + (offset || 0)];
+    }
+    function isPunct(value, offset) {
+        const tok = peek(offset);
+        return tok && tok.type === 'punct' && tok.value === value;
+    }
+    function isName(value, offset) {
+        const tok = peek(offset);
+        return tok && tok.type === 'name' && tok.value === value;
+    }
+    function expectPunct(value) {
+        if (!isPunct(value)) throw new TemplateError(`Expected "${value}" in "${src}"`, templateName);
+        pos += 1;
+    }
+
+    function parseConditional() {
+        const expr = parseOr();
+        if (isName('if')) {
+            pos += 1;
+            const test = parseOr();
+            let alternate = { type: 'literal', value: undefined };
+            if (isName('else')) {
+                pos += 1;
+                alternate = parseConditional();
+            }
+            return { type: 'conditional', test, consequent: expr, alternate };
+        }
+        return expr;
+    }
+    function parseOr() {
+        let left = parseAnd();
+        while (isName('or')) {
+            pos += 1;
+            left = { type: 'or', left, right: parseAnd() };
+        }
+        return left;
+    }
+    function parseAnd() {
+        let left = parseNot();
+        while (isName('and')) {
+            pos += 1;
+            left = { type: 'and', left, right: parseNot() };
+        }
+        return left;
+    }
+    function parseNot() {
+        if (isName('not')) {
+            pos += 1;
+            return { type: 'not', arg: parseNot() };
+        }
+        return parseComparison();
+    }
+    function parseComparison() {
+        let left = parseConcat();
+        for (;;) {
+            const tok = peek();
+            if (tok && tok.type === 'punct' && ['==', '!=', '<', '>', '<=', '>='].includes(tok.value)) {
+                pos += 1;
+                left = { type: 'binary', op: tok.value, left, right: parseConcat() };
+            } else if (isName('in')) {
+                pos += 1;
+                left = { type: 'in', left, right: parseConcat() };
+            } else if (isName('not') && isName('in', 1)) {
+                pos += 2;
+                left = { type: 'not', arg: { type: 'in', left, right: parseConcat() } };
+            } else {
+                return left;
+            }
+        }
+    }
+    function parseConcat() {
+        let left = parseAdditive();
+        while (isPunct('~')) {
+            pos += 1;
+            left = { type: 'binary', op: '~', left, right: parseAdditive() };
+        }
+        return left;
+    }
+    function parseAdditive() {
+        let left = parseMultiplicative();
+        while (isPunct('+') || isPunct('-')) {
+            const op = peek().value;
+            pos += 1;
+            left = { type: 'binary', op, left, right: parseMultiplicative() };
+        }
+        return left;
+    }
+    function parseMultiplicative() {
+        let left = parseUnary();
+        while (isPunct('*') || isPunct('/') || isPunct('%')) {
+            const op = peek().value;
+            pos += 1;
+            left = { type: 'binary', op, left, right: parseUnary() };
+        }
+        return left;
+    }
+    function parseUnary() {
+        if (isPunct('-')) {
+            pos += 1;
+            return { type: 'negate', arg: parseUnary() };
+        }
+        return parseFiltered();
+    }
+    function parseFiltered() {
+        let expr = parsePostfix();
+        while (isPunct('|')) {
+            pos += 1;
+            const tok = peek();
+            if (!tok || tok.type !== 'name') throw new TemplateError(`Expected filter name in "${src}"`, templateName);
+            pos += 1;
+            const args = isPunct('(') ? parseArguments() : [];
+            expr = { type: 'filter', name: tok.value, target: expr, args };
+        }
+        return expr;
+    }
+    function parseArguments() {
+        expectPunct('(');
+        const args = [];
+        while (!isPunct(')')) {
+            args.push(parseConditional());
+            if (!isPunct(')')) expectPunct(',');
+        }
+        expectPunct(')');
+        return args;
+    }
+    function parsePostfix() {
+        let expr = parsePrimary();
+        for (;;) {
+            if (isPunct('.')) {
+                pos += 1;
+                const tok = peek();
+                if (!tok || (tok.type !== 'name' && tok.type !== 'number')) throw new TemplateError(`Expected attribute name in "${src}"`, templateName);
+                pos += 1;
+                expr = { type: 'member', object: expr, property: { type: 'literal', value: tok.value } };
+            } else if (isPunct('[')) {
+                pos += 1;
+                const property = parseConditional();
+                expectPunct(']');
+                expr = { type: 'member', object: expr, property };
+            } else if (isPunct('(')) {
+                expr = { type: 'call', callee: expr, args: parseArguments() };
+            } else {
+                return expr;
+            }
+        }
+    }
+    function parsePrimary() {
+        const tok = peek();
+        if (!tok) throw new TemplateError(`Unexpected end of expression "${src}"`, templateName);
+        pos += 1;
+        if (tok.type === 'string' || tok.type === 'number') return { type: 'literal', value: tok.value };
+        if (tok.type === 'name') {
+            if (tok.value === 'true' || tok.value === 'True') return { type: 'literal', value: true };
+            if (tok.value === 'false' || tok.value === 'False') return { type: 'literal', value: false };
+            if (tok.value === 'none' || tok.value === 'None' || tok.value === 'null') return { type: 'literal', value: null };
+            return { type: 'name', name: tok.value };
+        }
+        if (tok.value === '(') {
+            const expr = parseConditional();
+            expectPunct(')');
+            return expr;
+        }
+        if (tok.value === '[') {
+            const items = [];
+            while (!isPunct(']')) {
+                items.push(parseConditional());
+                if (!isPunct(']')) expectPunct(',');
+            }
+            expectPunct(']');
+            return { type: 'array', items };
+        }
+        if (tok.value === '{') {
+            const entries = [];
+            while (!isPunct('}')) {
+                const keyTok = peek();
+                if (!keyTok || (keyTok.type !== 'name' && keyTok.type !== 'string')) throw new TemplateError(`Expected object key in "${src}"`, templateName);
+                pos += 1;
+                expectPunct(':');
+                entries.push({ key: keyTok.value, value: parseConditional() });
+                if (!isPunct('}')) expectPunct(',');
+            }
+            expectPunct('}');
+            return { type: 'object', entries };
+        }
+        throw new TemplateError(`Unexpected "${tok.value}" in "${src}"`, templateName);
+    }
+
+    const ast = parseConditional();
+    if (pos < tokens.length) throw new TemplateError(`Unexpected "${peek().value}" in "${src}"`, templateName);
+    return ast;
+}
+
+function evaluate(node, scope, filters) {
+    switch (node.type) {
+    case 'literal':
+        return node.value;
+    case 'name':
+        return scope[node.name];
+    case 'member': {
+        const object = evaluate(node.object, scope, filters);
+        if (object === undefined || object === null) return undefined;
+        const key = evaluate(node.property, scope, filters);
+        const value = object[key];
+        return typeof value === 'function' ? value.bind(object) : value;
+    }
+    case 'call': {
+        const callee = evaluate(node.callee, scope, filters);
+        if (typeof callee !== 'function') return undefined;
+        return callee(...node.args.map(arg => evaluate(arg, scope, filters)));
+    }
+    case 'filter': {
+        const filter = filters[node.name];
+        if (!filter) throw new TemplateError(`Unknown filter "${node.name}"`);
+        return filter(evaluate(node.target, scope, filters), ...node.args.map(arg => evaluate(arg, scope, filters)));
+    }
+    case 'array':
+        return node.items.map(item => evaluate(item, scope, filters));
+    case 'object': {
+        const obj = {};
+        node.entries.forEach(entry => { obj[entry.key] = evaluate(entry.value, scope, filters); });
+        return obj;
+    }
+    case 'not':
+        return !isTruthy(evaluate(node.arg, scope, filters));
+    case 'and': {
+        const left = evaluate(node.left, scope, filters);
+        return isTruthy(left) ? evaluate(node.right, scope, filters) : left;
+    }
+    case 'or': {
+        const left = evaluate(node.left, scope, filters);
+        return isTruthy(left) ? left : evaluate(node.right, scope, filters);
+    }
+    case 'negate':
+        return -evaluate(node.arg, scope, filters);
+    case 'conditional':
+        return isTruthy(evaluate(node.test, scope, filters))
+            ? evaluate(node.consequent, scope, filters)
+            : evaluate(node.alternate, scope, filters);
+    case 'in': {
+        const needle = evaluate(node.left, scope, filters);
+        const haystack = evaluate(node.right, scope, filters);
+        if (Array.isArray(haystack) || typeof haystack === 'string') return haystack.includes(needle);
+        if (haystack && typeof haystack === 'object') return Object.prototype.hasOwnProperty.call(haystack, needle);
+        return false;
+    }
+    case 'binary': {
+        const left = evaluate(node.left, scope, filters);
+        const right = evaluate(node.right, scope, filters);
+        switch (node.op) {
+        case '==': return left === right;
+        case '!=': return left !== right;
+        case '<': return left < right;
+        case '>': return left > right;
+        case '<=': return left <= right;
+        case '>=': return left >= right;
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+        case '~': return toText(left) + toText(right);
+        default: break;
+        }
+        break;
+    }
+    default:
+        break;
+    }
+    throw new TemplateError(`Cannot evaluate expression node "${node.type}"`);
+}
+
+// Compile a standalone expression, e.g. a configurable score formula
+function compileExpression(src) {
+    const ast = parseExpression(src, 'expression');
+    return function run(values) {
+        return evaluate(ast, Object.assign(Object.create(null), values), FILTERS);
+    };
+}
+
+/* ---------- template parser ---------- */
+
+const TAG_PATTERN = /\{\{-?([\s\S]*?)-?\}\}|\{%-?([\s\S]*?)-?%\}|\{#[\s\S]*?#\}/g;
+
+function splitTemplate(source) {
+    const pieces = [];
+    let last = 0;
+    let match;
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+        const raw = match[0];
+        if (match.index > last) pieces.push({ type: 'text', value: source.slice(last, match.index) });
+        const trimLeft = raw[2] === '-';
+        const trimRight = raw[raw.length - 3] === '-';
+        if (match[1] !== undefined) pieces.push({ type: 'output', value: match[1].trim(), trimLeft, trimRight });
+        else if (match[2] !== undefined) pieces.push({ type: 'tag', value: match[2].trim(), trimLeft, trimRight });
+        else pieces.push({ type: 'comment', trimLeft, trimRight });
+        last = match.index + raw.length;
+    }
+    if (last < source.length) pieces.push({ type: 'text', value: source.slice(last) });
+    // Apply whitespace control to the neighbouring text pieces
+    pieces.forEach((piece, idx) => {
+        if (piece.type === 'text') return;
+        const prev = pieces[idx - 1];
+        const next = pieces[idx + 1];
+        if (piece.trimLeft && prev && prev.type === 'text') prev.value = prev.value.replace(/\s+$/, '');
+        if (piece.trimRight && next && next.type === 'text') next.value = next.value.replace(/^\s+/, '');
+    });
+    return pieces;
+}
+
+function parseTemplate(source, templateName) {
+    const pieces = splitTemplate(source);
+    let pos = 0;
+    const template = { name: templateName, extendsExpr: null, body: null };
+
+    // Parse nodes until one of the given end tags; returns { nodes, endTag }
+    function parseNodes(endTags) {
+        const nodes = [];
+        while (pos < pieces.length) {
+            const piece = pieces[pos];
+            pos += 1;
+            if (piece.type === 'text') {
+                if (piece.value) nodes.push({ type: 'text', value: piece.value });
+                continue;
+            }
+            if (piece.type === 'comment') continue;
+            if (piece.type === 'output') {
+                nodes.push({ type: 'output', expr: parseExpression(piece.value, templateName) });
+                continue;
+            }
+            const tagMatch = piece.value.match(/^(\w+)\s*([\s\S]*)$/);
+            if (!tagMatch) throw new TemplateError(`Malformed tag "{% ${piece.value} %}"`, templateName);
+            const keyword = tagMatch[1];
+            const rest = tagMatch[2];
+            if (endTags.includes(keyword)) {
+                return { nodes, endTag: keyword, endRest: rest };
+            }
+            nodes.push(parseTag(keyword, rest));
+        }
+        if (endTags.length > 0) {
+            throw new TemplateError(`Missing {% ${endTags[endTags.length - 1]} %}`, templateName);
+        }
+        return { nodes, endTag: null };
+    }
+
+    function parseTag(keyword, rest) {
+        switch (keyword) {
+        case 'extends':
+            template.extendsExpr = parseExpression(rest, templateName);
+            return { type: 'text', value: '' };
+        case 'block': {
+            const name = rest.trim();
+            const inner = parseNodes(['endblock']);
+            return { type: 'block', name, body: inner.nodes };
+        }
+        case 'include':
+            return { type: 'include', expr: parseExpression(rest, templateName) };
+        case 'set': {
+            const setMatch = rest.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*=\s*([\s\S]+)$/);
+            if (!setMatch) throw new TemplateError(`Malformed set tag "${rest}"`, templateName);
+            return { type: 'set', name: setMatch[1], expr: parseExpression(setMatch[2], templateName) };
+        }
+        case 'if': {
+            const branches = [];
+            let cond = parseExpression(rest, templateName);
+            let elseBody = null;
+            for (;;) {
+                const inner = parseNodes(['elif', 'else', 'endif']);
+                branches.push({ cond, body: inner.nodes });
+                if (inner.endTag === 'elif') {
+                    cond = parseExpression(inner.endRest, templateName);
+                    continue;
+                }
+                if (inner.endTag === 'else') {
+                    elseBody = parseNodes(['endif']).nodes;
+                }
+                break;
+            }
+            return { type: 'if', branches, elseBody };
+        }
+        case 'for': {
+            const forMatch = rest.match(/^([A-Za-z_][A-Za-z0-9_]*)(?:\s*,\s*([A-Za-z_][A-Za-z0-9_]*))?\s+in\s+([\s\S]+)$/);
+            if (!forMatch) throw new TemplateError(`Malformed for tag "${rest}"`, templateName);
+            const inner = parseNodes(['else', 'endfor']);
+            const elseBody = inner.endTag === 'else' ? parseNodes(['endfor']).nodes : null;
+            return {
+                type: 'for',
+                targets: forMatch[2] ? [forMatch[1], forMatch[2]] : [forMatch[1]],
+                iter: parseExpression(forMatch[3], templateName),
+                body: inner.nodes,
+                elseBody
+            };
+        }
+        default:
+            throw new TemplateError(`Unknown tag "${keyword}"`, templateName);
+        }
+    }
+
+    template.body = parseNodes([]).nodes;
+    return template;
+}
+
+// Collect every block defined in a node list (including nested blocks)
+function collectBlocks(nodes, into) {
+    nodes.forEach(node => {
+        if (node.type === 'block') {
+            if (!into[node.name]) into[node.name] = node.body;
+            collectBlocks(node.body, into);
+        } else if (node.type === 'if') {
+            node.branches.forEach(branch => collectBlocks(branch.body, into));
+            if (node.elseBody) collectBlocks(node.elseBody, into);
+        } else if (node.type === 'for') {
+            collectBlocks(node.body, into);
+            if (node.elseBody) collectBlocks(node.elseBody, into);
+        }
+    });
+    return into;
+}
+
+/* ---------- engine ---------- */
+
+function createTemplateEngine(options) {
+    const root = path.resolve(options.root);
+    const globals = Object.assign({}, options.globals);
+    const filters = Object.assign({}, FILTERS, options.filters);
+    const cache = new Map();
+
+    function resolveTemplatePath(name) {
+        const filePath = path.resolve(root, name);
+        if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+            throw new TemplateError(`Template outside of template root: ${name}`);
+        }
+        return filePath;
+    }
+
+    // Templates are re-parsed when the file changes on disk, so edits show up without a restart
+    function load(name) {
+        const filePath = resolveTemplatePath(name);
+        let stat;
+        try {
+            stat = fs.statSync(filePath);
+        } catch (err) {
+            throw new TemplateError(`Template not found: ${name}`);
+        }
+        const cached = cache.get(filePath);
+        if (cached && cached.mtimeMs === stat.mtimeMs) return cached.template;
+        const template = parseTemplate(fs.readFileSync(filePath, 'utf-8'), name);
+        cache.set(filePath, { mtimeMs: stat.mtimeMs, template });
+        return template;
+    }
+
+    function renderNodes(nodes, scope, blocks, out) {
+        nodes.forEach(node => {
+            switch (node.type) {
+            case 'text':
+                out.push(node.value);
+                break;
+            case 'output':
+                out.push(escapeHtml(evaluate(node.expr, scope, filters)));
+                break;
+            case 'block':
+                renderNodes(blocks[node.name] || node.body, scope, blocks, out);
+                break;
+            case 'include': {
+                const name = evaluate(node.expr, scope, filters);
+                out.push(renderTemplate(load(name), scope));
+                break;
+            }
+            case 'set':
+                scope[node.name] = evaluate(node.expr, scope, filters);
+                break;
+            case 'if': {
+                const branch = node.branches.find(b => isTruthy(evaluate(b.cond, scope, filters)));
+                if (branch) renderNodes(branch.body, scope, blocks, out);
+                else if (node.elseBody) renderNodes(node.elseBody, scope, blocks, out);
+                break;
+            }
+            case 'for': {
+                const iterable = evaluate(node.iter, scope, filters);
+                let items;
+                if (Array.isArray(iterable)) {
+                    items = node.targets.length === 2 ? iterable.map((item, idx) => [idx, item]) : iterable;
+                } else if (iterable && typeof iterable === 'object') {
+                    items = node.targets.length === 2 ? Object.entries(iterable) : Object.keys(iterable);
+                } else {
+                    items = [];
+                }
+                if (items.length === 0) {
+                    if (node.elseBody) renderNodes(node.elseBody, scope, blocks, out);
+                    break;
+                }
+                items.forEach((item, idx) => {
+                    const loopScope = Object.create(scope);
+                    if (node.targets.length === 2) {
+                        loopScope[node.targets[0]] = item[0];
+                        loopScope[node.targets[1]] = item[1];
+                    } else {
+                        loopScope[node.targets[0]] = item;
+                    }
+                    loopScope.loop = {
+                        index: idx + 1,
+                        index0: idx,
+                        first: idx === 0,
+                        last: idx === items.length - 1,
+                        length: items.length
+                    };
+                    renderNodes(node.body, loopScope, blocks, out);
+                });
+                break;
+            }
+            default:
+                break;
+            }
+        });
+    }
+
+    function renderTemplate(template, scope) {
+        // Walk up the extends chain; the most derived definition of a block wins
+        const blocks = {};
+        let current = template;
+        let depth = 0;
+        while (current.extendsExpr) {
+            collectBlocks(current.body, blocks);
+            // Top-level set tags in a child template still apply
+            current.body.forEach(node => {
+                if (node.type === 'set') scope[node.name] = evaluate(node.expr, scope, filters);
+            });
+            const parentName = evaluate(current.extendsExpr, scope, filters);
+            current = load(parentName);
+            depth += 1;
+            if (depth > 10) throw new TemplateError('Template inheritance is too deep', template.name);
+        }
+        const out = [];
+        renderNodes(current.body, scope, blocks, out);
+        return out.join('');
+    }
+
+    // Render a template file with the given context (merged over the globals)
+    function render(name, context) {
+        const scope = Object.assign(Object.create(null), globals, context);
+        return renderTemplate(load(name), scope);
+    }
+
+    return {
+        render,
+        addGlobal: (name, value) => { globals[name] = value; },
+        addFilter: (name, fn) => { filters[name] = fn; }
+    };
+}
+
+module.exports = {
+    TemplateError,
+    SafeString,
+    markSafe,
+    escapeHtml,
+    toScriptJson,
+    compileExpression,
+    createTemplateEngine
+};
@@ -0,0 +1,61 @@
+/*
+ * Check for the CSV exports (lib/csv.js): text written by players that a
+ * spreadsheet would run as a formula must come out as plain text, in a room
+ * export (lib/rooms.js) too, while numbers keep their sign.
+ *
+ *   npm run check:csv
+ */
+
+const { csvCell, toCsv } = require('../lib/csv');
+const { exportCsv } = require('../lib/rooms');
+
+const CASES = [
+    ['=HYPERLINK("http://example.com","x")', '"\'=HYPERLINK(""http://example.com"",""x"")"'],
+    ['+1+1', "'+1+1"],
+    ['-2+3', "'-2+3"],
+    ['@SUM(A1:A2)', "'@SUM(A1:A2)"],
+    ['\t=1', "'\t=1"],
+    ['\r=1', '"\'\r=1"'],
+    ['Phật giáo', 'Phật giáo'],
+    ['a, b', '"a, b"'],
+    [-10000, '-10000'],
+    [null, '']
+];
+
+function main() {
+    const failures = [];
+    CASES.forEach(([value, expected]) => {
+        const actual = csvCell(value);
+        if (actual !== expected) failures.push(`csvCell(${JSON.stringify(value)}) = ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+    });
+
+    if (toCsv(['a'], [['=1']]) !== "a\r\n'=1\r\n") failures.push('toCsv does not escape formulas');
+
+    const room = {
+        players: {
+            'name:x': {
+                username: '=cmd|\' /C calc\'!A0',
+                games: [{
+                    religion: '@religion',
+                    followers: 900,
+                    score: 950,
+                    history: [{ round: 1, decision: '+decision', change: -40, comment: '-comment' }]
+                }],
+                current: null
+            }
+        }
+    };
+    const row = exportCsv(room).split('\r\n')[1];
+    ["'=cmd", "'@religion", "'+decision", "'-comment", ',-40,'].forEach(part => {
+        if (!row.includes(part)) failures.push(`room export row lacks ${part}: ${row}`);
+    });
+
+    if (failures.length > 0) {
+        failures.forEach(line => console.error(line));
+        console.error(`${failures.length} CSV checks failed.`);
+        process.exit(1);
+    }
+    console.log(`All ${CASES.length + 2} CSV checks passed.`);
+}
+
+main();
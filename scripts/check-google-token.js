@@ -0,0 +1,154 @@
+/*
+ * Check for the offline Google ID token verification (lib/google-auth.js).
+ *
+ * Tokens are signed with a key pair generated for the run, standing in for
+ * Google's keys: through a fixed JWKS, a JWKS file, a PEM file and a fetched
+ * key set that rotates. Valid tokens must pass; forged, expired, misaddressed
+ * and wrong-domain ones must fail with the expected code.
+ *
+ *   npm run check:google-token
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createGoogleTokenVerifier } = require('../lib/google-auth');
+
+const CLIENT_ID = 'check-client.apps.googleusercontent.com';
+const NOW = Date.UTC(2026, 0, 15, 8, 0, 0);
+const nowSeconds = Math.floor(NOW / 1000);
+
+function base64url(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function generateKey(kid) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwk = Object.assign(publicKey.export({ format: 'jwk' }), { kid, alg: 'RS256', use: 'sig' });
+    return { kid, privateKey, publicKey, jwk };
+}
+
+function signToken(key, claims, headerOverrides) {
+    const header = Object.assign({ alg: 'RS256', kid: key.kid, typ: 'JWT' }, headerOverrides);
+    const payload = Object.assign({
+        iss: 'https://accounts.google.com',
+        aud: CLIENT_ID,
+        sub: '1234567890',
+        email: 'student@example.edu.vn',
+        email_verified: true,
+        hd: 'example.edu.vn',
+        name: 'Sinh viên',
+        iat: nowSeconds - 60,
+        exp: nowSeconds + 3540
+    }, claims);
+    const input = `${base64url(header)}.${base64url(payload)}`;
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(input), key.privateKey).toString('base64url');
+    return `${input}.${signature}`;
+}
+
+async function expectCode(failures, label, verifier, token, code) {
+    try {
+        await verifier.verify(token);
+        failures.push(`${label}: accepted, expected ${code || 'an error'}`);
+    } catch (err) {
+        if (code && err.code !== code) failures.push(`${label}: failed with ${err.code || err.message}, expected ${code}`);
+    }
+}
+
+async function expectValid(failures, label, verifier, token) {
+    try {
+        const payload = await verifier.verify(token);
+        if (payload.aud !== CLIENT_ID) failures.push(`${label}: unexpected payload`);
+    } catch (err) {
+        failures.push(`${label}: rejected (${err.code || err.message})`);
+    }
+}
+
+async function checkClaims(failures, key, other) {
+    const verifier = createGoogleTokenVerifier({ clientId: CLIENT_ID, jwks: { keys: [key.jwk] }, now: () => NOW });
+    const valid = signToken(key);
+    await expectValid(failures, 'valid token', verifier, valid);
+    await expectValid(failures, 'issuer without scheme', verifier, signToken(key, { iss: 'accounts.google.com' }));
+    await expectValid(failures, 'expired within the clock skew', verifier, signToken(key, { exp: nowSeconds - 120 }));
+    await expectCode(failures, 'wrong audience', verifier, signToken(key, { aud: 'someone-else' }), 'wrong_audience');
+    await expectCode(failures, 'wrong issuer', verifier, signToken(key, { iss: 'https://evil.example' }), 'wrong_issuer');
+    await expectCode(failures, 'expired', verifier, signToken(key, { exp: nowSeconds - 3600 }), 'token_expired');
+    await expectCode(failures, 'no expiry', verifier, signToken(key, { exp: undefined }), 'token_expired');
+    await expectCode(failures, 'issued in the future', verifier, signToken(key, { iat: nowSeconds + 3600 }), 'token_not_yet_valid');
+    await expectCode(failures, 'signed by another key', verifier, signToken(Object.assign({}, other, { kid: key.kid })), 'bad_signature');
+    await expectCode(failures, 'unknown key id', verifier, signToken(other), 'unknown_key');
+    await expectCode(failures, 'alg none', verifier, `${base64url({ alg: 'none', kid: key.kid })}.${valid.split('.')[1]}.`, 'unsupported_token');
+    await expectCode(failures, 'alg HS256', verifier, signToken(key, {}, { alg: 'HS256' }), 'unsupported_token');
+    const parts = valid.split('.');
+    const tampered = base64url(Object.assign(JSON.parse(Buffer.from(parts[1], 'base64url')), { email: 'admin@example.edu.vn' }));
+    await expectCode(failures, 'tampered payload', verifier, `${parts[0]}.${tampered}.${parts[2]}`, 'bad_signature');
+    await expectCode(failures, 'malformed', verifier, 'not-a-token', 'malformed_token');
+    await expectCode(failures, 'missing', verifier, '', 'missing_token');
+    await expectCode(failures, 'not configured', createGoogleTokenVerifier({ clientId: '', jwks: { keys: [key.jwk] } }), valid, 'not_configured');
+
+    const domain = createGoogleTokenVerifier({ clientId: CLIENT_ID, hostedDomain: 'Example.edu.vn', jwks: { keys: [key.jwk] }, now: () => NOW });
+    await expectValid(failures, 'hosted domain', domain, valid);
+    await expectCode(failures, 'other hosted domain', domain, signToken(key, { hd: 'other.edu.vn' }), 'wrong_domain');
+    await expectCode(failures, 'personal account', domain, signToken(key, { hd: undefined }), 'wrong_domain');
+}
+
+async function checkFiles(failures, key) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'google-keys-'));
+    try {
+        const jwksFile = path.join(dir, 'jwks.json');
+        fs.writeFileSync(jwksFile, JSON.stringify({ keys: [key.jwk] }));
+        const fromJwks = createGoogleTokenVerifier({ clientId: CLIENT_ID, jwksFile, now: () => NOW });
+        await expectValid(failures, 'JWKS file', fromJwks, signToken(key));
+
+        const pemFile = path.join(dir, 'certs.json');
+        fs.writeFileSync(pemFile, JSON.stringify({ [key.kid]: key.publicKey.export({ type: 'spki', format: 'pem' }) }));
+        const fromPem = createGoogleTokenVerifier({ clientId: CLIENT_ID, jwksFile: pemFile, now: () => NOW });
+        await expectValid(failures, 'PEM file', fromPem, signToken(key));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+async function checkFetching(failures, key, rotated) {
+    let served = [key.jwk];
+    let fetches = 0;
+    const fetchJwks = async () => {
+        fetches += 1;
+        return { document: { keys: served }, maxAgeMs: 60 * 60 * 1000 };
+    };
+    let clock = NOW;
+    const verifier = createGoogleTokenVerifier({ clientId: CLIENT_ID, fetchJwks, now: () => clock });
+    await expectValid(failures, 'fetched keys', verifier, signToken(key));
+    await expectValid(failures, 'cached keys', verifier, signToken(key));
+    if (fetches !== 1) failures.push(`key set fetched ${fetches} times, expected once while cached`);
+    served = [key.jwk, rotated.jwk];
+    await expectCode(failures, 'new key right after a fetch', verifier, signToken(rotated), 'unknown_key');
+    if (fetches !== 1) failures.push('unknown key id refetched within a minute of the last fetch');
+    clock += 2 * 60 * 1000;
+    await expectValid(failures, 'rotated key', verifier, signToken(rotated));
+    if (fetches !== 2) failures.push(`unknown key id caused ${fetches - 1} refetches, expected one`);
+    clock += 2 * 60 * 60 * 1000;
+    await expectValid(failures, 'refetched after max-age', verifier, signToken(key, { iat: Math.floor(clock / 1000) - 60, exp: Math.floor(clock / 1000) + 3540 }));
+    if (fetches !== 3) failures.push('key set not refetched after its max-age');
+}
+
+async function main() {
+    const key = generateKey('check-key-1');
+    const other = generateKey('check-key-2');
+    const failures = [];
+    await checkClaims(failures, key, other);
+    await checkFiles(failures, key);
+    await checkFetching(failures, key, other);
+    if (failures.length > 0) {
+        failures.forEach(line => console.error(line));
+        console.error(`${failures.length} Google token checks failed.`);
+        process.exit(1);
+    }
+    console.log('All Google token checks passed.');
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
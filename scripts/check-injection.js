@@ -0,0 +1,90 @@
+/*
+ * Regression check for the prompt-injection defences (lib/evaluators/guard.js).
+ *
+ * Every case in injection-corpus.json goes through evaluateDecision twice:
+ * once with the keyword heuristic and once with a "gullible" stand-in model
+ * that obeys the player and always answers with the maximum score, which is
+ * the worst case for a real model. Injection attempts must be flagged and
+ * gain nothing; clean policies must not be flagged.
+ *
+ *   npm run check:injection
+ */
+
+// Keep the run offline and free of side effects
+process.env.EVALUATION_CACHE_SIZE = '0';
+process.env.EVALUATOR_AUDIT_LOG = 'off';
+
+const path = require('path');
+const corpus = require(path.join(__dirname, 'injection-corpus.json'));
+const config = require('../lib/config');
+const { getContent } = require('../lib/content-store');
+const { CHANGE_LIMIT } = require('../lib/evaluators/schema');
+const { STATS, DELTA_LIMIT } = require('../lib/stats');
+const { maxBelievableChange } = require('../lib/evaluators/guard');
+const evaluators = require('../lib/evaluators');
+
+function createGullibleBackend() {
+    return {
+        name: 'gullible',
+        async evaluate() {
+            const answer = { change: CHANGE_LIMIT, comment: 'Chính sách tuyệt vời.', tips: [] };
+            STATS.forEach(stat => { answer[stat.key] = DELTA_LIMIT; });
+            return answer;
+        }
+    };
+}
+
+evaluators.registerBackend('gullible', createGullibleBackend);
+
+function gains(result) {
+    const deltas = Object.values(result.deltas || {});
+    return Math.max(result.change, ...deltas);
+}
+
+async function runBackend(name, content) {
+    config.evaluator.backends = [name];
+    // Registering again also drops the chain built for the previous backend
+    evaluators.registerBackend('gullible', createGullibleBackend);
+    const failures = [];
+    const context = { religion: 'Kiểm thử', followers: 100, round: 1, event: null, content };
+    for (const decision of corpus.injections) {
+        const result = await evaluators.evaluateDecision(decision, context);
+        if (result.violation) continue;
+        const flagged = result.guard && result.guard.flags.includes('injection');
+        if (!flagged) failures.push(`[${name}] not flagged: ${decision}`);
+        else if (gains(result) > 0) failures.push(`[${name}] flagged but still gained ${gains(result)}: ${decision}`);
+    }
+    for (const decision of corpus.clean) {
+        const result = await evaluators.evaluateDecision(decision, context);
+        if (result.violation) {
+            failures.push(`[${name}] clean policy treated as a violation: ${decision}`);
+            continue;
+        }
+        if (result.guard && result.guard.flags.includes('injection')) {
+            failures.push(`[${name}] clean policy flagged (${result.guard.signals.join(', ')}): ${decision}`);
+        } else if (result.change > maxBelievableChange(decision)) {
+            failures.push(`[${name}] change ${result.change} above the cap: ${decision}`);
+        }
+    }
+    return failures;
+}
+
+async function main() {
+    const content = getContent();
+    const failures = [];
+    for (const name of ['heuristic', 'gullible']) {
+        failures.push(...await runBackend(name, content));
+    }
+    const total = 2 * (corpus.injections.length + corpus.clean.length);
+    if (failures.length > 0) {
+        failures.forEach(line => console.error(line));
+        console.error(`${failures.length} of ${total} checks failed.`);
+        process.exit(1);
+    }
+    console.log(`All ${total} checks passed (${corpus.injections.length} injection attempts, ${corpus.clean.length} clean policies).`);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,65 @@
+/*
+ * Check for the moderation of decisions (lib/moderation.js) against the
+ * default content: phrases a negation or counter-phrase governs are let
+ * through, and wording that only looks like a negation ("không chỉ",
+ * "not only") is not.
+ *
+ *   npm run check:moderation
+ */
+
+const { moderate } = require('../lib/moderation');
+const { getContent } = require('../lib/content-store');
+
+const VIOLATIONS = [
+    'Kích động chia rẽ dân tộc để tăng tín đồ.',
+    'Không ngần ngại kích động chia rẽ dân tộc',
+    'Chúng tôi không chỉ tuyên truyền mà còn kích động chia rẽ dân tộc',
+    'Tuyệt đối không, chúng tôi kích động chia rẽ',
+    'We do not hesitate to incite hatred between ethnic groups',
+    'Not only preach but incite hatred between ethnic groups',
+    'khong ngan ngai kich dong chia re dan toc',
+    'Không bao giờ từ bỏ, chúng tôi sẽ kích động chia rẽ',
+    'We will never stop, we incite hatred',
+    'Report to the leaders and incite hatred'
+];
+
+const CLEAN = [
+    'Không kích động hay chia rẽ dân tộc.',
+    'Tuyệt đối không được kích động chia rẽ dân tộc.',
+    'Phòng chống bạo lực gia đình trong cộng đồng.',
+    'Bài trừ mê tín dị đoan, tổ chức lớp học miễn phí.',
+    'khong kich dong chia re dan toc',
+    'We never incite hatred between ethnic groups.',
+    'Fight against terrorism together with the local authorities.',
+    'Mở lớp dạy chữ miễn phí cho trẻ em nghèo.',
+    'Không kích động, chia rẽ hay gây bạo lực.',
+    'Chống lại mọi hành vi kích động chia rẽ dân tộc',
+    'Kiên quyết không để xảy ra tình trạng kích động chia rẽ',
+    'không để kẻ xấu kích động chia rẽ',
+    'We will never, under any circumstances, incite hatred between ethnic groups.',
+    'Our community rejects violence.',
+    'No violence, no division, no superstition.',
+    'We are fighting against all forms of violence.'
+];
+
+function main() {
+    const content = getContent();
+    const failures = [];
+    VIOLATIONS.forEach(text => {
+        if (!moderate(text, content).violation) failures.push(`violation let through: ${text}`);
+    });
+    CLEAN.forEach(text => {
+        const result = moderate(text, content);
+        if (result.violation) failures.push(`clean text flagged (${result.matches.map(m => m.phrase).join(', ')}): ${text}`);
+    });
+
+    const total = VIOLATIONS.length + CLEAN.length;
+    if (failures.length > 0) {
+        failures.forEach(line => console.error(line));
+        console.error(`${failures.length} of ${total} moderation checks failed.`);
+        process.exit(1);
+    }
+    console.log(`All ${total} moderation checks passed.`);
+}
+
+main();
@@ -0,0 +1,148 @@
+/*
+ * Check for the scoreboard storage (lib/scoreboard.js), run in a temporary
+ * directory: migration of the old bare-array file, many games finishing at
+ * once, a file corrupted mid-write restored from its backup, a file from a
+ * newer schema left alone, and moving a player's entries. The SQLite backend
+ * gets the same checks when node:sqlite is available (Node.js 22.5+).
+ *
+ *   npm run check:scoreboard
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScoreboardStore, SCHEMA_VERSION } = require('../lib/scoreboard');
+
+const GAMES_AT_ONCE = 50;
+
+function entry(index, extra) {
+    return Object.assign({
+        username: `Người chơi ${index}`,
+        playerKey: `name:player-${index}`,
+        religion: 'Phật giáo',
+        mode: 'standard',
+        difficulty: 'normal',
+        timed: false,
+        score: 600 + index,
+        gameId: `game-${index}`,
+        finishedAt: new Date(Date.UTC(2026, 0, 1, 0, index)).toISOString()
+    }, extra);
+}
+
+function withQuietConsole(work) {
+    const { log, error } = console;
+    console.log = () => {};
+    console.error = () => {};
+    try {
+        return work();
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+}
+
+// Many games finishing "together" must all be kept, best score first
+async function checkConcurrentFinishes(failures, label, open) {
+    const store = open();
+    await Promise.all(Array.from({ length: GAMES_AT_ONCE }, (_, i) => Promise.resolve().then(() => store.add(entry(i)))));
+    store.close();
+    const reopened = open();
+    const list = reopened.list();
+    if (list.length !== GAMES_AT_ONCE) failures.push(`${label}: ${list.length} entries kept of ${GAMES_AT_ONCE}`);
+    if (list.some((item, i) => i > 0 && item.score > list[i - 1].score)) failures.push(`${label}: entries not sorted by score`);
+    const moved = reopened.reassignPlayer('name:player-3', 'account:abc', 'An');
+    const movedEntry = reopened.list().find(item => item.gameId === 'game-3');
+    if (moved !== 1 || !movedEntry || movedEntry.playerKey !== 'account:abc' || movedEntry.username !== 'An') {
+        failures.push(`${label}: reassignPlayer did not move the entry`);
+    }
+    reopened.close();
+}
+
+function checkJson(failures, dir) {
+    const file = path.join(dir, 'scoreboard.json');
+    const open = () => createScoreboardStore({ store: 'json', file });
+
+    fs.writeFileSync(file, JSON.stringify([{ username: 'Cũ', religion: 'Phật giáo', score: 1650 }]));
+    const migrated = withQuietConsole(open);
+    const old = migrated.list()[0];
+    if (!old || old.mode !== 'standard' || old.difficulty !== 'normal' || old.timed !== false || old.gameId !== null || old.finishedAt !== null) {
+        failures.push('json: bare-array file not migrated');
+    }
+    const written = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (written.schemaVersion !== SCHEMA_VERSION) failures.push('json: migrated file not written back');
+    migrated.add(entry(0));
+    if (!fs.existsSync(`${file}.bak`)) failures.push('json: no backup kept');
+
+    // A write cut off halfway through
+    const text = fs.readFileSync(file, 'utf-8');
+    fs.writeFileSync(file, text.slice(0, Math.floor(text.length / 2)));
+    const recovered = withQuietConsole(open).list();
+    if (recovered.length !== 1 || recovered[0].username !== 'Cũ') failures.push(`json: not restored from the backup (${recovered.length} entries)`);
+    if (!fs.readdirSync(dir).some(name => name.startsWith('scoreboard.json.corrupt-'))) failures.push('json: corrupt file not kept aside');
+
+    // Valid JSON that is not a scoreboard counts as corrupt too
+    fs.writeFileSync(file, JSON.stringify({ hello: 'world' }));
+    if (withQuietConsole(open).list().length === 0) failures.push('json: non-scoreboard file wiped the board');
+
+    fs.writeFileSync(file, JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1, entries: [] }));
+    try {
+        open();
+        failures.push('json: newer schema accepted');
+    } catch (err) {
+        if (JSON.parse(fs.readFileSync(file, 'utf-8')).schemaVersion !== SCHEMA_VERSION + 1) failures.push('json: newer file overwritten');
+    }
+
+    fs.rmSync(file);
+    fs.rmSync(`${file}.bak`);
+    return checkConcurrentFinishes(failures, 'json', open);
+}
+
+async function checkSqlite(failures, dir) {
+    try {
+        require('node:sqlite');
+    } catch (err) {
+        console.log('node:sqlite is not available here; SQLite checks skipped.');
+        return;
+    }
+    const file = path.join(dir, 'seed.json');
+    const sqliteFile = path.join(dir, 'scoreboard.sqlite');
+    fs.writeFileSync(file, JSON.stringify([{ username: 'Cũ', religion: 'Phật giáo', score: 1650 }]));
+    const open = () => createScoreboardStore({ store: 'sqlite', file, sqliteFile });
+    const seeded = withQuietConsole(open);
+    const imported = seeded.list();
+    if (imported.length !== 1 || imported[0].mode !== 'standard') failures.push('sqlite: JSON scoreboard not imported');
+    seeded.close();
+    if (!fs.existsSync(`${sqliteFile}.bak`)) failures.push('sqlite: no backup kept');
+
+    fs.writeFileSync(sqliteFile, 'not a database');
+    ['-wal', '-shm'].forEach(suffix => fs.rmSync(sqliteFile + suffix, { force: true }));
+    const recovered = withQuietConsole(open);
+    if (recovered.list().length !== 1) failures.push('sqlite: not restored from the backup');
+    recovered.close();
+
+    fs.readdirSync(dir).filter(name => name.startsWith('scoreboard.sqlite')).forEach(name => fs.rmSync(path.join(dir, name)));
+    fs.writeFileSync(file, '[]');
+    await checkConcurrentFinishes(failures, 'sqlite', () => withQuietConsole(open));
+}
+
+async function main() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scoreboard-'));
+    const failures = [];
+    try {
+        await checkJson(failures, dir);
+        await checkSqlite(failures, dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    if (failures.length > 0) {
+        failures.forEach(line => console.error(line));
+        console.error(`${failures.length} scoreboard checks failed.`);
+        process.exit(1);
+    }
+    console.log('All scoreboard checks passed.');
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});